@@ -0,0 +1,106 @@
+// api/archive.js - download everything in an account as a ZIP, or restore one into a new account
+//
+// Both directions share ARCHIVE_LIMITS (utils/data-archive.js): at most 4 MB zipped, 50 MB
+// unpacked and 20000 files. An account past them cannot be exported as one archive.
+import { withApi, readUploadBody } from "../utils/api.js";
+import { readZip } from "../utils/zip.js";
+import { buildUserArchive, restoreUserArchive, isAccountEmpty, ARCHIVE_LIMITS } from "../utils/data-archive.js";
+
+// Errors a broken or foreign archive produces; anything else is a server error
+const ARCHIVE_ERRORS = [
+  'Invalid ZIP archive',
+  'This is not a Talknote archive',
+  'Unsupported archive version',
+  'Encrypted ZIP archives are not supported',
+  'Unsupported compression',
+  'Corrupt file in ZIP archive',
+  'ZIP archive'
+];
+
+async function handler(req, res) {
+  const { method } = req;
+
+  if (method === 'GET') {
+    return await handleExportArchive(req, res);
+  } else if (method === 'POST') {
+    return await handleImportArchive(req, res);
+  }
+}
+
+export default withApi(handler, {
+  name: 'Archive API',
+  methods: ['GET', 'POST']
+});
+
+// GET /api/archive - Download a ZIP of the account's notes, comments, websites and AI usage (413 past the limits)
+async function handleExportArchive(req, res) {
+  try {
+    const archive = await buildUserArchive(req.user);
+    const date = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="talknote-export-${date}.zip"`);
+    return res.status(200).send(archive);
+  } catch (error) {
+    if (error.message.startsWith('Archive too large')) {
+      return res.status(413).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// POST /api/archive - Restore an archive from GET /api/archive into this (empty) account
+async function handleImportArchive(req, res) {
+  try {
+    const body = await readUploadBody(req, ARCHIVE_LIMITS.maxBytes, 'archive');
+
+    if (!body || body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a ZIP archive as the request body'
+      });
+    }
+
+    if (body.length > ARCHIVE_LIMITS.maxBytes) {
+      return res.status(413).json({
+        success: false,
+        error: `Archives can be at most ${ARCHIVE_LIMITS.maxBytes / 1024 / 1024} MB`
+      });
+    }
+
+    if (!(await isAccountEmpty(req.user.user_id))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Archives can only be restored into an account without notes, notebooks or websites'
+      });
+    }
+
+    const files = readZip(body, { maxEntries: ARCHIVE_LIMITS.maxEntries, maxBytes: ARCHIVE_LIMITS.maxUnpackedBytes });
+    const restored = await restoreUserArchive(req.user, files);
+
+    return res.status(201).json({
+      success: true,
+      restored: restored,
+      message: `Restored ${restored.notes} note${restored.notes !== 1 ? 's' : ''} and ${restored.websites} website${restored.websites !== 1 ? 's' : ''}`
+    });
+  } catch (error) {
+    if (ARCHIVE_ERRORS.some(message => error.message.startsWith(message))) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
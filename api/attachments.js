@@ -0,0 +1,263 @@
+// api/attachments.js - upload, list, serve and delete files attached to notes
+import { db } from "../utils/firebase.js";
+import { withApi, readUploadBody } from "../utils/api.js";
+import { canViewNote, canEditNote } from "../utils/note-access.js";
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_NOTE,
+  MAX_THUMBNAIL_BYTES,
+  checkAttachment,
+  checkThumbnail,
+  isImageType,
+  isInlineType,
+  presentAttachment,
+  getAttachment,
+  listNoteAttachments,
+  saveAttachment,
+  saveThumbnail,
+  readAttachment,
+  removeAttachment
+} from "../utils/attachments.js";
+
+// Get a live note (throws like the note helpers)
+async function getNote(noteId) {
+  const snapshot = await db.ref(`notes/${noteId}`).once('value');
+  const note = snapshot.val();
+  if (!note || note.deleted_at) {
+    throw new Error('Note not found');
+  }
+  return note;
+}
+
+async function getEditableNote(noteId, userId) {
+  const note = await getNote(noteId);
+  if (!(await canEditNote(note, userId))) {
+    throw new Error('Unauthorized: You cannot edit this note');
+  }
+  return note;
+}
+
+// Helper to answer the errors thrown above
+function sendAttachmentError(res, error) {
+  if (['Note not found', 'Attachment not found'].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Files are fetched by <img> tags and links, which carry the URL's key instead of a session
+function attachmentsAuthMode(req) {
+  if (req.method === 'GET') {
+    return req.query.attachment_id ? 'none' : 'optional';
+  }
+  return 'required';
+}
+
+async function handler(req, res) {
+  const { method, query } = req;
+
+  if (method === 'GET' && query.attachment_id) {
+    return await handleServeAttachment(req, res);
+  } else if (method === 'GET') {
+    return await handleListAttachments(req, res);
+  } else if (method === 'POST' && query.action === 'thumbnail') {
+    return await handleUploadThumbnail(req, res);
+  } else if (method === 'POST') {
+    return await handleUploadAttachment(req, res);
+  } else if (method === 'DELETE') {
+    return await handleDeleteAttachment(req, res);
+  }
+}
+
+export default withApi(handler, {
+  name: 'Attachments API',
+  methods: ['GET', 'POST', 'DELETE'],
+  auth: attachmentsAuthMode
+});
+
+// GET /api/attachments?attachment_id=&key=[&size=thumbnail][&download=1] - The file itself
+async function handleServeAttachment(req, res) {
+  try {
+    const { attachment_id, key, size, download } = req.query;
+    const attachment = await getAttachment(attachment_id);
+
+    if (!attachment || !key || attachment.key !== key) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const file = await readAttachment(attachment, size === 'thumbnail');
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const disposition = download || !isInlineType(attachment.content_type) ? 'attachment' : 'inline';
+    const asciiName = attachment.file_name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+
+    res.setHeader('Content-Type', file.content_type);
+    res.setHeader('Content-Length', file.data.length);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.status(200).send(file.data);
+  } catch (error) {
+    return sendAttachmentError(res, error);
+  }
+}
+
+// GET /api/attachments?note_id= - The attachments of a note the user can read
+async function handleListAttachments(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'note_id or attachment_id is required'
+      });
+    }
+
+    const note = await getNote(note_id);
+    if (!(await canViewNote(note, req.user?.user_id))) {
+      throw new Error('Unauthorized: You cannot view this note');
+    }
+
+    const attachments = await listNoteAttachments(note_id);
+
+    return res.status(200).json({
+      success: true,
+      attachments: attachments.map(presentAttachment),
+      count: attachments.length
+    });
+  } catch (error) {
+    return sendAttachmentError(res, error);
+  }
+}
+
+// POST /api/attachments?note_id=&name=<file name> - Attach the request body (application/octet-stream)
+async function handleUploadAttachment(req, res) {
+  try {
+    const { note_id, name } = req.query;
+
+    if (!note_id || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'note_id and name are required'
+      });
+    }
+
+    const note = await getEditableNote(note_id, req.user.user_id);
+    const data = await readUploadBody(req, MAX_ATTACHMENT_BYTES);
+
+    if (!data) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload the file as the request body'
+      });
+    }
+
+    const info = checkAttachment(name, data);
+    if (info.error) {
+      return res.status(data.length > MAX_ATTACHMENT_BYTES ? 413 : 400).json({
+        success: false,
+        error: info.error
+      });
+    }
+
+    const existing = await listNoteAttachments(note_id);
+    if (existing.length >= MAX_ATTACHMENTS_PER_NOTE) {
+      return res.status(400).json({
+        success: false,
+        error: `A note can have at most ${MAX_ATTACHMENTS_PER_NOTE} attachments`
+      });
+    }
+
+    const attachment = await saveAttachment(note, req.user.user_id, name, data, info);
+
+    return res.status(201).json({
+      success: true,
+      attachment: presentAttachment(attachment),
+      message: 'File attached'
+    });
+  } catch (error) {
+    return sendAttachmentError(res, error);
+  }
+}
+
+// POST /api/attachments?action=thumbnail&attachment_id= - Replace the preview of an image
+// attachment with the request body. Uploads get one made on the server; this is for clients
+// that want a different crop, or for images the server could not read.
+async function handleUploadThumbnail(req, res) {
+  try {
+    const { attachment_id } = req.query;
+    const attachment = attachment_id ? await getAttachment(attachment_id) : null;
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    await getEditableNote(attachment.note_id, req.user.user_id);
+
+    if (!isImageType(attachment.content_type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only image attachments have thumbnails'
+      });
+    }
+
+    const data = await readUploadBody(req, MAX_THUMBNAIL_BYTES);
+    const info = data ? checkThumbnail(data) : { error: 'Upload the thumbnail as the request body' };
+    if (info.error) {
+      return res.status(400).json({
+        success: false,
+        error: info.error
+      });
+    }
+
+    const updated = await saveThumbnail(attachment, data, info);
+
+    return res.status(200).json({
+      success: true,
+      attachment: presentAttachment(updated)
+    });
+  } catch (error) {
+    return sendAttachmentError(res, error);
+  }
+}
+
+// DELETE /api/attachments?attachment_id= - Remove an attachment and its files
+async function handleDeleteAttachment(req, res) {
+  try {
+    const { attachment_id } = req.query;
+    const attachment = attachment_id ? await getAttachment(attachment_id) : null;
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    await getEditableNote(attachment.note_id, req.user.user_id);
+    await removeAttachment(attachment);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Attachment deleted'
+    });
+  } catch (error) {
+    return sendAttachmentError(res, error);
+  }
+}
@@ -2,6 +2,37 @@
 import { db } from "../utils/firebase.js";
 import bcrypt from 'bcrypt';
 import { v4 as uuidv4 } from 'uuid';
+import { withApi, getClientIp } from "../utils/api.js";
+import {
+  createSession,
+  destroySession,
+  destroyUserSessions,
+  listUserSessions,
+  sessionHandle
+} from "../utils/sessions.js";
+import { findUserByEmail, findUserByUserId, getUserByUid, isEmailVerified } from "../utils/users.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { sendMail, appUrl } from "../utils/mailer.js";
+import { generateSecret, verifyTotp, otpauthUri } from "../utils/totp.js";
+import { scheduleAccountDeletion, cancelAccountDeletion } from "../utils/account-deletion.js";
+import { addUserRenameUpdates } from "../utils/user-rename.js";
+import { validateProfile, getProfile } from "../utils/profile.js";
+import {
+  getLoginLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginEvent,
+  getLoginEvents
+} from "../utils/login-guard.js";
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes to enter the second factor
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{3,30}$/;
 
 // Helper function to generate unique user_id starting with tk01
 async function generateUserId() {
@@ -46,131 +77,177 @@ async function verifyPassword(password, hashedPassword) {
   return await bcrypt.compare(password, hashedPassword);
 }
 
-// Helper to find user by email
-async function findUserByEmail(email) {
-  const snapshot = await db.ref('users').orderByChild('email').equalTo(email).once('value');
-  if (snapshot.exists()) {
-    const users = snapshot.val();
-    const userId = Object.keys(users)[0];
-    return { uid: userId, ...users[userId] };
+// Issue a fresh verification token for a user and email the link
+async function sendVerificationEmail(uid, email) {
+  // Only the newest link stays valid
+  const existing = await db.ref('email_verifications').orderByChild('uid').equalTo(uid).once('value');
+  if (existing.exists()) {
+    await Promise.all(Object.keys(existing.val()).map(key => db.ref(`email_verifications/${key}`).remove()));
   }
-  return null;
-}
 
-// Helper to find user by user_id
-async function findUserByUserId(userId) {
-  const snapshot = await db.ref('users').orderByChild('user_id').equalTo(userId).once('value');
-  if (snapshot.exists()) {
-    const users = snapshot.val();
-    const uid = Object.keys(users)[0];
-    return { uid, ...users[uid] };
-  }
-  return null;
+  const token = generateToken();
+  await db.ref(`email_verifications/${hashToken(token)}`).set({
+    uid,
+    email,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + EMAIL_VERIFICATION_TTL_MS
+  });
+
+  const verifyLink = `${appUrl('/join')}?verify=${token}`;
+  await sendMail({
+    to: email,
+    subject: 'Verify your Talknote email address',
+    text: `Welcome to Talknote!\n\n` +
+      `Confirm your email address by opening this link within 24 hours:\n${verifyLink}\n\n` +
+      `Until then you can write private notes, but publishing is turned off.`
+  });
 }
 
-// Helper to create session
-async function createSession(userId) {
-  const sessionId = uuidv4();
-  const expiresAt = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days from now
-  
-  await db.ref(`sessions/${sessionId}`).set({
-    userId,
-    expiresAt,
-    createdAt: Date.now()
+// Recovery codes look like "3f9a1-c04be"; only their hashes are stored
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = generateToken(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
   });
-  
-  return sessionId;
 }
 
-// Helper to validate session
-async function validateSession(sessionId) {
-  const snapshot = await db.ref(`sessions/${sessionId}`).once('value');
-  if (!snapshot.exists()) {
-    return null;
+function hashRecoveryCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''));
+}
+
+// Check a TOTP code or a recovery code against a user's enabled second factor.
+// Both are single-use: returns 'totp' / 'recovery_code', or null when rejected.
+async function verifySecondFactor(uid, twoFactor, { code, recovery_code }) {
+  if (code) {
+    const step = verifyTotp(twoFactor.secret, code, { lastUsedStep: twoFactor.last_used_step ?? -1 });
+    if (step === null) return null;
+
+    // Claim the time step so the same code can't be replayed
+    const result = await db.ref(`users/${uid}/two_factor/last_used_step`).transaction(current =>
+      current !== null && current >= step ? undefined : step
+    );
+    return result.committed ? 'totp' : null;
   }
-  
-  const session = snapshot.val();
-  
-  // Check if session has expired
-  if (session.expiresAt < Date.now()) {
-    // Delete expired session
-    await db.ref(`sessions/${sessionId}`).remove();
-    return null;
+
+  if (recovery_code) {
+    const result = await db.ref(`users/${uid}/two_factor/recovery_codes/${hashRecoveryCode(recovery_code)}`)
+      .transaction(current => current ? null : undefined);
+    return result.committed ? 'recovery_code' : null;
   }
-  
-  // Extend session
-  await db.ref(`sessions/${sessionId}`).update({
-    expiresAt: Date.now() + (7 * 24 * 60 * 60 * 1000)
-  });
-  
-  return session;
-}
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization'
-  );
+  return null;
+}
 
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+// 400 for profile input that failed validation; null when it is fine
+function sendProfileErrors(res, { unknownFields, errors }) {
+  if (unknownFields.length) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown fields: ${unknownFields.join(', ')}`,
+      unknown_fields: unknownFields
+    });
   }
 
-  // Only allow POST method
-  if (req.method !== 'POST') {
-    return res.status(405).json({
+  const invalidFields = Object.keys(errors);
+  if (invalidFields.length) {
+    return res.status(400).json({
       success: false,
-      error: 'Method not allowed'
+      error: errors[invalidFields[0]],
+      field_errors: errors
     });
   }
 
-  try {
-    const { action, email, password, ...additionalData } = req.body;
+  return null;
+}
 
-    if (!action) {
-      return res.status(400).json({
-        success: false,
-        error: 'Action is required'
-      });
-    }
+// Actions that act on the signed-in user
+const SESSION_ACTIONS = [
+  'change-password', 'edit-user', 'get-profile', 'validate-session', 'logout', 'resend-verification', 'login-history',
+  'enable-2fa', 'confirm-2fa', 'disable-2fa',
+  'list-sessions', 'revoke-session', 'logout-everywhere',
+  'delete-account', 'cancel-account-deletion'
+];
 
-    switch (action) {
-      case 'register':
-        return await handleRegistration(res, email, password, additionalData);
-      case 'login':
-        return await handleLogin(res, email, password);
-      case 'change-password':
-        return await handleChangePassword(res, email, password, additionalData);
-      case 'edit-user':
-        return await handleEditUser(res, email, additionalData);
-      case 'validate-session':
-        return await handleValidateSession(req, res);
-      case 'logout':
-        return await handleLogout(req, res);
-      default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid action'
-        });
-    }
-  } catch (error) {
-    console.error('Auth API error:', error);
-    
-    return res.status(500).json({
+// Device details recorded with a new session
+function sessionContext(req) {
+  return {
+    userAgent: req.headers['user-agent'] || '',
+    ip: getClientIp(req)
+  };
+}
+
+async function handler(req, res) {
+  const { action, email, password, ...additionalData } = req.body;
+
+  if (!action) {
+    return res.status(400).json({
       success: false,
-      error: error.message || 'An error occurred'
+      error: 'Action is required'
     });
   }
+
+  switch (action) {
+    case 'register':
+      return await handleRegistration(req, res, email, password, additionalData);
+    case 'login':
+      return await handleLogin(req, res, email, password);
+    case 'verify-2fa':
+      return await handleVerifyTwoFactor(req, res, additionalData);
+    case 'change-password':
+      return await handleChangePassword(req, res, password, additionalData);
+    case 'request-password-reset':
+      return await handleRequestPasswordReset(res, email);
+    case 'confirm-password-reset':
+      return await handleConfirmPasswordReset(res, password, additionalData);
+    case 'verify-email':
+      return await handleVerifyEmail(res, additionalData);
+    case 'resend-verification':
+      return await handleResendVerification(req, res);
+    case 'edit-user':
+      // Credentials are not profile fields; pass them on so they get rejected, not ignored
+      return await handleEditUser(req, res, { email, password, ...additionalData });
+    case 'get-profile':
+      return await handleGetProfile(req, res);
+    case 'validate-session':
+      return await handleValidateSession(req, res);
+    case 'logout':
+      return await handleLogout(req, res);
+    case 'login-history':
+      return await handleLoginHistory(req, res);
+    case 'list-sessions':
+      return await handleListSessions(req, res);
+    case 'revoke-session':
+      return await handleRevokeSession(req, res, additionalData);
+    case 'logout-everywhere':
+      return await handleLogoutEverywhere(req, res, additionalData);
+    case 'delete-account':
+      return await handleDeleteAccount(req, res, password, additionalData);
+    case 'cancel-account-deletion':
+      return await handleCancelAccountDeletion(req, res);
+    case 'enable-2fa':
+      return await handleEnableTwoFactor(req, res);
+    case 'confirm-2fa':
+      return await handleConfirmTwoFactor(req, res, additionalData);
+    case 'disable-2fa':
+      return await handleDisableTwoFactor(req, res, password, additionalData);
+    default:
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action'
+      });
+  }
 }
 
+export default withApi(handler, {
+  name: 'Auth API',
+  methods: ['POST'],
+  auth: (req) => SESSION_ACTIONS.includes(req.body?.action) ? 'required' : 'none',
+  // edit-user uses user_id as the new value, not as an identity claim
+  userIdParam: null
+});
+
 // Registration handler
-async function handleRegistration(res, email, password, additionalData) {
+async function handleRegistration(req, res, email, password, additionalData) {
   if (!email || !password) {
     return res.status(400).json({
       success: false,
@@ -178,8 +255,27 @@ async function handleRegistration(res, email, password, additionalData) {
     });
   }
 
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please enter a valid email address'
+    });
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    });
+  }
+
+  // Everything besides the credentials must be a known profile field
+  const profileResult = validateProfile(additionalData);
+  const profileError = sendProfileErrors(res, profileResult);
+  if (profileError) return profileError;
+
   // Check if user already exists
-  const existingUser = await findUserByEmail(email);
+  const existingUser = await findUserByEmail(email.toLowerCase());
   if (existingUser) {
     return res.status(400).json({
       success: false,
@@ -200,7 +296,8 @@ async function handleRegistration(res, email, password, additionalData) {
     password: hashedPassword,
     createdAt: Date.now(),
     updatedAt: Date.now(),
-    ...additionalData
+    ...profileResult.profile,
+    email_verified: false
   };
 
   // Generate unique UID for the user
@@ -209,8 +306,18 @@ async function handleRegistration(res, email, password, additionalData) {
   // Save user to database
   await db.ref(`users/${uid}`).set(userData);
   
+  // Account is usable right away; publishing waits for the emailed link. The account exists
+  // by now, so a mail failure must not fail the registration: resend-verification sends it again.
+  let verificationSent = true;
+  try {
+    await sendVerificationEmail(uid, userData.email);
+  } catch (error) {
+    console.error(`Verification email to ${uid} failed:`, error);
+    verificationSent = false;
+  }
+
   // Create session
-  const sessionId = await createSession(uid);
+  const sessionId = await createSession(uid, sessionContext(req));
 
   return res.status(201).json({
     success: true,
@@ -218,12 +325,60 @@ async function handleRegistration(res, email, password, additionalData) {
     email: email,
     uid: uid,
     session_id: sessionId,
-    message: 'Registration successful'
+    email_verified: false,
+    verification_email_sent: verificationSent,
+    message: verificationSent
+      ? 'Registration successful'
+      : 'Registration successful, but the verification email could not be sent. Try resending it later.'
+  });
+}
+
+// 429 for a locked-out email or IP
+function sendLockedOut(res, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(429).json({
+    success: false,
+    error: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retry_after: retryAfter
+  });
+}
+
+// Check the signed-in user's password before a sensitive change. Wrong passwords count towards
+// the same lockout as failed sign-ins, so a stolen session cannot guess it. Returns null when
+// the password matches, otherwise the response already sent.
+async function checkAccountPassword(req, res, user, password, { method, error }) {
+  const ip = getClientIp(req);
+  const lockout = await getLoginLockout(user.email, ip);
+  if (lockout > 0) {
+    return sendLockedOut(res, lockout);
+  }
+
+  const isValidPassword = await verifyPassword(password, user.password);
+  if (isValidPassword) {
+    return null;
+  }
+
+  const newLockout = await recordLoginFailure(user.email, ip);
+  await recordLoginEvent(user.uid, {
+    success: false,
+    reason: 'wrong_password',
+    method: method,
+    ip,
+    user_agent: req.headers['user-agent'] || ''
+  });
+  if (newLockout > 0) {
+    return sendLockedOut(res, newLockout);
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: error
   });
 }
 
 // Login handler
-async function handleLogin(res, email, password) {
+async function handleLogin(req, res, email, password) {
   if (!email || !password) {
     return res.status(400).json({
       success: false,
@@ -231,26 +386,73 @@ async function handleLogin(res, email, password) {
     });
   }
 
+  const normalizedEmail = email.toLowerCase();
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || '';
+
   // Find user
-  const user = await findUserByEmail(email);
-  if (!user) {
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid email or password'
-    });
+  const user = await findUserByEmail(normalizedEmail);
+
+  const lockout = await getLoginLockout(normalizedEmail, ip);
+  if (lockout > 0) {
+    if (user) {
+      await recordLoginEvent(user.uid, { success: false, reason: 'locked_out', ip, user_agent: userAgent });
+    }
+    return sendLockedOut(res, lockout);
   }
 
   // Verify password
-  const isValidPassword = await verifyPassword(password, user.password);
+  const isValidPassword = user ? await verifyPassword(password, user.password) : false;
   if (!isValidPassword) {
+    const newLockout = await recordLoginFailure(normalizedEmail, ip);
+    if (user) {
+      await recordLoginEvent(user.uid, { success: false, reason: 'wrong_password', ip, user_agent: userAgent });
+    }
+    if (newLockout > 0) {
+      return sendLockedOut(res, newLockout);
+    }
+
     return res.status(401).json({
       success: false,
       error: 'Invalid email or password'
     });
   }
 
+  // With 2FA on, the password only earns a short-lived challenge for verify-2fa
+  if (user.two_factor?.enabled) {
+    const challengeToken = generateToken();
+    await db.ref(`login_challenges/${hashToken(challengeToken)}`).set({
+      uid: user.uid,
+      email: normalizedEmail,
+      attempts: 0,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + LOGIN_CHALLENGE_TTL_MS
+    });
+
+    return res.status(200).json({
+      success: true,
+      two_factor_required: true,
+      challenge_token: challengeToken,
+      expires_in: LOGIN_CHALLENGE_TTL_MS / 1000,
+      message: 'Enter the code from your authenticator app'
+    });
+  }
+
+  return await completeLogin(req, res, user, normalizedEmail);
+}
+
+// Clear failure counters, log the sign-in and hand out a session
+async function completeLogin(req, res, user, normalizedEmail, extra = {}) {
+  await recordLoginSuccess(normalizedEmail);
+  await recordLoginEvent(user.uid, {
+    success: true,
+    ip: getClientIp(req),
+    user_agent: req.headers['user-agent'] || '',
+    ...(extra.method ? { method: extra.method } : {})
+  });
+
   // Create session
-  const sessionId = await createSession(user.uid);
+  const sessionId = await createSession(user.uid, sessionContext(req));
 
   return res.status(200).json({
     success: true,
@@ -258,98 +460,452 @@ async function handleLogin(res, email, password) {
     email: user.email,
     uid: user.uid,
     session_id: sessionId,
+    deletion_scheduled_for: user.deletion?.scheduled_for || null,
+    ...(extra.recovery_codes_remaining !== undefined
+      ? { recovery_codes_remaining: extra.recovery_codes_remaining }
+      : {}),
     message: 'Login successful'
   });
 }
 
-// Change password handler
-async function handleChangePassword(res, email, newPassword, additionalData) {
-  const { currentPassword } = additionalData;
+// Second login step - exchange a challenge token and a TOTP/recovery code for a session
+async function handleVerifyTwoFactor(req, res, additionalData) {
+  const { challenge_token, code, recovery_code } = additionalData;
 
-  if (!email || !newPassword) {
+  if (!challenge_token || (!code && !recovery_code)) {
     return res.status(400).json({
       success: false,
-      error: 'Email and new password are required'
+      error: 'Challenge token and an authentication code are required'
     });
   }
 
-  if (!currentPassword) {
+  const challengeRef = db.ref(`login_challenges/${hashToken(challenge_token)}`);
+  const snapshot = await challengeRef.once('value');
+  const challenge = snapshot.val();
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    if (challenge) await challengeRef.remove();
     return res.status(400).json({
       success: false,
-      error: 'Current password is required'
+      error: 'Sign-in attempt expired. Please sign in again.'
     });
   }
 
-  // Find user
-  const user = await findUserByEmail(email);
-  if (!user) {
-    return res.status(404).json({
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || '';
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const lockout = await getLoginLockout(challenge.email, ip);
+  if (lockout > 0) {
+    return sendLockedOut(res, lockout);
+  }
+
+  const user = await getUserByUid(challenge.uid);
+  if (!user || !user.two_factor?.enabled) {
+    await challengeRef.remove();
+    return res.status(400).json({
       success: false,
-      error: 'User not found'
+      error: 'Sign-in attempt expired. Please sign in again.'
     });
   }
 
-  // Verify current password
-  const isValidPassword = await verifyPassword(currentPassword, user.password);
-  if (!isValidPassword) {
+  const method = await verifySecondFactor(user.uid, user.two_factor, { code, recovery_code });
+  if (!method) {
+    const attempts = (challenge.attempts || 0) + 1;
+    if (attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+      await challengeRef.remove();
+    } else {
+      await challengeRef.update({ attempts });
+    }
+
+    const newLockout = await recordLoginFailure(challenge.email, ip);
+    await recordLoginEvent(user.uid, { success: false, reason: 'wrong_2fa_code', ip, user_agent: userAgent });
+    if (newLockout > 0) {
+      return sendLockedOut(res, newLockout);
+    }
+
     return res.status(401).json({
       success: false,
-      error: 'Current password is incorrect'
+      error: 'Invalid authentication code',
+      attempts_remaining: Math.max(0, LOGIN_CHALLENGE_MAX_ATTEMPTS - attempts)
     });
   }
 
-  // Hash new password
-  const hashedPassword = await hashPassword(newPassword);
+  await challengeRef.remove();
+
+  const extra = { method };
+  if (method === 'recovery_code') {
+    const codesSnapshot = await db.ref(`users/${user.uid}/two_factor/recovery_codes`).once('value');
+    extra.recovery_codes_remaining = codesSnapshot.exists() ? Object.keys(codesSnapshot.val()).length : 0;
+  }
+
+  return await completeLogin(req, res, user, challenge.email, extra);
+}
+
+// Enable 2FA handler - step one: hand out a fresh secret to scan
+async function handleEnableTwoFactor(req, res) {
+  const twoFactorRef = db.ref(`users/${req.user.uid}/two_factor`);
+  const snapshot = await twoFactorRef.once('value');
+  if (snapshot.val()?.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  // Not active until confirm-2fa proves the app is set up
+  const secret = generateSecret();
+  await twoFactorRef.set({
+    enabled: false,
+    pending_secret: secret,
+    pending_created_at: Date.now()
+  });
+
+  return res.status(200).json({
+    success: true,
+    secret: secret,
+    otpauth_uri: otpauthUri(secret, req.user.email),
+    message: 'Scan the secret with your authenticator app, then confirm with a code'
+  });
+}
+
+// Confirm 2FA handler - step two: a valid first code switches 2FA on
+async function handleConfirmTwoFactor(req, res, additionalData) {
+  const { code } = additionalData;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Authentication code is required'
+    });
+  }
+
+  const twoFactorRef = db.ref(`users/${req.user.uid}/two_factor`);
+  const snapshot = await twoFactorRef.once('value');
+  const twoFactor = snapshot.val();
+
+  if (twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  if (!twoFactor?.pending_secret) {
+    return res.status(400).json({
+      success: false,
+      error: 'Start two-factor setup first'
+    });
+  }
+
+  const step = verifyTotp(twoFactor.pending_secret, code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid authentication code'
+    });
+  }
+
+  // Shown once; only hashes are kept
+  const recoveryCodes = generateRecoveryCodes();
+  const hashedCodes = {};
+  recoveryCodes.forEach(recoveryCode => {
+    hashedCodes[hashRecoveryCode(recoveryCode)] = true;
+  });
+
+  await twoFactorRef.set({
+    enabled: true,
+    secret: twoFactor.pending_secret,
+    enabled_at: Date.now(),
+    last_used_step: step,
+    recovery_codes: hashedCodes
+  });
+
+  return res.status(200).json({
+    success: true,
+    recovery_codes: recoveryCodes,
+    message: 'Two-factor authentication enabled'
+  });
+}
+
+// Disable 2FA handler - needs the password and a current code (or a recovery code)
+async function handleDisableTwoFactor(req, res, password, additionalData) {
+  const { code, recovery_code } = additionalData;
+
+  if (!password || (!code && !recovery_code)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password and an authentication code are required'
+    });
+  }
+
+  const user = await getUserByUid(req.user.uid);
+  if (!user.two_factor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const rejected = await checkAccountPassword(req, res, user, password, {
+    method: 'disable_2fa',
+    error: 'Password is incorrect'
+  });
+  if (rejected) return rejected;
+
+  const method = await verifySecondFactor(user.uid, user.two_factor, { code, recovery_code });
+  if (!method) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid authentication code'
+    });
+  }
+
+  await db.ref(`users/${user.uid}/two_factor`).remove();
+
+  return res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}
+
+// Login history handler - the signed-in user's recent sign-in events
+async function handleLoginHistory(req, res) {
+  const events = await getLoginEvents(req.user.uid);
+
+  return res.status(200).json({
+    success: true,
+    events: events,
+    count: events.length
+  });
+}
 
-  // Update password
+// Change password handler - for the signed-in user, who proves it with the current password
+async function handleChangePassword(req, res, newPassword, additionalData) {
+  const { currentPassword } = additionalData;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({
+      success: false,
+      error: 'Current and new password are required'
+    });
+  }
+
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    });
+  }
+
+  const user = await getUserByUid(req.user.uid);
+  const rejected = await checkAccountPassword(req, res, user, currentPassword, {
+    method: 'change_password',
+    error: 'Current password is incorrect'
+  });
+  if (rejected) return rejected;
+
+  const hashedPassword = await hashPassword(newPassword);
   await db.ref(`users/${user.uid}`).update({
     password: hashedPassword,
     updatedAt: Date.now()
   });
 
+  // Other devices signed in with the old password are signed out; this one stays
+  await destroyUserSessions(user.uid, { except: req.session.session_id });
+
   return res.status(200).json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully. Other devices have been signed out.'
   });
 }
 
-// Edit user handler
-async function handleEditUser(res, email, updateData) {
-  const { session_id, user_id, ...otherUpdates } = updateData;
-
-  if (!email && !session_id) {
+// Request password reset handler - always answers the same way so emails can't be probed
+async function handleRequestPasswordReset(res, email) {
+  if (!email) {
     return res.status(400).json({
       success: false,
-      error: 'Either email or session_id is required'
+      error: 'Email is required'
     });
   }
 
-  let uid;
-  
-  if (session_id) {
-    // Validate session
-    const session = await validateSession(session_id);
-    if (!session) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired session'
-      });
+  const user = await findUserByEmail(email.toLowerCase());
+
+  if (user) {
+    // Only the newest link stays valid
+    const existing = await db.ref('password_resets').orderByChild('uid').equalTo(user.uid).once('value');
+    if (existing.exists()) {
+      await Promise.all(Object.keys(existing.val()).map(key => db.ref(`password_resets/${key}`).remove()));
     }
-    uid = session.userId;
-  } else {
-    // Find user by email
-    const user = await findUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
+
+    const token = generateToken();
+    await db.ref(`password_resets/${hashToken(token)}`).set({
+      uid: user.uid,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + PASSWORD_RESET_TTL_MS
+    });
+
+    // A failed send is logged, not reported: an error only known accounts can hit would give them away
+    const resetLink = `${appUrl('/join')}?reset=${token}`;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Talknote password',
+        text: `Someone asked to reset the password for your Talknote account.\n\n` +
+          `Open this link within the next hour to choose a new password:\n${resetLink}\n\n` +
+          `If this wasn't you, you can ignore this email.`
       });
+    } catch (error) {
+      console.error(`Password reset email to ${user.uid} failed:`, error);
     }
-    uid = user.uid;
   }
 
-  // If user_id is being updated, check for uniqueness
+  return res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  });
+}
+
+// Confirm password reset handler
+async function handleConfirmPasswordReset(res, newPassword, additionalData) {
+  const { token } = additionalData;
+
+  if (!token || !newPassword) {
+    return res.status(400).json({
+      success: false,
+      error: 'Reset token and new password are required'
+    });
+  }
+
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    });
+  }
+
+  const resetRef = db.ref(`password_resets/${hashToken(token)}`);
+  const snapshot = await resetRef.once('value');
+  if (!snapshot.exists()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid or expired reset link'
+    });
+  }
+
+  // Tokens are single-use, whatever happens next
+  const reset = snapshot.val();
+  await resetRef.remove();
+
+  if (reset.expiresAt < Date.now()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid or expired reset link'
+    });
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+  await db.ref(`users/${reset.uid}`).update({
+    password: hashedPassword,
+    updatedAt: Date.now()
+  });
+
+  // Sign out everywhere: whoever knew the old password loses access
+  await destroyUserSessions(reset.uid);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please sign in with your new password.'
+  });
+}
+
+// Verify email handler - the link from the verification email lands here
+async function handleVerifyEmail(res, additionalData) {
+  const { token } = additionalData;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: 'Verification token is required'
+    });
+  }
+
+  const verificationRef = db.ref(`email_verifications/${hashToken(token)}`);
+  const snapshot = await verificationRef.once('value');
+  if (!snapshot.exists()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid or expired verification link'
+    });
+  }
+
+  const verification = snapshot.val();
+  await verificationRef.remove();
+
+  if (verification.expiresAt < Date.now()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid or expired verification link'
+    });
+  }
+
+  // The address may have changed since the link was sent
+  const userSnapshot = await db.ref(`users/${verification.uid}`).once('value');
+  const user = userSnapshot.val();
+  if (!user || user.email !== verification.email) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid or expired verification link'
+    });
+  }
+
+  await db.ref(`users/${verification.uid}`).update({
+    email_verified: true,
+    email_verified_at: Date.now(),
+    updatedAt: Date.now()
+  });
+
+  return res.status(200).json({
+    success: true,
+    email: user.email,
+    message: 'Email verified successfully'
+  });
+}
+
+// Resend verification handler
+async function handleResendVerification(req, res) {
+  if (isEmailVerified(req.user)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Email is already verified'
+    });
+  }
+
+  await sendVerificationEmail(req.user.uid, req.user.email);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}
+
+// Edit user handler - profile fields plus the public user_id; nothing else is writable
+async function handleEditUser(req, res, updateData) {
+  const { user_id } = updateData;
+  const uid = req.user.uid;
+
+  const profileResult = validateProfile(updateData, ['user_id']);
+  const profileError = sendProfileErrors(res, profileResult);
+  if (profileError) return profileError;
+
+  // If user_id is being updated, check format and uniqueness
   if (user_id) {
+    if (typeof user_id !== 'string' || !USER_ID_PATTERN.test(user_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID must be 3-30 letters, numbers, dashes or underscores'
+      });
+    }
+
     const existingUser = await findUserByUserId(user_id);
     if (existingUser && existingUser.uid !== uid) {
       return res.status(400).json({
@@ -362,7 +918,7 @@ async function handleEditUser(res, email, updateData) {
   // Prepare updates
   const updates = {
     updatedAt: Date.now(),
-    ...otherUpdates
+    ...profileResult.profile
   };
 
   // Add user_id to updates if provided
@@ -370,8 +926,15 @@ async function handleEditUser(res, email, updateData) {
     updates.user_id = user_id;
   }
 
-  // Update user in database
-  await db.ref(`users/${uid}`).update(updates);
+  // Update user in database; a new user_id takes everything keyed by it along in the same write
+  const writes = {};
+  for (const [field, value] of Object.entries(updates)) {
+    writes[`users/${uid}/${field}`] = value;
+  }
+  if (user_id && user_id !== req.user.user_id) {
+    await addUserRenameUpdates(writes, req.user.user_id, user_id);
+  }
+  await db.ref().update(writes);
 
   // Get updated user data
   const snapshot = await db.ref(`users/${uid}`).once('value');
@@ -381,69 +944,183 @@ async function handleEditUser(res, email, updateData) {
     success: true,
     user_id: updatedUser.user_id,
     email: updatedUser.email,
+    profile: getProfile(updatedUser),
     message: 'User updated successfully',
     updates: updates
   });
 }
 
+// Get profile handler
+async function handleGetProfile(req, res) {
+  return res.status(200).json({
+    success: true,
+    user_id: req.user.user_id,
+    email: req.user.email,
+    email_verified: isEmailVerified(req.user),
+    created_at: req.user.createdAt,
+    profile: getProfile(req.user)
+  });
+}
+
 // Session validation handler
 async function handleValidateSession(req, res) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
+  return res.status(200).json({
+    success: true,
+    user_id: req.user.user_id,
+    email: req.user.email,
+    uid: req.user.uid,
+    session_id: req.session.session_id,
+    email_verified: isEmailVerified(req.user),
+    display_name: getProfile(req.user).display_name,
+    two_factor_enabled: req.user.two_factor_enabled,
+    deletion_scheduled_for: req.user.deletion?.scheduled_for || null,
+    message: 'Session is valid'
+  });
+}
+
+// Logout handler
+async function handleLogout(req, res) {
+  await destroySession(req.session.session_id);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}
+
+// List sessions handler - every device signed in to this account
+async function handleListSessions(req, res) {
+  const sessions = await listUserSessions(req.user.uid);
+
+  return res.status(200).json({
+    success: true,
+    sessions: sessions.map(session => ({
+      id: sessionHandle(session.session_id),
+      created_at: session.createdAt,
+      last_used_at: session.lastUsedAt || session.createdAt,
+      expires_at: session.expiresAt,
+      user_agent: session.userAgent || '',
+      ip: session.ip || '',
+      current: session.session_id === req.session.session_id
+    })),
+    count: sessions.length
+  });
+}
+
+// Revoke session handler - sign out one device by its handle from list-sessions
+async function handleRevokeSession(req, res, additionalData) {
+  const { id } = additionalData;
+
+  if (!id) {
+    return res.status(400).json({
       success: false,
-      error: 'No session token provided'
+      error: 'Session id is required'
     });
   }
 
-  const sessionId = authHeader.split(' ')[1];
-  const session = await validateSession(sessionId);
-  
-  if (!session) {
-    return res.status(401).json({
+  const sessions = await listUserSessions(req.user.uid);
+  const target = sessions.find(session => sessionHandle(session.session_id) === id);
+  if (!target) {
+    return res.status(404).json({
       success: false,
-      error: 'Invalid or expired session'
+      error: 'Session not found'
     });
   }
 
-  // Get user data
-  const userSnapshot = await db.ref(`users/${session.userId}`).once('value');
-  const user = userSnapshot.val();
+  await destroySession(target.session_id, req.user.uid);
 
-  if (!user) {
-    return res.status(404).json({
+  return res.status(200).json({
+    success: true,
+    current: target.session_id === req.session.session_id,
+    message: 'Session revoked'
+  });
+}
+
+// Logout everywhere handler - optionally keeps the session making the request
+async function handleLogoutEverywhere(req, res, additionalData) {
+  const keepCurrent = additionalData.keep_current === true;
+  const revoked = await destroyUserSessions(req.user.uid, {
+    except: keepCurrent ? req.session.session_id : null
+  });
+
+  return res.status(200).json({
+    success: true,
+    revoked: revoked,
+    message: keepCurrent ? 'Signed out of all other devices' : 'Signed out everywhere'
+  });
+}
+
+// Delete account handler - schedules the purge after a grace period.
+// Needs the password again, plus a code when 2FA is on.
+async function handleDeleteAccount(req, res, password, additionalData) {
+  const { code, recovery_code } = additionalData;
+
+  if (!password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password is required'
+    });
+  }
+
+  const user = await getUserByUid(req.user.uid);
+  if (user.deletion) {
+    return res.status(400).json({
       success: false,
-      error: 'User not found'
+      error: 'Account deletion is already scheduled',
+      deletion_scheduled_for: user.deletion.scheduled_for
     });
   }
 
+  const rejected = await checkAccountPassword(req, res, user, password, {
+    method: 'delete_account',
+    error: 'Password is incorrect'
+  });
+  if (rejected) return rejected;
+
+  if (user.two_factor?.enabled) {
+    const method = await verifySecondFactor(user.uid, user.two_factor, { code, recovery_code });
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        two_factor_required: true
+      });
+    }
+  }
+
+  const scheduledFor = await scheduleAccountDeletion(user.uid);
+
+  // Only this device stays signed in, so the owner can still cancel from here
+  await destroyUserSessions(user.uid, { except: req.session.session_id });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Talknote account is scheduled for deletion',
+    text: `Your Talknote account and all of its notes, comments and websites will be permanently deleted on ` +
+      `${new Date(scheduledFor).toUTCString()}.\n\n` +
+      `Changed your mind? Sign in before then and cancel the deletion from Settings:\n${appUrl('/dashboard')}`
+  });
+
   return res.status(200).json({
     success: true,
-    user_id: user.user_id,
-    email: user.email,
-    uid: session.userId,
-    session_id: sessionId,
-    message: 'Session is valid'
+    deletion_scheduled_for: scheduledFor,
+    message: 'Account scheduled for deletion'
   });
 }
 
-// Logout handler
-async function handleLogout(req, res) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+// Cancel account deletion handler - any time during the grace period
+async function handleCancelAccountDeletion(req, res) {
+  if (!req.user.deletion) {
     return res.status(400).json({
       success: false,
-      error: 'No session token provided'
+      error: 'Account deletion is not scheduled'
     });
   }
 
-  const sessionId = authHeader.split(' ')[1];
-  
-  // Remove session
-  await db.ref(`sessions/${sessionId}`).remove();
+  await cancelAccountDeletion(req.user.uid);
 
   return res.status(200).json({
     success: true,
-    message: 'Logged out successfully'
+    message: 'Account deletion cancelled'
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,353 @@
+// api/collab.js - live collaboration on a note
+//
+// While collaboration is on, clients edit the note through the Realtime Database directly
+// (see public/lib/collab-client.js and the "collab" rules in database.rules.json):
+//
+// collab/<note_id>/state              = { runs, folded_at }   RGA state, written by this API only
+// collab/<note_id>/ops/<push_id>      = RGA operation + { user_id, at }
+// collab/<note_id>/presence/<user_id> = { name, color, site, anchor, focus, updated_at }
+//
+// The note record keeps the last saved text; clients save the merged text through PUT /api/notes.
+// The owner and the users the note is shared with as editors (api/shares.js) can take part.
+import { db, auth, projectId } from "../utils/firebase.js";
+import { withApi, httpError } from "../utils/api.js";
+import { generateToken } from "../utils/tokens.js";
+import { findUserByUserId } from "../utils/users.js";
+import { getPublicProfile } from "../utils/profile.js";
+import { isNoteOwner, canEditNote } from "../utils/note-access.js";
+import { getNoteShares } from "../utils/note-shares.js";
+import { RGA } from "../public/lib/rga.js";
+
+const PRESENCE_COLORS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4d7c0f'];
+
+// Firebase web config handed to clients; collaboration is off without an API key
+function getClientConfig() {
+  const apiKey = process.env.FIREBASE_API_KEY;
+  if (!apiKey) {
+    throw httpError(503, 'Collaboration is not configured');
+  }
+
+  const config = {
+    apiKey: apiKey,
+    authDomain: process.env.FIREBASE_AUTH_DOMAIN || `${projectId}.firebaseapp.com`,
+    databaseURL: process.env.FIREBASE_DB_URL,
+    projectId: projectId
+  };
+
+  // Point browsers at the local emulators when the server uses them
+  const emulators = {};
+  if (process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+    emulators.database = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+  }
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    emulators.auth = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  }
+
+  return { config, emulators };
+}
+
+// Helper to give every user the same cursor color in every session
+function presenceColor(userId) {
+  let hash = 0;
+  for (const ch of String(userId)) {
+    hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  }
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+}
+
+async function getCollabNote(noteId, userId, { ownerOnly = false } = {}) {
+  const snapshot = await db.ref(`notes/${noteId}`).once('value');
+  const note = snapshot.val();
+  if (!note || note.deleted_at) {
+    throw new Error('Note not found');
+  }
+
+  if (ownerOnly ? !isNoteOwner(note, userId) : !(await canEditNote(note, userId))) {
+    throw new Error(ownerOnly
+      ? 'Unauthorized: Only the owner can manage collaboration'
+      : 'Unauthorized: You cannot edit this note');
+  }
+
+  return note;
+}
+
+// Turn collaboration on, seeding the shared document with the saved text
+async function enableCollab(note) {
+  if (note.collab_enabled) return false;
+
+  const doc = new RGA('seed');
+  if (note.text) {
+    doc.insert(0, note.text);
+  }
+
+  await db.ref().update({
+    [`collab/${note.note_id}`]: { state: { ...doc.toState(), folded_at: Date.now() } },
+    [`notes/${note.note_id}/collab_enabled`]: true
+  });
+  return true;
+}
+
+async function disableCollab(note) {
+  await db.ref().update({
+    [`collab/${note.note_id}`]: null,
+    [`notes/${note.note_id}/collab_enabled`]: null
+  });
+}
+
+function isFolded(doc, op) {
+  if (op.type === 'ins') return doc.has(op.id);
+  if (op.type === 'del') return (op.ids || []).every(id => doc.has(id));
+  return true;
+}
+
+/**
+ * Fold the operation log into the stored state so joining clients replay less.
+ * Runs as a transaction so ops pushed meanwhile are never dropped.
+ * Returns { folded, text } with the merged text.
+ */
+async function checkpoint(noteId) {
+  let folded = 0;
+  let text = '';
+
+  await db.ref(`collab/${noteId}`).transaction(current => {
+    if (!current) return current;
+
+    const doc = new RGA('server', current.state);
+    const ops = current.ops || {};
+    const keys = Object.keys(ops).sort();
+    keys.forEach(key => doc.apply(ops[key]));
+
+    // Ops still waiting on an element stay in the log
+    const remaining = {};
+    folded = 0;
+    for (const key of keys) {
+      if (isFolded(doc, ops[key])) {
+        folded++;
+      } else {
+        remaining[key] = ops[key];
+      }
+    }
+    text = doc.text();
+
+    return { ...current, state: { ...doc.toState(), folded_at: Date.now() }, ops: remaining };
+  });
+
+  return { folded, text };
+}
+
+// Everyone besides the owner who may join the session
+async function listCollaborators(note) {
+  const shares = await getNoteShares(note.note_id);
+  const userIds = Object.keys(shares).filter(userId => shares[userId].role === 'editor');
+  const users = await Promise.all(userIds.map(userId => findUserByUserId(userId)));
+
+  return users
+    .filter(Boolean)
+    .map(user => {
+      const { user_id, display_name, avatar_url } = getPublicProfile(user);
+      return { user_id, display_name, avatar_url, color: presenceColor(user_id) };
+    });
+}
+
+async function handler(req, res) {
+  const { query } = req;
+  const action = query.action || (req.body && req.body.action);
+
+  if (action === 'status') {
+    return await handleStatus(req, res);
+  } else if (action === 'enable') {
+    return await handleEnable(req, res);
+  } else if (action === 'disable') {
+    return await handleDisable(req, res);
+  } else if (action === 'session') {
+    return await handleSession(req, res);
+  } else if (action === 'checkpoint') {
+    return await handleCheckpoint(req, res);
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Unknown action'
+  });
+}
+
+export default withApi(handler, {
+  name: 'Collab API',
+  methods: ['GET', 'POST']
+});
+
+// Map the helpers' thrown errors onto responses
+function sendCollabError(res, error) {
+  if (error.message === 'Note not found') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/collab?action=status&note_id= - Whether collaboration is on, and with whom
+async function handleStatus(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await getCollabNote(note_id, req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      enabled: note.collab_enabled === true,
+      role: isNoteOwner(note, req.user.user_id) ? 'owner' : 'editor',
+      collaborators: await listCollaborators(note)
+    });
+  } catch (error) {
+    return sendCollabError(res, error);
+  }
+}
+
+// POST /api/collab?action=enable - Turn on live editing for a note { note_id }
+async function handleEnable(req, res) {
+  try {
+    const { note_id } = req.body;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await getCollabNote(note_id, req.user.user_id, { ownerOnly: true });
+    const enabled = await enableCollab(note);
+
+    return res.status(200).json({
+      success: true,
+      enabled: true,
+      message: enabled ? 'Collaboration enabled' : 'Collaboration is already on'
+    });
+  } catch (error) {
+    return sendCollabError(res, error);
+  }
+}
+
+// POST /api/collab?action=disable - Turn live editing off { note_id }
+// Clients save the merged text first; the operation log is dropped.
+async function handleDisable(req, res) {
+  try {
+    const { note_id } = req.body;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await getCollabNote(note_id, req.user.user_id, { ownerOnly: true });
+    await disableCollab(note);
+
+    return res.status(200).json({
+      success: true,
+      enabled: false,
+      message: 'Collaboration disabled'
+    });
+  } catch (error) {
+    return sendCollabError(res, error);
+  }
+}
+
+// POST /api/collab?action=session - Credentials for joining a note's live session { note_id }
+async function handleSession(req, res) {
+  const { config, emulators } = getClientConfig();
+
+  try {
+    const { note_id } = req.body;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await getCollabNote(note_id, req.user.user_id);
+    if (!note.collab_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Collaboration is not enabled for this note'
+      });
+    }
+
+    // The token carries the account's uid, which never changes; the database rules look its
+    // current user_id up under users/<uid> to match the note owner and collaborators
+    const userId = req.user.user_id;
+    const token = await auth.createCustomToken(req.user.uid);
+    const profile = getPublicProfile(req.user);
+
+    return res.status(200).json({
+      success: true,
+      session: {
+        token: token,
+        site: `${userId}-${generateToken(4)}`,
+        config: config,
+        emulators: emulators,
+        user: {
+          user_id: userId,
+          name: profile.display_name,
+          color: presenceColor(userId)
+        },
+        role: isNoteOwner(note, userId) ? 'owner' : 'editor'
+      }
+    });
+  } catch (error) {
+    return sendCollabError(res, error);
+  }
+}
+
+// POST /api/collab?action=checkpoint - Fold the operation log into the stored state { note_id }
+async function handleCheckpoint(req, res) {
+  try {
+    const { note_id } = req.body;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await getCollabNote(note_id, req.user.user_id);
+    if (!note.collab_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Collaboration is not enabled for this note'
+      });
+    }
+
+    const { folded, text } = await checkpoint(note_id);
+
+    return res.status(200).json({
+      success: true,
+      folded: folded,
+      text: text
+    });
+  } catch (error) {
+    return sendCollabError(res, error);
+  }
+}
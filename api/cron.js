@@ -0,0 +1,36 @@
+// api/cron.js - scheduled maintenance, invoked by Vercel Cron (see "crons" in vercel.json)
+import { withApi, httpError } from "../utils/api.js";
+import { purgeDueAccounts } from "../utils/account-deletion.js";
+import { purgeExpiredTrash } from "../utils/note-storage.js";
+
+// Vercel sends "Authorization: Bearer <CRON_SECRET>" with every cron invocation
+function checkCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    throw httpError(503, 'CRON_SECRET is not configured');
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    throw httpError(401, 'Unauthorized');
+  }
+}
+
+async function handler(req, res) {
+  checkCronSecret(req);
+
+  const startedAt = Date.now();
+  const accountsPurged = await purgeDueAccounts(startedAt);
+  const trashPurged = await purgeExpiredTrash(startedAt);
+
+  return res.status(200).json({
+    success: true,
+    accounts_purged: accountsPurged,
+    trash_purged: trashPurged,
+    duration_ms: Date.now() - startedAt
+  });
+}
+
+export default withApi(handler, {
+  name: 'Cron API',
+  methods: ['GET'],
+  auth: 'none'
+});
@@ -1,6 +1,9 @@
 import { db } from "../utils/firebase.js";
 import { v4 as uuidv4 } from 'uuid';
 import { GoogleGenAI } from "@google/genai";
+import { withApi, emailNotVerified } from "../utils/api.js";
+import { isEmailVerified } from "../utils/users.js";
+import { purgeWebsite } from "../utils/website-storage.js";
 
 // =============== CONFIGURATION ===============
 const GEMINI_MODEL = "gemini-2.5-flash";
@@ -47,23 +50,6 @@ Your goal is to generate HTML websites that are visually stunning, modern, and h
 // Cache for frequently generated websites
 const generationCache = new Map();
 
-// Helper to find user by user_id (matching your auth API pattern)
-async function findUserByUserId(userId) {
-  const snapshot = await db.ref('users').orderByChild('user_id').equalTo(userId).once('value');
-  if (snapshot.exists()) {
-    const users = snapshot.val();
-    const uid = Object.keys(users)[0];
-    return { uid, ...users[uid] };
-  }
-  return null;
-}
-
-// Validate user existence
-async function validateUserExistence(userId) {
-  const user = await findUserByUserId(userId);
-  return user !== null;
-}
-
 // Generate HTML from prompt
 async function generateHtmlCode(prompt, type = DEFAULT_WEBSITE_TYPE) {
   try {
@@ -403,22 +389,8 @@ async function deleteWebsite(websiteId, userId) {
     throw new Error('Unauthorized: You do not own this website');
   }
 
-  // Delete website
-  await db.ref(`websites/${websiteId}`).remove();
-
-  // Find and delete all versions
-  const versionsSnapshot = await db.ref('website_versions')
-    .orderByChild('website_id')
-    .equalTo(websiteId)
-    .once('value');
-  
-  if (versionsSnapshot.exists()) {
-    const versions = versionsSnapshot.val();
-    const deletePromises = Object.keys(versions).map(versionId => 
-      db.ref(`website_versions/${versionId}`).remove()
-    );
-    await Promise.all(deletePromises);
-  }
+  // Delete website and all of its versions
+  await purgeWebsite(websiteId);
 
   return true;
 }
@@ -541,82 +513,69 @@ async function getForkedWebsites(originalWebsiteId) {
   return Object.values(snapshot.val());
 }
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
-
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+// Generating previews and reading public websites work without a session
+const PUBLIC_POST_ACTIONS = ['generate', 'generate_variations'];
 
-  try {
-    const { method, query } = req;
-    const action = query.action || (req.body && req.body.action);
-
-    switch (method) {
-      case 'POST':
-        if (action === 'generate') {
-          return await handleGenerate(req, res);
-        } else if (action === 'edit') {
-          return await handleEdit(req, res);
-        } else if (action === 'fork') {
-          return await handleFork(req, res);
-        } else if (action === 'generate_variations') {
-          return await handleGenerateVariations(req, res);
-        } else {
-          return await handleCreateWebsite(req, res);
-        }
-      case 'GET':
-        if (action === 'preview') {
-          return await handlePreview(req, res);
-        } else if (action === 'versions') {
-          return await handleGetVersions(req, res);
-        } else if (action === 'forked_from') {
-          return await handleGetForkedFrom(req, res);
-        } else {
-          return await handleGetWebsites(req, res);
-        }
-      case 'PUT':
-        return await handleUpdateWebsite(req, res);
-      case 'DELETE':
-        return await handleDeleteWebsite(req, res);
-      default:
-        return res.status(405).json({
-          success: false,
-          error: 'Method not allowed'
-        });
-    }
-  } catch (error) {
-    console.error('Website API error:', error);
+function websitesAuthMode(req) {
+  const action = req.query.action || (req.body && req.body.action);
 
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'An error occurred'
-    });
+  if (req.method === 'GET') {
+    return 'optional';
+  }
+  if (req.method === 'POST' && PUBLIC_POST_ACTIONS.includes(action)) {
+    return 'optional';
   }
+  return 'required';
 }
 
+async function handler(req, res) {
+  const { method, query } = req;
+  const action = query.action || (req.body && req.body.action);
+
+  switch (method) {
+    case 'POST':
+      if (action === 'generate') {
+        return await handleGenerate(req, res);
+      } else if (action === 'edit') {
+        return await handleEdit(req, res);
+      } else if (action === 'fork') {
+        return await handleFork(req, res);
+      } else if (action === 'generate_variations') {
+        return await handleGenerateVariations(req, res);
+      } else {
+        return await handleCreateWebsite(req, res);
+      }
+    case 'GET':
+      if (action === 'preview') {
+        return await handlePreview(req, res);
+      } else if (action === 'versions') {
+        return await handleGetVersions(req, res);
+      } else if (action === 'forked_from') {
+        return await handleGetForkedFrom(req, res);
+      } else {
+        return await handleGetWebsites(req, res);
+      }
+    case 'PUT':
+      return await handleUpdateWebsite(req, res);
+    case 'DELETE':
+      return await handleDeleteWebsite(req, res);
+  }
+}
+
+export default withApi(handler, {
+  name: 'Website API',
+  auth: websitesAuthMode,
+  // user_id is a listing filter on GET, so only cross-check it on writes
+  userIdParam: 'user_id'
+});
+
 // POST /api/generate-website - Create new website
 async function handleCreateWebsite(req, res) {
   try {
-    const { user_id, project_name, description, type, is_public, tags, prompt } = req.body;
+    const { project_name, description, type, is_public, tags, prompt } = req.body;
+    const user_id = req.user.user_id;
 
     // Validate required fields
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     if (!prompt) {
       return res.status(400).json({
         success: false,
@@ -624,13 +583,8 @@ async function handleCreateWebsite(req, res) {
       });
     }
 
-    // Validate user existence
-    const userExists = await validateUserExistence(user_id);
-    if (!userExists) {
-      return res.status(400).json({
-        success: false,
-        error: 'User does not exist'
-      });
+    if (is_public && !isEmailVerified(req.user)) {
+      return emailNotVerified(res, 'publishing websites');
     }
 
     // Generate HTML
@@ -718,16 +672,16 @@ async function handleGenerate(req, res) {
 // POST /api/generate-website?action=edit - Edit existing website
 async function handleEdit(req, res) {
   try {
-    const { website_id, user_id, edit_prompt, is_major_edit } = req.body;
+    const { website_id, edit_prompt, is_major_edit } = req.body;
 
-    if (!website_id || !user_id || !edit_prompt) {
+    if (!website_id || !edit_prompt) {
       return res.status(400).json({
         success: false,
-        error: 'Website ID, User ID, and Edit Prompt are required'
+        error: 'Website ID and Edit Prompt are required'
       });
     }
 
-    const result = await editWebsite(website_id, user_id, {
+    const result = await editWebsite(website_id, req.user.user_id, {
       edit_prompt,
       is_major_edit: is_major_edit || false
     });
@@ -775,25 +729,20 @@ async function handleEdit(req, res) {
 // POST /api/generate-website?action=fork - Fork a website
 async function handleFork(req, res) {
   try {
-    const { website_id, user_id, project_name, is_public } = req.body;
+    const { website_id, project_name, is_public } = req.body;
 
-    if (!website_id || !user_id) {
+    if (!website_id) {
       return res.status(400).json({
         success: false,
-        error: 'Website ID and User ID are required'
+        error: 'Website ID is required'
       });
     }
 
-    // Validate user existence
-    const userExists = await validateUserExistence(user_id);
-    if (!userExists) {
-      return res.status(400).json({
-        success: false,
-        error: 'User does not exist'
-      });
+    if (is_public && !isEmailVerified(req.user)) {
+      return emailNotVerified(res, 'publishing websites');
     }
 
-    const result = await forkWebsite(website_id, user_id, {
+    const result = await forkWebsite(website_id, req.user.user_id, {
       project_name,
       is_public
     });
@@ -873,10 +822,10 @@ async function handleGetWebsites(req, res) {
   try {
     const { website_id, user_id, public_only, type, tags, limit } = req.query;
 
+    const userId = req.user?.user_id || null;
+
     // Get single website
-    if (website_id) {
-      const userId = user_id || null;
-      
+    if (website_id) {      
       const website = await getWebsiteWithLatestVersion(website_id, true);
 
       if (!website) {
@@ -913,8 +862,8 @@ async function handleGetWebsites(req, res) {
     if (tags) filters.tags = tags.split(',');
     if (limit) filters.limit = parseInt(limit);
 
-    // If no user_id specified and not public_only, return only public websites
-    if (!user_id && public_only !== 'true') {
+    // Only the owner sees private websites; everyone else gets the public ones
+    if (!user_id || user_id !== userId) {
       filters.is_public = true;
     }
 
@@ -960,7 +909,7 @@ async function handlePreview(req, res) {
 // GET /api/generate-website?action=versions - Get all versions of a website
 async function handleGetVersions(req, res) {
   try {
-    const { website_id, user_id } = req.query;
+    const { website_id } = req.query;
 
     if (!website_id) {
       return res.status(400).json({
@@ -969,7 +918,7 @@ async function handleGetVersions(req, res) {
       });
     }
 
-    const userId = user_id || null;
+    const userId = req.user?.user_id || null;
     const website = await getWebsiteVersions(website_id, userId);
 
     if (!website) {
@@ -1052,12 +1001,12 @@ async function handleGetForkedFrom(req, res) {
 // PUT /api/generate-website - Update website metadata
 async function handleUpdateWebsite(req, res) {
   try {
-    const { website_id, user_id, project_name, description, is_public, tags, thumbnail } = req.body;
+    const { website_id, project_name, description, is_public, tags, thumbnail } = req.body;
 
-    if (!website_id || !user_id) {
+    if (!website_id) {
       return res.status(400).json({
         success: false,
-        error: 'Website ID and User ID are required'
+        error: 'Website ID is required'
       });
     }
 
@@ -1068,7 +1017,11 @@ async function handleUpdateWebsite(req, res) {
     if (tags !== undefined) updateData.tags = Array.isArray(tags) ? tags : [tags];
     if (thumbnail !== undefined) updateData.thumbnail = thumbnail;
 
-    const updatedWebsite = await updateWebsite(website_id, user_id, updateData);
+    if (updateData.is_public && !isEmailVerified(req.user)) {
+      return emailNotVerified(res, 'publishing websites');
+    }
+
+    const updatedWebsite = await updateWebsite(website_id, req.user.user_id, updateData);
 
     return res.status(200).json({
       success: true,
@@ -1100,16 +1053,16 @@ async function handleUpdateWebsite(req, res) {
 // DELETE /api/generate-website - Delete website
 async function handleDeleteWebsite(req, res) {
   try {
-    const { website_id, user_id } = req.query;
+    const { website_id } = req.query;
 
-    if (!website_id || !user_id) {
+    if (!website_id) {
       return res.status(400).json({
         success: false,
-        error: 'Website ID and User ID are required'
+        error: 'Website ID is required'
       });
     }
 
-    await deleteWebsite(website_id, user_id);
+    await deleteWebsite(website_id, req.user.user_id);
 
     return res.status(200).json({
       success: true,
@@ -0,0 +1,135 @@
+// api/import.js - bring notes over from Evernote, Google Keep and Notion exports
+import { withApi, readUploadBody } from "../utils/api.js";
+import { createNote } from "../utils/note-storage.js";
+import { getOwnedNotebook } from "../utils/notebooks.js";
+import { readImport, detectImportSource, isImportSource, importTags, IMPORT_SOURCES } from "../utils/note-importers.js";
+
+const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;         // request bodies stop at 4.5 MB on Vercel
+const MAX_IMPORTED_NOTES = 500;
+
+async function handler(req, res) {
+  return await handleImport(req, res);
+}
+
+export default withApi(handler, {
+  name: 'Import API',
+  methods: ['POST']
+});
+
+/**
+ * POST /api/import?source=evernote|keep|notion&name=<file name>&notebook_id=
+ * The export is the raw request body (application/octet-stream), or JSON
+ * { source, name, content: <base64>, notebook_id }. Without a source the app is guessed
+ * from the file. Answers with the notes created and the items that failed.
+ */
+async function handleImport(req, res) {
+  try {
+    const options = { ...req.query, ...(Buffer.isBuffer(req.body) ? {} : req.body) };
+    const fileName = typeof options.name === 'string' && options.name.trim() ? options.name.trim() : 'import';
+    const body = await readUploadBody(req, MAX_UPLOAD_BYTES);
+
+    if (!body || body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload an export file as the request body'
+      });
+    }
+
+    if (body.length > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({
+        success: false,
+        error: `Uploads can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`
+      });
+    }
+
+    if (options.source && !isImportSource(options.source)) {
+      return res.status(400).json({
+        success: false,
+        error: `source must be one of: ${IMPORT_SOURCES.join(', ')}`
+      });
+    }
+
+    if (options.notebook_id) {
+      await getOwnedNotebook(options.notebook_id, req.user.user_id);
+    }
+
+    let source = options.source;
+    let items;
+    try {
+      source = source || detectImportSource(fileName, body);
+      items = source ? await readImport(source, fileName, body) : null;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not tell which app this export comes from; pass source (${IMPORT_SOURCES.join(', ')})`
+      });
+    }
+
+    const imported = [];
+    const failed = [];
+    for (const item of items) {
+      if (item.error) {
+        failed.push({ name: item.name, error: item.error });
+        continue;
+      }
+      if (imported.length >= MAX_IMPORTED_NOTES) {
+        failed.push({ name: item.name, title: item.title, error: `At most ${MAX_IMPORTED_NOTES} notes can be imported at once` });
+        continue;
+      }
+
+      const note = await createNote(req.user.user_id, {
+        title: item.title,
+        text: item.text,
+        markdown: item.markdown,
+        tags: importTags(item.tags),
+        notebook_id: options.notebook_id || null,
+        public: false,
+        created_at: item.created_at,
+        updated_at: item.updated_at || item.created_at,
+        deleted_at: item.trashed ? Date.now() : null   // trashed there, trashed here
+      });
+
+      imported.push({
+        name: item.name,
+        note_id: note.note_id,
+        title: note.title,
+        tags: note.tags,
+        ...(item.trashed ? { trashed: true } : {}),
+        ...(item.omitted_attachments ? { omitted_attachments: item.omitted_attachments } : {})
+      });
+    }
+
+    return res.status(imported.length ? 201 : 400).json({
+      success: imported.length > 0,
+      source: source,
+      notes: imported,
+      failed: failed,
+      ...(imported.length ? {} : { error: 'Nothing in this export could be imported' }),
+      message: `Imported ${imported.length} of ${items.length} item${items.length !== 1 ? 's' : ''} from ${source}`
+    });
+  } catch (error) {
+    if (error.message === 'Notebook not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    } else if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
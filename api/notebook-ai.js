@@ -1,5 +1,8 @@
 // api/notebook-ai.js
 import { db } from "../utils/firebase.js";
+import { withApi } from "../utils/api.js";
+import { markdownToHtml } from "../utils/markdown.js";
+import { parseTasks } from "../utils/checklists.js";
 
 // ==================== CONFIGURATION ====================
 // CHANGE THESE VALUES AS NEEDED
@@ -18,12 +21,6 @@ const HEADING_MAX_TOKENS = 500;
 const PROCESS_MAX_TOKENS = 2000;
 // ======================================================
 
-// Helper to validate user existence
-async function validateUser(userId) {
-  const snapshot = await db.ref('users').orderByChild('user_id').equalTo(userId).once('value');
-  return snapshot.exists();
-}
-
 // Helper to check and update user usage
 async function checkAndUpdateUsage(userId) {
   const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
@@ -142,14 +139,14 @@ const PREDEFINED_COMMANDS = {
 
   // Analysis
   'analyze': 'Identify key themes, insights, and main ideas.',
-  'action-items': 'Extract actionable tasks and to-do items.',
+  'action-items': 'Extract actionable tasks and to-do items as a task list.',
   'questions': 'Generate 5 relevant questions based on this content.',
   'keywords': 'Extract 5-7 key keywords or phrases.',
 
   // Formatting
   'bullet-points': 'Convert into clear bullet points.',
   'markdown': 'Format as clean markdown with proper headings.',
-  'checklist': 'Convert into a step-by-step checklist.',
+  'checklist': 'Convert into a step-by-step checklist as a task list.',
 
   // Learning
   'explain': 'Explain the concepts in simple terms.',
@@ -164,6 +161,11 @@ const PREDEFINED_COMMANDS = {
   'tl-dr': 'Create a one-sentence TL;DR summary.'
 };
 
+// Commands whose result becomes a note checklist (see utils/checklists.js)
+const TASK_COMMANDS = ['action-items', 'checklist'];
+const TASK_LIST_FORMAT = `Write the task list in Markdown, one task per line, like "- [ ] Book the venue".
+Add "due:YYYY-MM-DD" to a task when the content gives its deadline, and "@name" when it says who does it.`;
+
 // Command descriptions for structured responses
 const COMMAND_DESCRIPTIONS = {
   'summarize': 'Created a summary of the key points',
@@ -193,7 +195,10 @@ async function processContent(content, command, type = 'note') {
   
   if (isPredefined) {
     // Use predefined command with structured output instructions
-    prompt = `Process this ${type} note with the following instruction: ${PREDEFINED_COMMANDS[command]}
+    const instruction = TASK_COMMANDS.includes(command)
+      ? `${PREDEFINED_COMMANDS[command]}\n${TASK_LIST_FORMAT}\nToday is ${new Date().toISOString().slice(0, 10)}.`
+      : PREDEFINED_COMMANDS[command];
+    prompt = `Process this ${type} note with the following instruction: ${instruction}
 
 CONTENT TO PROCESS:
 """
@@ -232,10 +237,19 @@ Important:
   // Parse structured response
   const explanationMatch = result.match(/EXPLANATION:\s*(.+?)(?=\nRESULT:|\n\n|$)/is);
   const resultMatch = result.match(/RESULT:\s*(.+)/is);
+  let processed = resultMatch ? resultMatch[1].trim() : result;
+
+  // Task lists arrive as Markdown; the editor gets them as checklist items
+  if (TASK_COMMANDS.includes(command)) {
+    const html = markdownToHtml(processed);
+    if (parseTasks(html).length) {
+      processed = html;
+    }
+  }
 
   return {
     explanation: explanationMatch ? explanationMatch[1].trim() : 'Processed the content as requested.',
-    result: resultMatch ? resultMatch[1].trim() : result,
+    result: processed,
     command: command,
     isPredefined: isPredefined,
     description: isPredefined ? COMMAND_DESCRIPTIONS[command] || PREDEFINED_COMMANDS[command] : `Custom: ${command}`
@@ -243,48 +257,10 @@ Important:
 }
 
 // Main API handler
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  // Only POST allowed
-  if (req.method !== 'POST') {
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed. Use POST.'
-    });
-  }
-
+async function handler(req, res) {
   try {
-    const { action, user_id, content, type = 'note', command } = req.body;
-
-    // Validate required fields
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id is required'
-      });
-    }
-
-    // Verify user exists
-    const userExists = await validateUser(user_id);
-    if (!userExists) {
-      return res.status(401).json({
-        success: false,
-        error: 'User does not exist or is not authorized'
-      });
-    }
+    const { action, content, type = 'note', command } = req.body;
+    const user_id = req.user?.user_id;
 
     // Route based on action
     switch (action) {
@@ -387,13 +363,6 @@ export default async function handler(req, res) {
 
       case 'commands':
         // List available commands (doesn't count toward usage)
-        if (!user_id) {
-          return res.status(400).json({
-            success: false,
-            error: 'user_id is required'
-          });
-        }
-
         const commandsList = Object.entries(PREDEFINED_COMMANDS).map(([name, description]) => ({
           name,
           description: COMMAND_DESCRIPTIONS[name] || description.split('.')[0] + '.',
@@ -413,13 +382,6 @@ export default async function handler(req, res) {
 
       case 'usage':
         // Get user usage stats (doesn't count toward usage)
-        if (!user_id) {
-          return res.status(400).json({
-            success: false,
-            error: 'user_id is required'
-          });
-        }
-
         const usageStats = await getUserUsage(user_id);
         return res.status(200).json({
           success: true,
@@ -485,4 +447,11 @@ export default async function handler(req, res) {
       error: error.message || 'Internal server error'
     });
   }
-}
\ No newline at end of file
+}
+
+export default withApi(handler, {
+  name: 'AI API',
+  methods: ['POST'],
+  // config is read-only and public; every other action is billed to the signed-in user
+  auth: (req) => req.body?.action === 'config' ? 'optional' : 'required'
+});
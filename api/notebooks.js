@@ -0,0 +1,258 @@
+// api/notebooks.js
+import { db } from "../utils/firebase.js";
+import { v4 as uuidv4 } from 'uuid';
+import { withApi } from "../utils/api.js";
+import { ensureUserListed, getNoteById } from "../utils/note-storage.js";
+import { getUserListing, getUserTrash, addListingUpdates } from "../utils/note-listing.js";
+import {
+  getOwnedNotebook,
+  getUserNotebooks,
+  parseNotebookName,
+  checkNotebookParent
+} from "../utils/notebooks.js";
+
+// Create a notebook, optionally inside another one
+async function createNotebook(userId, name, parentId) {
+  const notebooks = await getUserNotebooks(userId);
+  checkNotebookParent(notebooks, null, parentId);
+
+  const timestamp = Date.now();
+  const notebook = {
+    notebook_id: uuidv4(),
+    user_id: userId,
+    name: name,
+    parent_id: parentId || null,
+    created_at: timestamp,
+    updated_at: timestamp
+  };
+
+  await db.ref(`notebooks/${notebook.notebook_id}`).set(notebook);
+  return notebook;
+}
+
+// Rename a notebook and/or move it under another parent (null = top level)
+async function updateNotebook(notebookId, userId, { name, parentId }) {
+  const notebook = await getOwnedNotebook(notebookId, userId);
+  const updates = { updated_at: Date.now() };
+
+  if (name !== undefined) {
+    updates.name = name;
+  }
+
+  if (parentId !== undefined) {
+    const notebooks = await getUserNotebooks(userId);
+    checkNotebookParent(notebooks, notebookId, parentId);
+    updates.parent_id = parentId || null;
+  }
+
+  await db.ref(`notebooks/${notebookId}`).update(updates);
+  return { ...notebook, ...updates };
+}
+
+// The user's notes (trashed ones too) filed directly in a notebook, found through the listing index
+async function getNotebookNotes(userId, notebookId) {
+  await ensureUserListed(userId);
+  const [listing, trash] = await Promise.all([getUserListing(userId), getUserTrash(userId)]);
+
+  const noteIds = [
+    ...Object.keys(listing).filter(noteId => listing[noteId].notebook_id === notebookId),
+    ...Object.keys(trash)
+  ];
+  const notes = await Promise.all(noteIds.map(noteId => getNoteById(noteId)));
+  return notes.filter(note => note && note.user_id === userId && note.notebook_id === notebookId);
+}
+
+// Delete a notebook; its notes and sub-notebooks move up to its parent
+async function deleteNotebook(notebookId, userId) {
+  const notebook = await getOwnedNotebook(notebookId, userId);
+  const [notebooks, notes] = await Promise.all([
+    getUserNotebooks(userId),
+    getNotebookNotes(userId, notebookId)
+  ]);
+
+  const updates = { [`notebooks/${notebookId}`]: null };
+
+  Object.values(notebooks)
+    .filter(child => child.parent_id === notebookId)
+    .forEach(child => {
+      updates[`notebooks/${child.notebook_id}/parent_id`] = notebook.parent_id || null;
+    });
+
+  notes.forEach(note => {
+    updates[`notes/${note.note_id}/notebook_id`] = notebook.parent_id || null;
+    addListingUpdates(updates, { ...note, notebook_id: notebook.parent_id || null });
+  });
+
+  await db.ref().update(updates);
+  return notebook;
+}
+
+// All of a user's notebooks with their note counts (trashed notes not counted)
+async function listNotebooks(userId) {
+  await ensureUserListed(userId);
+  const [notebooks, listing] = await Promise.all([
+    getUserNotebooks(userId),
+    getUserListing(userId)
+  ]);
+
+  const counts = {};
+  Object.values(listing).forEach(entry => {
+    if (entry.notebook_id) {
+      counts[entry.notebook_id] = (counts[entry.notebook_id] || 0) + 1;
+    }
+  });
+
+  return Object.values(notebooks)
+    .map(notebook => ({ ...notebook, note_count: counts[notebook.notebook_id] || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function handler(req, res) {
+  const { method } = req;
+
+  if (method === 'GET') {
+    return await handleListNotebooks(req, res);
+  } else if (method === 'POST') {
+    return await handleCreateNotebook(req, res);
+  } else if (method === 'PUT') {
+    return await handleUpdateNotebook(req, res);
+  } else if (method === 'DELETE') {
+    return await handleDeleteNotebook(req, res);
+  }
+}
+
+export default withApi(handler, {
+  name: 'Notebooks API'
+});
+
+// Map the helpers' thrown errors onto responses
+function sendNotebookError(res, error) {
+  if (error.message === 'Notebook not found' || error.message === 'Parent notebook not found') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.startsWith('A notebook cannot') || error.message.startsWith('Notebooks can be nested')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/notebooks - List the user's notebooks (flat; nest them by parent_id)
+async function handleListNotebooks(req, res) {
+  try {
+    const notebooks = await listNotebooks(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      notebooks: notebooks,
+      count: notebooks.length
+    });
+  } catch (error) {
+    return sendNotebookError(res, error);
+  }
+}
+
+// POST /api/notebooks - Create a notebook { name, parent_id? }
+async function handleCreateNotebook(req, res) {
+  try {
+    const name = parseNotebookName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notebook name is required (up to 100 characters)'
+      });
+    }
+
+    const notebook = await createNotebook(req.user.user_id, name, req.body.parent_id || null);
+
+    return res.status(201).json({
+      success: true,
+      notebook: notebook,
+      message: 'Notebook created'
+    });
+  } catch (error) {
+    return sendNotebookError(res, error);
+  }
+}
+
+// PUT /api/notebooks - Rename or move a notebook { notebook_id, name?, parent_id? }
+async function handleUpdateNotebook(req, res) {
+  try {
+    const { notebook_id, name: rawName, parent_id } = req.body;
+
+    if (!notebook_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notebook ID is required'
+      });
+    }
+
+    const changes = {};
+    if (rawName !== undefined) {
+      changes.name = parseNotebookName(rawName);
+      if (!changes.name) {
+        return res.status(400).json({
+          success: false,
+          error: 'Notebook name is required (up to 100 characters)'
+        });
+      }
+    }
+    if (parent_id !== undefined) {
+      changes.parentId = parent_id;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No update data provided'
+      });
+    }
+
+    const notebook = await updateNotebook(notebook_id, req.user.user_id, changes);
+
+    return res.status(200).json({
+      success: true,
+      notebook: notebook,
+      message: 'Notebook updated'
+    });
+  } catch (error) {
+    return sendNotebookError(res, error);
+  }
+}
+
+// DELETE /api/notebooks?notebook_id= - Delete a notebook, keeping its contents
+async function handleDeleteNotebook(req, res) {
+  try {
+    const { notebook_id } = req.query;
+
+    if (!notebook_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notebook ID is required'
+      });
+    }
+
+    await deleteNotebook(notebook_id, req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notebook deleted'
+    });
+  } catch (error) {
+    return sendNotebookError(res, error);
+  }
+}
@@ -1,320 +1,649 @@
 // api/notes.js
 import { db } from "../utils/firebase.js";
 import { v4 as uuidv4 } from 'uuid';
-
-// Helper to validate user existence
-async function validateUserExistence(userId) {
-  const snapshot = await db.ref('users').orderByChild('user_id').equalTo(userId).once('value');
-  return snapshot.exists();
-}
-
-// Helper to get user by user_id
-async function getUserByUserId(userId) {
-  const snapshot = await db.ref('users').orderByChild('user_id').equalTo(userId).once('value');
-  if (snapshot.exists()) {
-    const users = snapshot.val();
-    const uid = Object.keys(users)[0];
-    return { uid, ...users[uid] };
-  }
-  return null;
-}
-
-// Create a new note
-async function createNote(userId, noteData) {
-  const noteId = uuidv4();
-  const timestamp = Date.now();
-
-  const note = {
-    note_id: noteId,
-    user_id: userId,
-    title: noteData.title || '',
-    text: noteData.text || '',
-    public: noteData.public !== undefined ? Boolean(noteData.public) : false,
-    created_at: timestamp,
-    updated_at: timestamp,
-    comment_count: 0
-  };
-
-  await db.ref(`notes/${noteId}`).set(note);
-  return note;
-}
-
-// Get note by ID
-async function getNoteById(noteId) {
-  const snapshot = await db.ref(`notes/${noteId}`).once('value');
-  if (snapshot.exists()) {
-    return snapshot.val();
-  }
-  return null;
-}
-
-// Get note with comments
-async function getNoteWithComments(noteId) {
+import { withApi, emailNotVerified, getClientIp, httpError } from "../utils/api.js";
+import { isEmailVerified } from "../utils/users.js";
+import { getPublicProfile } from "../utils/profile.js";
+import { createNote, purgeNote, getNotesByOwner, getNoteById, ensureUserListed, TRASH_RETENTION_MS } from "../utils/note-storage.js";
+import { recordRevision, listRevisions, getRevision, hasRevisions } from "../utils/note-revisions.js";
+import { diffLines, diffWords, diffStats } from "../utils/diff.js";
+import { getNoteTags, parseTags, parseTag, syncTagIndex, getTaggedNoteIds, listTags, mergeTags } from "../utils/note-tags.js";
+import { getOwnedNotebook, getUserNotebooks, collectNotebookTree } from "../utils/notebooks.js";
+import {
+  NOTE_SORTS,
+  NOTE_PAGE_DEFAULT,
+  NOTE_PAGE_MAX,
+  syncNoteListing,
+  addListingUpdates,
+  getUserListing,
+  getUserTrash,
+  pageListing,
+  pageEntries,
+  listingEntry,
+  decodeCursor
+} from "../utils/note-listing.js";
+import { indexNote, unindexNote, isUserIndexed, indexUserNotes, searchIndex, buildSnippet, highlightRanges, toPlainText } from "../utils/search-index.js";
+import { isNoteOwner, getNoteRole, canEditNote, canViewNote, canCommentOnNote, EDITOR_FIELDS } from "../utils/note-access.js";
+import { getSharedWith } from "../utils/note-shares.js";
+import {
+  COMMENT_REACTIONS,
+  COMMENT_POLICIES,
+  isCommentReaction,
+  isCommentPolicy,
+  isPending,
+  getComment,
+  listComments,
+  presentComment,
+  saveComment,
+  editComment,
+  removeComment,
+  toggleReaction,
+  approveComment,
+  listModerationQueue
+} from "../utils/note-comments.js";
+import { takeCommentSlot, scoreComment, SPAM_HOLD_SCORE, SPAM_REJECT_SCORE } from "../utils/comment-guard.js";
+import { markdownToHtml, htmlToMarkdown, noteToMarkdownFile, markdownFileName, parseMarkdownFile } from "../utils/markdown.js";
+import { parseTasks, setTaskCheckedInHtml, setTaskCheckedInMarkdown } from "../utils/checklists.js";
+import {
+  TASK_FILTERS,
+  todayIn,
+  indexNoteTasks,
+  unindexNoteTasks,
+  isUserTaskIndexed,
+  indexUserTasks,
+  listOpenTasks
+} from "../utils/note-tasks.js";
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const COMMENT_MAX_LENGTH = 2000;
+const COMMENT_NAME_MAX_LENGTH = 50;
+const IMPORT_MAX_FILES = 50;
+const IMPORT_MAX_FILE_SIZE = 512 * 1024;
+
+// Get note with comments (as the viewer sees them)
+async function getNoteWithComments(noteId, viewerId) {
   const note = await getNoteById(noteId);
   if (!note) return null;
 
-  // Get comments for this note
-  const commentsSnapshot = await db.ref(`comments/${noteId}`).orderByChild('created_at').once('value');
-  const comments = commentsSnapshot.val() || {};
-  
-  // Convert to array and sort by creation date (newest first)
-  const commentsArray = Object.values(comments).sort((a, b) => b.created_at - a.created_at);
+  // Newest first; replies carry parent_comment_id for clients to nest them
+  const comments = await listComments(noteId);
   
   return {
     ...note,
-    comments: commentsArray
+    comments: comments.map(comment => presentComment(comment, viewerId))
   };
 }
 
-// Add comment to note
-async function addComment(noteId, commentData) {
+// Get a note the user may comment on (public notes, or private ones shared with the commenter)
+async function getCommentableNote(noteId, userId) {
   const note = await getNoteById(noteId);
-  if (!note) {
+  if (!note || note.deleted_at) {
     throw new Error('Note not found');
   }
 
-  // Check if note is public (allow comments on public notes)
-  if (!note.public) {
-    throw new Error('Cannot comment on private notes');
+  if (!(await canCommentOnNote(note, userId))) {
+    const role = await getNoteRole(note, userId);
+    throw new Error(role ? 'Viewers cannot comment on this note' : 'Cannot comment on private notes');
   }
 
-  const commentId = uuidv4();
-  const timestamp = Date.now();
-  
-  const comment = {
-    comment_id: commentId,
-    note_id: noteId,
+  return note;
+}
+
+/**
+ * Add comment to note, as a reply when parent_comment_id is given. The note's comment
+ * policy, the rate limits and the spam score decide whether it is published, held for
+ * the owner's approval or refused. The owner's own comments skip policy and spam checks.
+ * Returns { comment, comment_count, pending }.
+ */
+async function addComment(noteId, commentData, ip) {
+  const commenterId = commentData.user_id !== 'anonymous' ? commentData.user_id : null;
+  const note = await getCommentableNote(noteId, commenterId);
+  const isOwner = isNoteOwner(note, commenterId);
+  const policy = note.comment_policy || 'open';
+
+  if (!isOwner && policy === 'closed') {
+    throw new Error('Comments are closed on this note');
+  }
+  if (!isOwner && policy === 'signed_in' && !commenterId) {
+    throw new Error('Sign in to comment on this note');
+  }
+
+  let parent = null;
+  if (commentData.parent_comment_id) {
+    parent = await getComment(noteId, commentData.parent_comment_id);
+    if (!parent || isPending(parent)) {
+      throw new Error('Parent comment not found');
+    }
+  }
+
+  const { retryAfter, repeated } = await takeCommentSlot(commenterId, ip, commentData.text);
+  if (retryAfter > 0) {
+    throw httpError(429, 'You are commenting too fast. Please wait a moment.', {
+      retry_after: Math.ceil(retryAfter / 1000)
+    });
+  }
+
+  let hold = null;
+  if (!isOwner) {
+    const { score, reasons } = scoreComment(commentData.text, { repeated });
+    if (score >= SPAM_REJECT_SCORE) {
+      throw new Error('Your comment looks like spam and was not posted');
+    }
+    if (score >= SPAM_HOLD_SCORE || policy === 'approve_first') {
+      hold = {
+        spam_score: score,
+        reasons: policy === 'approve_first' ? ['approval_required', ...reasons] : reasons
+      };
+    }
+  }
+
+  const result = await saveComment(note, uuidv4(), {
     user_id: commentData.user_id || 'anonymous',
     name: commentData.name || 'Anonymous',
-    text: commentData.text,
-    created_at: timestamp,
-    updated_at: timestamp
-  };
+    text: commentData.text
+  }, parent, hold);
 
-  // Save comment
-  await db.ref(`comments/${noteId}/${commentId}`).set(comment);
-  
-  // Update comment count in note
-  const newCommentCount = (note.comment_count || 0) + 1;
-  await db.ref(`notes/${noteId}`).update({
-    comment_count: newCommentCount,
-    updated_at: timestamp
-  });
+  return { ...result, pending: Boolean(hold) };
+}
+
+// Get comments for a note the user can see
+async function getComments(noteId, userId, limit = 50) {
+  const note = await getNoteById(noteId);
+  if (!note || note.deleted_at) {
+    throw new Error('Note not found');
+  }
+  if (!(await canViewNote(note, userId))) {
+    throw new Error('Unauthorized: This note is private');
+  }
 
-  return { comment, comment_count: newCommentCount };
+  const comments = await listComments(noteId, limit);
+  return comments.map(comment => presentComment(comment, userId));
 }
 
-// Get comments for a note
-async function getComments(noteId, limit = 50) {
-  const snapshot = await db.ref(`comments/${noteId}`).orderByChild('created_at').limitToLast(limit).once('value');
-  const comments = snapshot.val() || {};
-  
-  // Convert to array and sort by creation date (newest first)
-  return Object.values(comments).sort((a, b) => b.created_at - a.created_at);
+// Change the text of a comment (its signed-in author only)
+async function updateComment(noteId, commentId, userId, text) {
+  const note = await getCommentableNote(noteId, userId);
+
+  const comment = await getComment(noteId, commentId);
+  if (!comment || comment.deleted_at || isPending(comment)) {
+    throw new Error('Comment not found');
+  }
+
+  if (comment.user_id !== userId) {
+    throw new Error('Unauthorized: You can only edit your own comments');
+  }
+
+  // Edits must not sneak past the spam check a new comment would face
+  if (!isNoteOwner(note, userId) && scoreComment(text).score >= SPAM_HOLD_SCORE) {
+    throw new Error('Your comment looks like spam and was not posted');
+  }
+
+  return presentComment(await editComment(noteId, comment, text), userId);
+}
+
+// Add or take back a reaction to a comment
+async function reactToComment(noteId, commentId, userId, reaction) {
+  await getCommentableNote(noteId, userId);
+
+  const comment = await getComment(noteId, commentId);
+  if (!comment || comment.deleted_at || isPending(comment)) {
+    throw new Error('Comment not found');
+  }
+
+  return await toggleReaction(noteId, commentId, reaction, userId);
 }
 
-// Update note
-async function updateNote(noteId, userId, updateData) {
+// Get a note the user owns (throws like the other helpers).
+// Trashed notes count as missing unless asked for.
+async function getOwnedNote(noteId, userId, { includeTrashed = false } = {}) {
   const note = await getNoteById(noteId);
-  if (!note) {
+  if (!note || (note.deleted_at && !includeTrashed)) {
     throw new Error('Note not found');
   }
 
-  // Check if user owns the note
   if (note.user_id !== userId) {
     throw new Error('Unauthorized: You do not own this note');
   }
 
+  return note;
+}
+
+// Get a note the user owns or was shared as an editor
+async function getEditableNote(noteId, userId) {
+  const note = await getNoteById(noteId);
+  if (!note || note.deleted_at) {
+    throw new Error('Note not found');
+  }
+
+  if (!(await canEditNote(note, userId))) {
+    throw new Error('Unauthorized: You cannot edit this note');
+  }
+
+  return note;
+}
+
+// Update note (every change is also saved as a revision).
+// Editors other than the owner may only change the fields in EDITOR_FIELDS.
+async function updateNote(noteId, userId, updateData, revisionOptions = {}) {
+  const note = await getEditableNote(noteId, userId);
+
+  if (!isNoteOwner(note, userId)) {
+    const ownerOnly = Object.keys(updateData).filter(field => !EDITOR_FIELDS.includes(field));
+    if (ownerOnly.length) {
+      throw new Error(`Unauthorized: Only the owner can change ${ownerOnly.join(', ')}`);
+    }
+  }
+
+  // Notes from before version history get their pre-edit state saved first
+  if (!(await hasRevisions(noteId))) {
+    await recordRevision(note, { reason: 'initial' });
+  }
+
   const updates = {
     updated_at: Date.now(),
     ...updateData
   };
 
+  // Text saved without its Markdown source (rich text editor, live editing, a restored
+  // revision) no longer matches the old source
+  if (updates.text !== undefined && updates.markdown === undefined) {
+    updates.markdown = null;
+  }
+
   // Remove fields that shouldn't be updated
   delete updates.note_id;
   delete updates.user_id;
   delete updates.created_at;
   delete updates.comment_count;
+  delete updates.collab_enabled;
 
   await db.ref(`notes/${noteId}`).update(updates);
 
-  return { ...note, ...updates };
+  const updatedNote = { ...note, ...updates };
+  await recordRevision(updatedNote, { userId, ...revisionOptions });
+  if (updates.tags) {
+    await syncTagIndex(note.user_id, noteId, getNoteTags(note), updates.tags);
+  }
+  await syncNoteListing(updatedNote);
+  await indexNote(updatedNote);
+  await indexNoteTasks(updatedNote);
+
+  return updatedNote;
 }
 
-// Delete note (and all its comments)
+// Move note to the trash (comments and history stay until it is purged)
 async function deleteNote(noteId, userId) {
-  const note = await getNoteById(noteId);
-  if (!note) {
-    throw new Error('Note not found');
+  const note = await getOwnedNote(noteId, userId);
+  const deletedAt = Date.now();
+
+  await db.ref(`notes/${noteId}`).update({
+    deleted_at: deletedAt
+  });
+  await syncTagIndex(userId, noteId, getNoteTags(note), []);
+  await syncNoteListing({ ...note, deleted_at: deletedAt });
+  await unindexNote(noteId);
+  await unindexNoteTasks(userId, noteId);
+
+  return true;
+}
+
+// Bring a note back out of the trash
+async function restoreNote(noteId, userId) {
+  const note = await getOwnedNote(noteId, userId, { includeTrashed: true });
+  if (!note.deleted_at) {
+    throw new Error('Note is not in the trash');
   }
 
-  // Check if user owns the note
-  if (note.user_id !== userId) {
-    throw new Error('Unauthorized: You do not own this note');
+  await db.ref(`notes/${noteId}/deleted_at`).remove();
+
+  const { deleted_at, ...restored } = note;
+  await syncTagIndex(userId, noteId, [], getNoteTags(restored));
+  await syncNoteListing(restored);
+  await indexNote(restored);
+  await indexNoteTasks(restored);
+  return restored;
+}
+
+// Permanently delete a trashed note (and all its comments)
+async function purgeTrashedNote(noteId, userId) {
+  const note = await getOwnedNote(noteId, userId, { includeTrashed: true });
+  if (!note.deleted_at) {
+    throw new Error('Note is not in the trash');
   }
 
-  // Delete note
-  await db.ref(`notes/${noteId}`).remove();
-  
-  // Delete all comments for this note
-  await db.ref(`comments/${noteId}`).remove();
-  
+  await purgeNote(noteId);
   return true;
 }
 
-// Delete comment
+// Trashed notes for a user, most recently deleted first
+async function listTrash(userId) {
+  await ensureUserListed(userId);
+
+  const trashed = await getUserTrash(userId);
+  const notes = (await Promise.all(Object.keys(trashed).map(noteId => getNoteById(noteId))))
+    .filter(note => note && note.deleted_at && note.user_id === userId)
+    .map(note => ({ ...note, purge_at: note.deleted_at + TRASH_RETENTION_MS }));
+
+  notes.sort((a, b) => b.deleted_at - a.deleted_at);
+  return notes;
+}
+
+// Delete comment (replies stay, under a "deleted" placeholder); returns the new comment_count
 async function deleteComment(noteId, commentId, userId) {
-  const commentRef = db.ref(`comments/${noteId}/${commentId}`);
-  const commentSnapshot = await commentRef.once('value');
-  
-  if (!commentSnapshot.exists()) {
+  const comment = await getComment(noteId, commentId);
+  if (!comment || comment.deleted_at) {
     throw new Error('Comment not found');
   }
 
-  const comment = commentSnapshot.val();
-  
   // Only note owner or comment creator can delete
   const note = await getNoteById(noteId);
+  if (!note) {
+    throw new Error('Note not found');
+  }
   if (note.user_id !== userId && comment.user_id !== userId) {
     throw new Error('Unauthorized: You cannot delete this comment');
   }
 
-  // Delete comment
-  await commentRef.remove();
-  
-  // Update comment count in note
-  const newCommentCount = Math.max(0, (note.comment_count || 1) - 1);
-  await db.ref(`notes/${noteId}`).update({
-    comment_count: newCommentCount,
-    updated_at: Date.now()
+  return await removeComment(noteId, comment);
+}
+
+// Held comments on the user's notes, with enough of each note to show where they were posted
+async function getModerationQueue(userId) {
+  const entries = await listModerationQueue(userId);
+
+  const items = await Promise.all(entries.map(async entry => {
+    const [note, comment] = await Promise.all([
+      getNoteById(entry.note_id),
+      getComment(entry.note_id, entry.comment_id)
+    ]);
+    if (!note || note.deleted_at || !comment) return null;
+
+    return {
+      ...presentComment(comment, userId),
+      spam_score: entry.spam_score || 0,
+      reasons: entry.reasons || [],
+      note_title: note.title || ''
+    };
+  }));
+
+  return items.filter(Boolean);
+}
+
+// Approve or reject a held comment (note owner only); returns the new comment_count
+async function moderateComment(noteId, commentId, userId, decision) {
+  const note = await getOwnedNote(noteId, userId);
+
+  const comment = await getComment(noteId, commentId);
+  if (!comment || !isPending(comment)) {
+    throw new Error('Comment not found');
+  }
+
+  return decision === 'approve'
+    ? await approveComment(note, comment)
+    : await removeComment(noteId, comment);
+}
+
+// Move notes into a notebook (null = no notebook)
+async function moveNotes(noteIds, userId, notebookId) {
+  if (notebookId) {
+    await getOwnedNotebook(notebookId, userId);
+  }
+
+  const notes = await Promise.all(noteIds.map(noteId => getOwnedNote(noteId, userId)));
+
+  const updates = {};
+  notes.forEach(note => {
+    updates[`notes/${note.note_id}/notebook_id`] = notebookId || null;
+    addListingUpdates(updates, { ...note, notebook_id: notebookId || null });
   });
+  await db.ref().update(updates);
 
-  return true;
+  return notes.length;
 }
 
-// List notes for a user
-async function listNotes(userId, includePublic = false) {
-  let notes = [];
+// Load the notes behind a page of listing keys, dropping any the index still lists by mistake
+async function loadListedNotes(noteIds, isVisible) {
+  const notes = await Promise.all(noteIds.map(noteId => getNoteById(noteId)));
+  return notes.filter(note => note && !note.deleted_at && isVisible(note));
+}
 
-  if (includePublic) {
-    // Get user's notes
-    const userSnapshot = await db.ref('notes').orderByChild('user_id').equalTo(userId).once('value');
-    const userNotes = userSnapshot.val() || {};
+// One page of a user's notes. Filters: tag, notebookId (with recursive for nested notebooks).
+async function listNotes(userId, { sort, order, limit, cursor, tag = null, notebookId = null, recursive = false }) {
+  await ensureUserListed(userId);
 
-    // Get public notes from other users
-    const publicSnapshot = await db.ref('notes').orderByChild('public').equalTo(true).once('value');
-    const publicNotes = publicSnapshot.val() || {};
+  let page;
+  if (tag || notebookId) {
+    let entries = await getUserListing(userId);
 
-    // Combine, remove duplicates, and exclude user's public notes from public list
-    const combinedNotes = { ...userNotes };
-    Object.keys(publicNotes).forEach(noteId => {
-      if (publicNotes[noteId].user_id !== userId) {
-        combinedNotes[noteId] = publicNotes[noteId];
-      }
-    });
+    if (tag) {
+      const tagged = new Set(await getTaggedNoteIds(userId, tag));
+      entries = Object.fromEntries(Object.entries(entries).filter(([noteId]) => tagged.has(noteId)));
+    }
+
+    if (notebookId) {
+      const notebookIds = recursive
+        ? collectNotebookTree(await getUserNotebooks(userId), notebookId)
+        : new Set([notebookId]);
+      entries = Object.fromEntries(Object.entries(entries).filter(([, entry]) => notebookIds.has(entry.notebook_id)));
+    }
 
-    notes = Object.values(combinedNotes);
+    page = pageEntries(entries, { sort, order, limit, cursor });
   } else {
-    // Get only user's notes
-    const snapshot = await db.ref('notes').orderByChild('user_id').equalTo(userId).once('value');
-    const notesObj = snapshot.val() || {};
-    notes = Object.values(notesObj);
+    page = await pageListing(`user_notes/${userId}`, { sort, order, limit, cursor });
   }
 
-  // Sort by updated_at descending
-  notes.sort((a, b) => b.updated_at - a.updated_at);
+  const notes = await loadListedNotes(page.keys, note => note.user_id === userId);
+  return { notes, nextCursor: page.nextCursor };
+}
+
+// One page of the notes other users shared with this user; each note carries `shared_role`
+async function listSharedNotes(userId, { sort, order, limit, cursor }) {
+  const sharedWith = await getSharedWith(userId);
+  const notes = (await loadListedNotes(Object.keys(sharedWith), () => true))
+    .map(note => ({ ...note, shared_role: sharedWith[note.note_id].role }));
 
-  return notes;
+  const entries = Object.fromEntries(notes.map(note => [note.note_id, listingEntry(note)]));
+  const page = pageEntries(entries, { sort, order, limit, cursor });
+  const byId = Object.fromEntries(notes.map(note => [note.note_id, note]));
+
+  return { notes: page.keys.map(noteId => byId[noteId]), nextCursor: page.nextCursor };
+}
+
+// One page of everyone's public notes
+async function listPublicNotes({ sort, order, limit, cursor }) {
+  const page = await pageListing('public_notes', { sort, order, limit, cursor });
+  const notes = await loadListedNotes(page.keys, note => note.public === true);
+  return { notes, nextCursor: page.nextCursor };
 }
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
+// Totals for the dashboard, read from the listing index
+async function getNoteStats(userId) {
+  await ensureUserListed(userId);
+
+  const entries = Object.values(await getUserListing(userId));
+  return {
+    total: entries.length,
+    public: entries.filter(entry => entry.public).length,
+    comments: entries.reduce((sum, entry) => sum + (entry.comment_count || 0), 0)
+  };
+}
 
-  // Handle OPTIONS request for CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+// Full-text search over the user's notes, and optionally everyone's public notes
+async function searchNotes(userId, query, { includePublic = false, limit = SEARCH_DEFAULT_LIMIT, offset = 0 } = {}) {
+  // Notes written before search existed get indexed on their owner's first search
+  if (!(await isUserIndexed(userId))) {
+    await indexUserNotes(userId, Object.values(await getNotesByOwner(userId)));
   }
 
-  try {
-    const { method, query } = req;
-    
-    // Check for comment-related actions in query params
-    const action = query.action || (req.body && req.body.action);
-
-    if (action === 'add_comment') {
-      return await handleAddComment(req, res);
-    } else if (action === 'get_comments') {
-      return await handleGetComments(req, res);
-    } else if (action === 'delete_comment') {
-      return await handleDeleteComment(req, res);
-    } else if (method === 'POST') {
-      return await handleCreateNote(req, res);
-    } else if (method === 'GET') {
-      return await handleGetNotes(req, res);
-    } else if (method === 'PUT') {
-      return await handleUpdateNote(req, res);
-    } else if (method === 'DELETE') {
-      return await handleDeleteNote(req, res);
-    } else {
-      return res.status(405).json({
-        success: false,
-        error: 'Method not allowed'
-      });
+  const { terms, matches } = await searchIndex(userId, query, { includePublic });
+
+  // Load notes in ranked order until the page is full; the index can briefly lag behind a note
+  const results = [];
+  let skipped = 0;
+  for (const match of matches) {
+    if (results.length >= limit) break;
+
+    const note = await getNoteById(match.note_id);
+    if (!note || note.deleted_at || (note.user_id !== userId && !note.public)) {
+      continue;
+    }
+    if (skipped < offset) {
+      skipped++;
+      continue;
     }
-  } catch (error) {
-    console.error('Notes API error:', error);
 
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'An error occurred'
+    results.push({
+      note_id: note.note_id,
+      user_id: note.user_id,
+      title: note.title,
+      public: note.public,
+      updated_at: note.updated_at,
+      comment_count: note.comment_count || 0,
+      score: Math.round(match.score * 1000) / 1000,
+      title_highlights: highlightRanges(note.title || '', terms),
+      snippet: buildSnippet(note.text, terms)
     });
   }
+
+  return { terms, results, total: matches.length };
+}
+
+// Reads and commenting work without a session; everything else needs one
+function notesAuthMode(req) {
+  const action = req.query.action || (req.body && req.body.action);
+
+  if (action === 'get_comments' || action === 'add_comment') {
+    return 'optional';
+  }
+  if (req.method === 'GET' && (req.query.note_id || req.query.feed === 'public')) {
+    return 'optional';
+  }
+  return 'required';
+}
+
+async function handler(req, res) {
+  const { method, query } = req;
+
+  // Check for comment-related actions in query params
+  const action = query.action || (req.body && req.body.action);
+
+  if (action === 'add_comment') {
+    return await handleAddComment(req, res);
+  } else if (action === 'get_comments') {
+    return await handleGetComments(req, res);
+  } else if (action === 'delete_comment') {
+    return await handleDeleteComment(req, res);
+  } else if (action === 'edit_comment') {
+    return await handleEditComment(req, res);
+  } else if (action === 'react_comment') {
+    return await handleReactComment(req, res);
+  } else if (action === 'moderation_queue') {
+    return await handleModerationQueue(req, res);
+  } else if (action === 'moderate_comment') {
+    return await handleModerateComment(req, res);
+  } else if (action === 'export') {
+    return await handleExportNote(req, res);
+  } else if (action === 'import') {
+    return await handleImportNotes(req, res);
+  } else if (action === 'convert_markdown') {
+    return await handleConvertMarkdown(req, res);
+  } else if (action === 'search') {
+    return await handleSearch(req, res);
+  } else if (action === 'note_stats') {
+    return await handleNoteStats(req, res);
+  } else if (action === 'list_tasks') {
+    return await handleListTasks(req, res);
+  } else if (action === 'update_task') {
+    return await handleUpdateTask(req, res);
+  } else if (action === 'list_tags') {
+    return await handleListTags(req, res);
+  } else if (action === 'rename_tag') {
+    return await handleRenameTag(req, res);
+  } else if (action === 'merge_tags') {
+    return await handleMergeTags(req, res);
+  } else if (action === 'move_notes') {
+    return await handleMoveNotes(req, res);
+  } else if (action === 'list_trash') {
+    return await handleListTrash(req, res);
+  } else if (action === 'restore_note') {
+    return await handleRestoreNote(req, res);
+  } else if (action === 'purge_note') {
+    return await handlePurgeNote(req, res);
+  } else if (action === 'empty_trash') {
+    return await handleEmptyTrash(req, res);
+  } else if (action === 'list_revisions') {
+    return await handleListRevisions(req, res);
+  } else if (action === 'get_revision') {
+    return await handleGetRevision(req, res);
+  } else if (action === 'diff_revisions') {
+    return await handleDiffRevisions(req, res);
+  } else if (action === 'restore_revision') {
+    return await handleRestoreRevision(req, res);
+  } else if (method === 'POST') {
+    return await handleCreateNote(req, res);
+  } else if (method === 'GET') {
+    return await handleGetNotes(req, res);
+  } else if (method === 'PUT') {
+    return await handleUpdateNote(req, res);
+  } else if (method === 'DELETE') {
+    return await handleDeleteNote(req, res);
+  }
 }
 
+export default withApi(handler, {
+  name: 'Notes API',
+  auth: notesAuthMode
+});
+
 // POST /api/notes - Create a new note
 async function handleCreateNote(req, res) {
   try {
-    const { action, title, text, public: isPublic, user_id } = req.body;
+    const { title, text, markdown, public: isPublic, tags, notebook_id } = req.body;
 
-    // Validate required fields
-    if (!text) {
+    if (markdown !== undefined && markdown !== null && typeof markdown !== 'string') {
       return res.status(400).json({
         success: false,
-        error: 'Text is required'
+        error: 'markdown must be a string'
       });
     }
 
-    if (!user_id) {
+    // Validate required fields
+    if (!text && !markdown) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'Text is required'
       });
     }
 
-    // Validate user existence
-    const userExists = await validateUserExistence(user_id);
-    if (!userExists) {
+    const parsedTags = tags !== undefined ? parseTags(tags) : { tags: [] };
+    if (parsedTags.error) {
       return res.status(400).json({
         success: false,
-        error: 'User does not exist'
+        error: parsedTags.error
       });
     }
 
+    if (notebook_id) {
+      await getOwnedNotebook(notebook_id, req.user.user_id);
+    }
+
+    // Without an explicit choice, follow the author's default (public needs a verified email)
+    const defaultPublic = req.user.default_note_visibility === 'public' && isEmailVerified(req.user);
     const noteData = {
       title: title || '',
-      text: text,
-      public: isPublic !== undefined ? Boolean(isPublic) : false
+      text: markdown ? markdownToHtml(markdown) : text,
+      markdown: markdown || null,
+      public: isPublic !== undefined ? Boolean(isPublic) : defaultPublic,
+      tags: parsedTags.tags,
+      notebook_id: notebook_id || null
     };
 
-    const note = await createNote(user_id, noteData);
+    if (noteData.public && !isEmailVerified(req.user)) {
+      return emailNotVerified(res, 'making notes public');
+    }
+
+    const note = await createNote(req.user.user_id, noteData);
 
     return res.status(201).json({
       success: true,
@@ -327,21 +656,57 @@ async function handleCreateNote(req, res) {
         created_at: note.created_at,
         updated_at: note.updated_at,
         comment_count: note.comment_count || 0,
+        tags: note.tags,
+        notebook_id: note.notebook_id,
      
       message: 'Note created successfully'
     });
   } catch (error) {
-    return res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    return sendNoteError(res, error);
+  }
+}
+
+// Read sort/order/limit/cursor from a list request; returns the options or { error }
+function parsePaging(query) {
+  const sort = query.sort || 'updated_at';
+  if (!NOTE_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(NOTE_SORTS).join(', ')}` };
+  }
+
+  const order = query.order || NOTE_SORTS[sort].order;
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || NOTE_PAGE_DEFAULT, 1), NOTE_PAGE_MAX);
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
   }
+
+  return { sort, order, limit, cursor };
+}
+
+function sendNotePage(res, notes, nextCursor, { sort, order }) {
+  return res.status(200).json({
+    success: true,
+    notes: notes,
+    count: notes.length,
+    sort: sort,
+    order: order,
+    next_cursor: nextCursor,
+    has_more: nextCursor !== null
+  });
 }
 
-// GET /api/notes - List notes or get specific note
+// GET /api/notes - List notes (paged) or get specific note
 async function handleGetNotes(req, res) {
   try {
-    const { note_id, user_id, include_public, with_comments } = req.query;
+    const { note_id, with_comments, feed, tag, notebook_id, recursive } = req.query;
 
     // Get single note
     if (note_id) {
@@ -349,22 +714,22 @@ async function handleGetNotes(req, res) {
       
       if (with_comments === 'true') {
         // Get note with comments
-        note = await getNoteWithComments(note_id);
+        note = await getNoteWithComments(note_id, req.user?.user_id);
       } else {
         // Get note without comments
         note = await getNoteById(note_id);
       }
 
-      if (!note) {
+      // Trashed notes are only visible to their owner
+      if (!note || (note.deleted_at && note.user_id !== req.user?.user_id)) {
         return res.status(404).json({
           success: false,
           error: 'Note not found'
         });
       }
 
-      // Check if note is public or belongs to the requesting user
-      const userId = user_id || note.user_id;
-      if (!note.public && note.user_id !== userId) {
+      // Check if note is public, owned by or shared with the requesting user
+      if (!(await canViewNote(note, req.user?.user_id))) {
         return res.status(403).json({
           success: false,
           error: 'Access denied. This note is private.'
@@ -373,38 +738,56 @@ async function handleGetNotes(req, res) {
 
       return res.status(200).json({
         success: true,
-        note: note
+        note: note,
+        role: await getNoteRole(note, req.user?.user_id)
       });
     }
 
-    // List notes - user_id is required
-    if (!user_id) {
+    const paging = parsePaging(req.query);
+    if (paging.error) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required to list notes'
+        error: paging.error
       });
     }
 
-    const includePublic = include_public === 'true';
-    const notes = await listNotes(user_id, includePublic);
+    // Everyone's public notes, newest first by default
+    if (feed === 'public') {
+      const { notes, nextCursor } = await listPublicNotes(paging);
+      return sendNotePage(res, notes, nextCursor, paging);
+    }
+
+    // Notes other users shared with the signed-in user
+    if (feed === 'shared') {
+      const { notes, nextCursor } = await listSharedNotes(req.user.user_id, paging);
+      return sendNotePage(res, notes, nextCursor, paging);
+    }
 
-    return res.status(200).json({
-      success: true,
-      notes: notes,
-      count: notes.length
+    // List notes for the signed-in user
+    if (tag !== undefined && !parseTag(tag)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tag'
+      });
+    }
+
+    const { notes, nextCursor } = await listNotes(req.user.user_id, {
+      ...paging,
+      tag: tag ? parseTag(tag) : null,
+      notebookId: notebook_id || null,
+      recursive: recursive === 'true'
     });
+
+    return sendNotePage(res, notes, nextCursor, paging);
   } catch (error) {
-    return res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    return sendNoteError(res, error);
   }
 }
 
 // POST /api/notes?action=add_comment - Add comment to note
 async function handleAddComment(req, res) {
   try {
-    const { note_id, user_id, name, text } = req.body;
+    const { note_id, name, text, parent_comment_id } = req.body;
 
     if (!note_id) {
       return res.status(400).json({
@@ -413,44 +796,42 @@ async function handleAddComment(req, res) {
       });
     }
 
-    if (!text) {
+    if (!text || !String(text).trim()) {
       return res.status(400).json({
         success: false,
         error: 'Comment text is required'
       });
     }
 
+    if (String(text).length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Comments can be at most ${COMMENT_MAX_LENGTH} characters`
+      });
+    }
+
+    // Signed-in commenters are identified by their session and profile name, everyone else is anonymous
     const commentData = {
-      user_id: user_id || 'anonymous',
-      name: name || 'Anonymous',
-      text: text
+      user_id: req.user ? req.user.user_id : 'anonymous',
+      name: req.user
+        ? getPublicProfile(req.user).display_name
+        : String(name || '').trim().slice(0, COMMENT_NAME_MAX_LENGTH) || 'Anonymous',
+      text: String(text),
+      parent_comment_id: parent_comment_id || null
     };
 
-    const result = await addComment(note_id, commentData);
+    const result = await addComment(note_id, commentData, getClientIp(req));
 
-    return res.status(201).json({
+    // Held comments are accepted but not shown until the note owner approves them
+    return res.status(result.pending ? 202 : 201).json({
       success: true,
-      comment: result.comment,
+      comment: presentComment(result.comment, req.user?.user_id),
       comment_count: result.comment_count,
-      message: 'Comment added successfully'
+      pending: result.pending,
+      message: result.pending ? 'Your comment is awaiting approval' : 'Comment added successfully'
     });
   } catch (error) {
-    if (error.message === 'Note not found') {
-      return res.status(404).json({
-        success: false,
-        error: error.message
-      });
-    } else if (error.message === 'Cannot comment on private notes') {
-      return res.status(403).json({
-        success: false,
-        error: error.message
-      });
-    }
-
-    return res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    return sendCommentError(res, error);
   }
 }
 
@@ -466,7 +847,7 @@ async function handleGetComments(req, res) {
       });
     }
 
-    const comments = await getComments(note_id, parseInt(limit) || 50);
+    const comments = await getComments(note_id, req.user?.user_id, parseInt(limit) || 50);
 
     return res.status(200).json({
       success: true,
@@ -474,113 +855,106 @@ async function handleGetComments(req, res) {
       count: comments.length
     });
   } catch (error) {
-    return res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    return sendCommentError(res, error);
   }
 }
 
 // DELETE /api/notes?action=delete_comment - Delete comment
 async function handleDeleteComment(req, res) {
   try {
-    const { note_id, comment_id, user_id } = req.query;
+    const { note_id, comment_id } = req.query;
 
-    if (!note_id || !comment_id || !user_id) {
+    if (!note_id || !comment_id) {
       return res.status(400).json({
         success: false,
-        error: 'Note ID, Comment ID, and User ID are required'
+        error: 'Note ID and Comment ID are required'
       });
     }
 
-    await deleteComment(note_id, comment_id, user_id);
+    const commentCount = await deleteComment(note_id, comment_id, req.user.user_id);
 
     return res.status(200).json({
       success: true,
+      comment_count: commentCount,
       message: 'Comment deleted successfully'
     });
   } catch (error) {
-    if (error.message === 'Comment not found') {
-      return res.status(404).json({
-        success: false,
-        error: error.message
-      });
-    } else if (error.message.includes('Unauthorized')) {
-      return res.status(403).json({
-        success: false,
-        error: error.message
-      });
-    }
-
-    return res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    return sendCommentError(res, error);
   }
 }
 
-// PUT /api/notes - Update a note
-async function handleUpdateNote(req, res) {
+// PUT /api/notes?action=edit_comment - Change a comment's text { note_id, comment_id, text }
+async function handleEditComment(req, res) {
   try {
-    const { note_id, user_id, title, text, public: isPublic } = req.body;
+    const { note_id, comment_id, text } = req.body;
 
-    if (!note_id) {
+    if (!note_id || !comment_id) {
       return res.status(400).json({
         success: false,
-        error: 'Note ID is required'
+        error: 'Note ID and Comment ID are required'
       });
     }
 
-    if (!user_id) {
+    if (!text || !String(text).trim()) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'Comment text is required'
       });
     }
 
-    const updateData = {};
-    if (title !== undefined) updateData.title = title;
-    if (text !== undefined) updateData.text = text;
-    if (isPublic !== undefined) updateData.public = Boolean(isPublic);
-
-    if (Object.keys(updateData).length === 0) {
+    if (String(text).length > COMMENT_MAX_LENGTH) {
       return res.status(400).json({
         success: false,
-        error: 'No update data provided'
+        error: `Comments can be at most ${COMMENT_MAX_LENGTH} characters`
       });
     }
 
-    const updatedNote = await updateNote(note_id, user_id, updateData);
+    const comment = await updateComment(note_id, comment_id, req.user.user_id, text);
 
     return res.status(200).json({
       success: true,
-      note: updatedNote,
-      message: 'Note updated successfully'
+      comment: comment,
+      message: 'Comment updated'
     });
   } catch (error) {
-    if (error.message === 'Note not found') {
-      return res.status(404).json({
+    return sendCommentError(res, error);
+  }
+}
+
+// POST /api/notes?action=react_comment - Toggle a reaction { note_id, comment_id, reaction }
+async function handleReactComment(req, res) {
+  try {
+    const { note_id, comment_id, reaction } = req.body;
+
+    if (!note_id || !comment_id) {
+      return res.status(400).json({
         success: false,
-        error: error.message
+        error: 'Note ID and Comment ID are required'
       });
-    } else if (error.message.includes('Unauthorized')) {
-      return res.status(403).json({
+    }
+
+    if (!isCommentReaction(reaction)) {
+      return res.status(400).json({
         success: false,
-        error: error.message
+        error: `reaction must be one of: ${Object.keys(COMMENT_REACTIONS).join(', ')}`
       });
     }
 
-    return res.status(500).json({
-      success: false,
-      error: error.message
+    const comment = await reactToComment(note_id, comment_id, req.user.user_id, reaction);
+
+    return res.status(200).json({
+      success: true,
+      comment: comment
     });
+  } catch (error) {
+    return sendCommentError(res, error);
   }
 }
 
-// DELETE /api/notes - Delete a note
-async function handleDeleteNote(req, res) {
+// PUT /api/notes - Update a note
+async function handleUpdateNote(req, res) {
   try {
-    const { note_id, user_id } = req.query;
+    const { note_id, title, text, markdown, public: isPublic, tags, notebook_id, comment_policy } = req.body;
 
     if (!note_id) {
       return res.status(400).json({
@@ -589,18 +963,93 @@ async function handleDeleteNote(req, res) {
       });
     }
 
-    if (!user_id) {
+    const updateData = {};
+    if (title !== undefined) updateData.title = title;
+    if (text !== undefined) updateData.text = text;
+    if (isPublic !== undefined) updateData.public = Boolean(isPublic);
+
+    // Markdown replaces the text with its rendering; null switches the note back to rich text
+    if (markdown !== undefined) {
+      if (markdown !== null && typeof markdown !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'markdown must be a string or null'
+        });
+      }
+      updateData.markdown = markdown;
+      if (markdown !== null) {
+        updateData.text = markdownToHtml(markdown);
+      }
+    }
+
+    if (tags !== undefined) {
+      const parsedTags = parseTags(tags);
+      if (parsedTags.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsedTags.error
+        });
+      }
+      updateData.tags = parsedTags.tags;
+    }
+
+    if (notebook_id !== undefined) {
+      if (notebook_id) {
+        await getOwnedNotebook(notebook_id, req.user.user_id);
+      }
+      updateData.notebook_id = notebook_id || null;
+    }
+
+    if (comment_policy !== undefined) {
+      if (!isCommentPolicy(comment_policy)) {
+        return res.status(400).json({
+          success: false,
+          error: `comment_policy must be one of: ${COMMENT_POLICIES.join(', ')}`
+        });
+      }
+      updateData.comment_policy = comment_policy;
+    }
+
+    if (updateData.public && !isEmailVerified(req.user)) {
+      return emailNotVerified(res, 'making notes public');
+    }
+
+    if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'User ID is required'
+        error: 'No update data provided'
       });
     }
 
-    await deleteNote(note_id, user_id);
+    const updatedNote = await updateNote(note_id, req.user.user_id, updateData);
 
     return res.status(200).json({
       success: true,
-      message: 'Note deleted successfully'
+      note: updatedNote,
+      message: 'Note updated successfully'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// DELETE /api/notes - Delete a note
+async function handleDeleteNote(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    await deleteNote(note_id, req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Note moved to trash'
     });
   } catch (error) {
     if (error.message === 'Note not found') {
@@ -620,4 +1069,782 @@ async function handleDeleteNote(req, res) {
       error: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// Map the helpers' thrown errors onto responses
+function sendNoteError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.extra || {})
+    });
+  } else if (error.message === 'Note is not in the trash') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  } else if (['Note not found', 'Revision not found', 'Notebook not found'].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/notes?action=moderation_queue - Comments on the user's notes waiting for approval
+async function handleModerationQueue(req, res) {
+  try {
+    const comments = await getModerationQueue(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      comments: comments,
+      count: comments.length
+    });
+  } catch (error) {
+    return sendCommentError(res, error);
+  }
+}
+
+// POST /api/notes?action=moderate_comment - Approve or reject a held comment { note_id, comment_id, decision }
+async function handleModerateComment(req, res) {
+  try {
+    const { note_id, comment_id, decision } = req.body;
+
+    if (!note_id || !comment_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID and Comment ID are required'
+      });
+    }
+
+    if (decision !== 'approve' && decision !== 'reject') {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be approve or reject'
+      });
+    }
+
+    const commentCount = await moderateComment(note_id, comment_id, req.user.user_id, decision);
+
+    return res.status(200).json({
+      success: true,
+      comment_count: commentCount,
+      message: decision === 'approve' ? 'Comment approved' : 'Comment rejected'
+    });
+  } catch (error) {
+    return sendCommentError(res, error);
+  }
+}
+
+// Comment handlers add their own errors to the note ones
+function sendCommentError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.extra || {})
+    });
+  } else if (['Comment not found', 'Parent comment not found'].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if ([
+    'Cannot comment on private notes',
+    'Viewers cannot comment on this note',
+    'Comments are closed on this note',
+    'Sign in to comment on this note'
+  ].includes(error.message)) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  } else if ([
+    'Cannot reply to a deleted comment',
+    'Replies cannot be nested any deeper',
+    'Your comment looks like spam and was not posted'
+  ].includes(error.message)) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return sendNoteError(res, error);
+}
+
+// Revision by id, or the note itself for 'current'
+async function getRevisionOrCurrent(note, revisionId) {
+  if (!revisionId || revisionId === 'current') {
+    return { revision_id: 'current', title: note.title || '', text: note.text || '' };
+  }
+
+  const revision = await getRevision(note.note_id, revisionId);
+  if (!revision) {
+    throw new Error('Revision not found');
+  }
+  return revision;
+}
+
+// GET /api/notes?action=list_revisions&note_id= - Version history, newest first
+async function handleListRevisions(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    await getEditableNote(note_id, req.user.user_id);
+    const revisions = await listRevisions(note_id);
+
+    return res.status(200).json({
+      success: true,
+      revisions: revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=get_revision&note_id=&revision_id= - One revision with its content
+async function handleGetRevision(req, res) {
+  try {
+    const { note_id, revision_id } = req.query;
+
+    if (!note_id || !revision_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID and Revision ID are required'
+      });
+    }
+
+    await getEditableNote(note_id, req.user.user_id);
+    const revision = await getRevision(note_id, revision_id);
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    return res.status(200).json({
+      success: true,
+      revision: revision
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=diff_revisions&note_id=&from=&to=&mode=line|word&content=html|text
+// `to` defaults to the current note; content=text compares what the reader sees instead of the HTML
+async function handleDiffRevisions(req, res) {
+  try {
+    const { note_id, from, to, mode = 'line', content = 'html' } = req.query;
+
+    if (!note_id || !from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID and from revision are required'
+      });
+    }
+
+    if (mode !== 'line' && mode !== 'word') {
+      return res.status(400).json({
+        success: false,
+        error: 'Mode must be "line" or "word"'
+      });
+    }
+
+    if (content !== 'html' && content !== 'text') {
+      return res.status(400).json({
+        success: false,
+        error: 'Content must be "html" or "text"'
+      });
+    }
+
+    const note = await getEditableNote(note_id, req.user.user_id);
+    const [fromRevision, toRevision] = await Promise.all([
+      getRevisionOrCurrent(note, from),
+      getRevisionOrCurrent(note, to)
+    ]);
+
+    const [fromText, toText] = content === 'text'
+      ? [toPlainText(fromRevision.text), toPlainText(toRevision.text)]
+      : [fromRevision.text, toRevision.text];
+    const hunks = mode === 'word'
+      ? diffWords(fromText, toText)
+      : diffLines(fromText, toText);
+
+    return res.status(200).json({
+      success: true,
+      from: fromRevision.revision_id,
+      to: toRevision.revision_id,
+      mode: mode,
+      content: content,
+      title: fromRevision.title === toRevision.title
+        ? null
+        : { from: fromRevision.title, to: toRevision.title },
+      hunks: hunks,
+      stats: diffStats(hunks, mode === 'word' ? 'word' : 'line')
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=restore_revision - Bring back an old version as a new revision
+async function handleRestoreRevision(req, res) {
+  try {
+    const { note_id, revision_id } = req.body;
+
+    if (!note_id || !revision_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID and Revision ID are required'
+      });
+    }
+
+    await getEditableNote(note_id, req.user.user_id);
+    const revision = await getRevision(note_id, revision_id);
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    // Content only; visibility stays as it is now
+    const updatedNote = await updateNote(note_id, req.user.user_id, {
+      title: revision.title,
+      text: revision.text
+    }, { reason: 'restore', restoredFrom: revision_id });
+
+    return res.status(200).json({
+      success: true,
+      note: updatedNote,
+      message: 'Revision restored'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=list_trash - Trashed notes with the date they will be purged
+async function handleListTrash(req, res) {
+  try {
+    const notes = await listTrash(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      notes: notes,
+      count: notes.length
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=restore_note - Move a note out of the trash
+async function handleRestoreNote(req, res) {
+  try {
+    const { note_id } = req.body;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await restoreNote(note_id, req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      note: note,
+      message: 'Note restored'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// DELETE /api/notes?action=purge_note&note_id= - Permanently delete a trashed note
+async function handlePurgeNote(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    await purgeTrashedNote(note_id, req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Note permanently deleted'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// DELETE /api/notes?action=empty_trash - Permanently delete everything in the trash
+async function handleEmptyTrash(req, res) {
+  try {
+    const trashed = await listTrash(req.user.user_id);
+    await Promise.all(trashed.map(note => purgeNote(note.note_id)));
+
+    return res.status(200).json({
+      success: true,
+      purged: trashed.length,
+      message: 'Trash emptied'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=search&q=&include_public=&limit=&offset= - Ranked full-text search
+async function handleSearch(req, res) {
+  try {
+    const { q, include_public } = req.query;
+
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { terms, results, total } = await searchNotes(req.user.user_id, q.substring(0, 200), {
+      includePublic: include_public === 'true',
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      query: q,
+      terms: terms,
+      results: results,
+      count: results.length,
+      total: total
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=list_tasks&filter=open|overdue|week - Open checklist items across the user's notes
+// Due dates are compared with today's date in the user's time zone; "week" is today and the next six days.
+async function handleListTasks(req, res) {
+  try {
+    const filter = req.query.filter || 'open';
+
+    if (!TASK_FILTERS.includes(filter)) {
+      return res.status(400).json({
+        success: false,
+        error: `filter must be one of: ${TASK_FILTERS.join(', ')}`
+      });
+    }
+
+    // Notes written before tasks existed get indexed on their owner's first look
+    const userId = req.user.user_id;
+    if (!(await isUserTaskIndexed(userId))) {
+      await indexUserTasks(userId, Object.values(await getNotesByOwner(userId)));
+    }
+
+    const today = todayIn(req.user.timezone);
+    const tasks = await listOpenTasks(userId, { filter, today });
+
+    return res.status(200).json({
+      success: true,
+      filter: filter,
+      today: today,
+      tasks: tasks,
+      count: tasks.length
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=update_task - Tick or untick a checklist item in its note
+// { note_id, index, checked, text }. text is the item as the client saw it; when the note
+// has changed underneath, the answer is a 409 instead of ticking the wrong item.
+async function handleUpdateTask(req, res) {
+  try {
+    const { note_id, index, checked, text } = req.body;
+
+    if (!note_id || !Number.isInteger(index) || index < 0 || typeof checked !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'note_id, index (a number) and checked (true or false) are required'
+      });
+    }
+
+    const note = await getEditableNote(note_id, req.user.user_id);
+    const task = parseTasks(note.text)[index];
+
+    if (!task || (typeof text === 'string' && text !== task.text)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This checklist has changed; reload the tasks and try again'
+      });
+    }
+
+    // An open live editing session would save its own copy of the text over the change
+    if (note.collab_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'This note is being edited live; tick the item in the note itself'
+      });
+    }
+
+    if (task.checked === checked) {
+      return res.status(200).json({
+        success: true,
+        task: task,
+        note: note
+      });
+    }
+
+    let updateData;
+    if (typeof note.markdown === 'string') {
+      const markdown = setTaskCheckedInMarkdown(note.markdown, index, checked);
+      const html = markdown === null ? null : markdownToHtml(markdown);
+      const rendered = html === null ? [] : parseTasks(html);
+
+      if (rendered.length !== parseTasks(note.text).length || rendered[index]?.checked !== checked) {
+        return res.status(409).json({
+          success: false,
+          error: 'This item could not be found in the Markdown source; tick it in the note itself'
+        });
+      }
+      updateData = { markdown: markdown, text: html };
+    } else {
+      const html = setTaskCheckedInHtml(note.text, index, checked);
+      if (html === null) {
+        return res.status(409).json({
+          success: false,
+          error: 'This checklist has changed; reload the tasks and try again'
+        });
+      }
+      updateData = { text: html };
+    }
+
+    const updatedNote = await updateNote(note_id, req.user.user_id, updateData);
+
+    return res.status(200).json({
+      success: true,
+      task: { ...task, checked: checked },
+      note: updatedNote,
+      message: checked ? 'Task done' : 'Task reopened'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=list_tags - The user's tags with note counts
+async function handleListTags(req, res) {
+  try {
+    const tags = await listTags(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      tags: tags,
+      count: tags.length
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=rename_tag - Rename a tag on all notes { tag, new_name }
+// Renaming onto an existing tag merges the two.
+async function handleRenameTag(req, res) {
+  try {
+    const tag = parseTag(req.body.tag);
+    const newName = parseTag(req.body.new_name);
+
+    if (!tag || !newName) {
+      return res.status(400).json({
+        success: false,
+        error: 'tag and new_name must be valid tag names'
+      });
+    }
+
+    const notes = await getNotesByOwner(req.user.user_id);
+    const updated = await mergeTags(req.user.user_id, [tag], newName, notes);
+
+    return res.status(200).json({
+      success: true,
+      tag: newName,
+      notes_updated: updated,
+      message: `Tag renamed to ${newName}`
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=merge_tags - Fold several tags into one { tags: [...], into }
+async function handleMergeTags(req, res) {
+  try {
+    const { tags } = req.body;
+    const into = parseTag(req.body.into);
+    const sources = Array.isArray(tags) ? tags.map(parseTag) : [];
+
+    if (!into || !sources.length || sources.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'tags must be a list of tag names and into a valid tag name'
+      });
+    }
+
+    const notes = await getNotesByOwner(req.user.user_id);
+    const updated = await mergeTags(req.user.user_id, sources, into, notes);
+
+    return res.status(200).json({
+      success: true,
+      tag: into,
+      notes_updated: updated,
+      message: `Tags merged into ${into}`
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=move_notes - Move notes into a notebook { note_ids: [...], notebook_id }
+async function handleMoveNotes(req, res) {
+  try {
+    const { note_ids, notebook_id } = req.body;
+
+    if (!Array.isArray(note_ids) || note_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'note_ids must be a non-empty array'
+      });
+    }
+
+    const moved = await moveNotes(note_ids, req.user.user_id, notebook_id || null);
+
+    return res.status(200).json({
+      success: true,
+      moved: moved,
+      notebook_id: notebook_id || null,
+      message: notebook_id ? 'Notes moved' : 'Notes removed from notebook'
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// GET /api/notes?action=note_stats - Note, public note and comment totals
+async function handleNoteStats(req, res) {
+  try {
+    const stats = await getNoteStats(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// Helper to read the name of an uploaded file entry, whatever was sent; null when it has none
+function importFileName(file) {
+  return typeof file?.name === 'string' && file.name.trim() ? file.name.trim() : null;
+}
+
+// Helper to turn an uploaded .md file into note data; returns the data or { error }
+function markdownNoteData(file) {
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    return { error: 'Each file must be an object with a name and content' };
+  }
+
+  const name = importFileName(file) || 'Untitled.md';
+  if (!/\.(md|markdown|txt)$/i.test(name)) {
+    return { error: 'Only .md, .markdown and .txt files can be imported' };
+  }
+  if (typeof file.content !== 'string') {
+    return { error: 'File content is required' };
+  }
+  if (Buffer.byteLength(file.content) > IMPORT_MAX_FILE_SIZE) {
+    return { error: `Files can be at most ${IMPORT_MAX_FILE_SIZE / 1024} KB` };
+  }
+
+  const { attributes, body } = parseMarkdownFile(file.content);
+  let markdown = body.replace(/^\s*\n/, '').replace(/\s+$/, '');
+
+  // Title from the front matter, else a leading "# heading", else the file name
+  let title = typeof attributes.title === 'string' ? attributes.title.trim() : '';
+  if (!title) {
+    const heading = markdown.match(/^# +(.+?)(?: +#+)? *(?:\n|$)/);
+    if (heading) {
+      title = heading[1].trim();
+      markdown = markdown.slice(heading[0].length).replace(/^\s*\n/, '');
+    }
+  }
+  if (!title) {
+    title = name.replace(/\.[^.]+$/, '');
+  }
+
+  const rawTags = typeof attributes.tags === 'string' ? attributes.tags.split(',') : attributes.tags;
+  const parsedTags = rawTags !== undefined ? parseTags(rawTags) : { tags: [] };
+  if (parsedTags.error) {
+    return { error: parsedTags.error };
+  }
+
+  // Keep the original creation date when the file has a sensible one
+  const created = Date.parse(attributes.created || attributes.date || '');
+  const createdAt = Number.isFinite(created) && created > 0 && created <= Date.now() ? created : null;
+
+  return {
+    title: title,
+    markdown: markdown,
+    text: markdownToHtml(markdown),
+    tags: parsedTags.tags,
+    created_at: createdAt
+  };
+}
+
+// GET /api/notes?action=export&note_id= - Download a note as a Markdown file with front matter
+async function handleExportNote(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const note = await getNoteById(note_id);
+    if (!note || (note.deleted_at && note.user_id !== req.user?.user_id)) {
+      throw new Error('Note not found');
+    }
+
+    if (!(await canViewNote(note, req.user?.user_id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. This note is private.'
+      });
+    }
+
+    const fileName = markdownFileName(note);
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition',
+      `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+
+    return res.status(200).send(noteToMarkdownFile(note));
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=import - Create notes from .md files
+// { files: [{ name, content }], notebook_id, public } or a single { name, content }
+async function handleImportNotes(req, res) {
+  try {
+    const { files, name, content, notebook_id, public: isPublic } = req.body;
+    const batch = Array.isArray(files) ? files : [{ name, content }];
+
+    if (batch.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files to import'
+      });
+    }
+
+    if (batch.length > IMPORT_MAX_FILES) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${IMPORT_MAX_FILES} files can be imported at once`
+      });
+    }
+
+    if (isPublic && !isEmailVerified(req.user)) {
+      return emailNotVerified(res, 'making notes public');
+    }
+
+    if (notebook_id) {
+      await getOwnedNotebook(notebook_id, req.user.user_id);
+    }
+
+    const imported = [];
+    const failed = [];
+    for (const file of batch) {
+      const noteData = markdownNoteData(file);
+      if (noteData.error) {
+        failed.push({ name: importFileName(file), error: noteData.error });
+        continue;
+      }
+
+      const note = await createNote(req.user.user_id, {
+        ...noteData,
+        public: Boolean(isPublic),
+        notebook_id: notebook_id || null
+      });
+      imported.push({ note_id: note.note_id, title: note.title, name: importFileName(file) });
+    }
+
+    return res.status(imported.length ? 201 : 400).json({
+      success: imported.length > 0,
+      notes: imported,
+      failed: failed,
+      ...(imported.length ? {} : { error: 'No files could be imported' }),
+      message: `Imported ${imported.length} of ${batch.length} file${batch.length !== 1 ? 's' : ''}`
+    });
+  } catch (error) {
+    return sendNoteError(res, error);
+  }
+}
+
+// POST /api/notes?action=convert_markdown - Render { markdown } as HTML, or { html } as Markdown
+// (the editor's live preview and switching a note between rich text and Markdown)
+async function handleConvertMarkdown(req, res) {
+  const { markdown, html } = req.body;
+
+  if (typeof markdown === 'string') {
+    return res.status(200).json({
+      success: true,
+      html: markdownToHtml(markdown)
+    });
+  }
+
+  if (typeof html === 'string') {
+    return res.status(200).json({
+      success: true,
+      markdown: htmlToMarkdown(html)
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'markdown or html is required'
+  });
+}
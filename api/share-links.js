@@ -0,0 +1,333 @@
+// api/share-links.js - secret links to a note with optional expiry, password and view cap
+import { db } from "../utils/firebase.js";
+import { withApi, getClientIp, httpError } from "../utils/api.js";
+import { getPublicProfile } from "../utils/profile.js";
+import {
+  MAX_LINKS_PER_NOTE,
+  publicLink,
+  linkUnavailableReason,
+  createShareLink,
+  getShareLinks,
+  getShareLink,
+  findShareLinkByToken,
+  revokeShareLink,
+  passwordLockout,
+  checkLinkPassword,
+  consumeLinkView,
+  recordLinkAccess,
+  getLinkAccessLog
+} from "../utils/share-links.js";
+
+const MAX_LINK_VIEWS = 100000;
+const MAX_LABEL_LENGTH = 100;
+
+// Get a note only its owner may manage links for (throws like the note helpers)
+async function getLinkableNote(noteId, userId) {
+  const snapshot = await db.ref(`notes/${noteId}`).once('value');
+  const note = snapshot.val();
+  if (!note || note.deleted_at) {
+    throw new Error('Note not found');
+  }
+
+  if (note.user_id !== userId) {
+    throw new Error('Unauthorized: Only the owner can manage share links');
+  }
+
+  return note;
+}
+
+// Helper to validate the options of a new link; returns the options or { error }
+function parseLinkOptions(body) {
+  const { label, expires_at, password, max_views } = body;
+  const options = {};
+
+  if (label !== undefined && label !== null) {
+    if (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH) {
+      return { error: `Label must be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    options.label = label.trim();
+  }
+
+  if (expires_at !== undefined && expires_at !== null && expires_at !== '') {
+    const expiresAt = typeof expires_at === 'number' ? expires_at : Date.parse(expires_at);
+    if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+      return { error: 'expires_at must be a date in the future' };
+    }
+    options.expiresAt = expiresAt;
+  }
+
+  if (password !== undefined && password !== null && password !== '') {
+    if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+      return { error: 'Link password must be 4 to 128 characters' };
+    }
+    options.password = password;
+  }
+
+  if (max_views !== undefined && max_views !== null && max_views !== '') {
+    const maxViews = Number(max_views);
+    if (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_LINK_VIEWS) {
+      return { error: `max_views must be a whole number between 1 and ${MAX_LINK_VIEWS}` };
+    }
+    options.maxViews = maxViews;
+  }
+
+  return options;
+}
+
+// Who opened a link, for its access log
+function accessEvent(req, outcome) {
+  return {
+    outcome: outcome,
+    user_id: req.user ? req.user.user_id : null,
+    name: req.user ? getPublicProfile(req.user).display_name : null,
+    ip: getClientIp(req),
+    user_agent: req.headers['user-agent'] || ''
+  };
+}
+
+async function handler(req, res) {
+  const { method, query } = req;
+
+  if (query.action === 'open') {
+    return await handleOpenLink(req, res);
+  } else if (method === 'GET') {
+    return await handleGetLinks(req, res);
+  } else if (method === 'POST') {
+    return await handleCreateLink(req, res);
+  } else if (method === 'DELETE') {
+    return await handleRevokeLink(req, res);
+  }
+}
+
+// Anyone holding a link may open it; managing links needs the owner's session
+export default withApi(handler, {
+  name: 'Share Links API',
+  methods: ['GET', 'POST', 'DELETE'],
+  auth: (req) => req.query?.action === 'open' ? 'optional' : 'required',
+  userIdParam: null
+});
+
+// Map the helpers' thrown errors onto responses
+function sendLinkError(res, error) {
+  if (error.message === 'Note not found' || error.message === 'Share link not found') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// GET /api/share-links?note_id= - A note's links
+// GET /api/share-links?note_id=&link_id= - One link with its access log
+async function handleGetLinks(req, res) {
+  try {
+    const { note_id, link_id, limit } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    await getLinkableNote(note_id, req.user.user_id);
+
+    if (link_id) {
+      const link = await getShareLink(note_id, link_id);
+      if (!link) {
+        throw new Error('Share link not found');
+      }
+
+      const accessLog = await getLinkAccessLog(link_id, Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+      return res.status(200).json({
+        success: true,
+        link: publicLink(link),
+        access_log: accessLog
+      });
+    }
+
+    const links = await getShareLinks(note_id);
+
+    return res.status(200).json({
+      success: true,
+      links: links.map(publicLink),
+      count: links.length
+    });
+  } catch (error) {
+    return sendLinkError(res, error);
+  }
+}
+
+// POST /api/share-links - Create a link { note_id, label, expires_at, password, max_views }
+// The token is returned once and is not stored.
+async function handleCreateLink(req, res) {
+  try {
+    const { note_id } = req.body;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    const options = parseLinkOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const note = await getLinkableNote(note_id, req.user.user_id);
+
+    const existing = await getShareLinks(note_id);
+    if (existing.filter(link => !link.revoked_at).length >= MAX_LINKS_PER_NOTE) {
+      return res.status(400).json({
+        success: false,
+        error: `A note can have at most ${MAX_LINKS_PER_NOTE} active share links`
+      });
+    }
+
+    const { link, token } = await createShareLink(note, req.user.user_id, options);
+
+    return res.status(201).json({
+      success: true,
+      link: publicLink(link),
+      token: token,
+      path: `/notes/${note.note_id}?token=${token}`,
+      message: 'Share link created'
+    });
+  } catch (error) {
+    return sendLinkError(res, error);
+  }
+}
+
+// DELETE /api/share-links?note_id=&link_id= - Revoke a link
+async function handleRevokeLink(req, res) {
+  try {
+    const { note_id, link_id } = req.query;
+
+    if (!note_id || !link_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID and link ID are required'
+      });
+    }
+
+    await getLinkableNote(note_id, req.user.user_id);
+
+    const link = await getShareLink(note_id, link_id);
+    if (!link) {
+      throw new Error('Share link not found');
+    }
+
+    if (!link.revoked_at) {
+      await revokeShareLink(link);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    return sendLinkError(res, error);
+  }
+}
+
+// POST /api/share-links?action=open - Open a note through a link { token, password }
+async function handleOpenLink(req, res) {
+  if (req.method !== 'POST') {
+    throw httpError(405, 'Method not allowed');
+  }
+
+  const { token, password } = req.body;
+
+  // Unknown tokens and links to missing notes look the same to the visitor
+  const link = await findShareLinkByToken(token);
+  const noteSnapshot = link ? await db.ref(`notes/${link.note_id}`).once('value') : null;
+  const note = noteSnapshot?.val();
+  if (!link || !note || note.deleted_at) {
+    return res.status(404).json({
+      success: false,
+      error: 'This link is not valid'
+    });
+  }
+
+  const unavailable = linkUnavailableReason(link);
+  if (unavailable) {
+    await recordLinkAccess(link.link_id, accessEvent(req, 'unavailable'));
+    return res.status(410).json({
+      success: false,
+      error: unavailable
+    });
+  }
+
+  if (link.password_hash) {
+    const lockedFor = passwordLockout(link);
+    if (lockedFor > 0) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many wrong passwords. Try again later.',
+        retry_after: Math.ceil(lockedFor / 1000)
+      });
+    }
+
+    if (!password) {
+      return res.status(401).json({
+        success: false,
+        error: 'This link is protected by a password',
+        code: 'password_required'
+      });
+    }
+
+    if (!(await checkLinkPassword(link, password))) {
+      await recordLinkAccess(link.link_id, accessEvent(req, 'wrong_password'));
+      return res.status(401).json({
+        success: false,
+        error: 'Wrong password',
+        code: 'wrong_password'
+      });
+    }
+  }
+
+  const opened = await consumeLinkView(link);
+  if (!opened) {
+    return res.status(410).json({
+      success: false,
+      error: 'This link is no longer available'
+    });
+  }
+
+  await recordLinkAccess(link.link_id, accessEvent(req, 'opened'));
+
+  return res.status(200).json({
+    success: true,
+    note: {
+      note_id: note.note_id,
+      user_id: note.user_id,
+      title: note.title,
+      text: note.text,
+      public: note.public,
+      created_at: note.created_at,
+      updated_at: note.updated_at,
+      comment_count: note.comment_count || 0
+    },
+    role: 'viewer',
+    link: {
+      expires_at: opened.expires_at || null,
+      views_left: opened.max_views ? opened.max_views - opened.view_count : null
+    }
+  });
+}
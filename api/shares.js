@@ -0,0 +1,246 @@
+// api/shares.js - share a note with specific Talknote users as viewer, commenter or editor
+import { db } from "../utils/firebase.js";
+import { withApi } from "../utils/api.js";
+import { findUserByUserId } from "../utils/users.js";
+import { getPublicProfile } from "../utils/profile.js";
+import {
+  SHARE_ROLES,
+  MAX_SHARES_PER_NOTE,
+  isShareRole,
+  getNoteShares,
+  getShare,
+  saveShare,
+  revokeShare
+} from "../utils/note-shares.js";
+
+// Get a note only its owner may share (throws like the note helpers)
+async function getShareableNote(noteId, userId) {
+  const snapshot = await db.ref(`notes/${noteId}`).once('value');
+  const note = snapshot.val();
+  if (!note || note.deleted_at) {
+    throw new Error('Note not found');
+  }
+
+  if (note.user_id !== userId) {
+    throw new Error('Unauthorized: Only the owner can share this note');
+  }
+
+  return note;
+}
+
+// The user a note is being shared with; throws when there is no such account
+async function getShareTarget(note, userId) {
+  const user = await findUserByUserId(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.user_id === note.user_id) {
+    throw new Error('You cannot share a note with yourself');
+  }
+
+  return user;
+}
+
+// Shares of a note with the public profile of each user
+async function listShares(noteId) {
+  const shares = await getNoteShares(noteId);
+  const users = await Promise.all(Object.keys(shares).map(userId => findUserByUserId(userId)));
+
+  return users
+    .filter(Boolean)
+    .map(user => {
+      const { user_id, display_name, avatar_url } = getPublicProfile(user);
+      return { user_id, display_name, avatar_url, ...shares[user_id] };
+    })
+    .sort((a, b) => a.created_at - b.created_at);
+}
+
+async function handler(req, res) {
+  const { method } = req;
+
+  if (method === 'GET') {
+    return await handleListShares(req, res);
+  } else if (method === 'POST') {
+    return await handleGrantShare(req, res);
+  } else if (method === 'PUT') {
+    return await handleChangeShare(req, res);
+  } else if (method === 'DELETE') {
+    return await handleRevokeShare(req, res);
+  }
+}
+
+// user_id in requests names the user being shared with, not the caller
+export default withApi(handler, {
+  name: 'Shares API',
+  userIdParam: null
+});
+
+// Map the helpers' thrown errors onto responses
+function sendShareError(res, error) {
+  if (['Note not found', 'User not found', 'Share not found'].includes(error.message)) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message.includes('Unauthorized')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message
+    });
+  } else if (error.message === 'You cannot share a note with yourself') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Helper to validate { note_id, user_id, role } from a grant or change request
+function parseShareRequest(body) {
+  const { note_id, user_id, role } = body;
+
+  if (!note_id || !user_id) {
+    return { error: 'Note ID and user ID are required' };
+  }
+  if (!isShareRole(role)) {
+    return { error: `role must be one of: ${SHARE_ROLES.join(', ')}` };
+  }
+
+  return { noteId: note_id, userId: String(user_id).trim(), role };
+}
+
+// GET /api/shares?note_id= - Who the note is shared with (owner only)
+async function handleListShares(req, res) {
+  try {
+    const { note_id } = req.query;
+
+    if (!note_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID is required'
+      });
+    }
+
+    await getShareableNote(note_id, req.user.user_id);
+    const shares = await listShares(note_id);
+
+    return res.status(200).json({
+      success: true,
+      shares: shares,
+      count: shares.length
+    });
+  } catch (error) {
+    return sendShareError(res, error);
+  }
+}
+
+// POST /api/shares - Share a note with a user { note_id, user_id, role }
+async function handleGrantShare(req, res) {
+  try {
+    const request = parseShareRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const note = await getShareableNote(request.noteId, req.user.user_id);
+    const user = await getShareTarget(note, request.userId);
+
+    const shares = await getNoteShares(note.note_id);
+    if (shares[user.user_id]) {
+      return res.status(409).json({
+        success: false,
+        error: 'The note is already shared with this user; change their role instead'
+      });
+    }
+    if (Object.keys(shares).length >= MAX_SHARES_PER_NOTE) {
+      return res.status(400).json({
+        success: false,
+        error: `A note can be shared with at most ${MAX_SHARES_PER_NOTE} users`
+      });
+    }
+
+    const share = await saveShare(note, user.user_id, request.role, req.user.user_id);
+    const { display_name } = getPublicProfile(user);
+
+    return res.status(201).json({
+      success: true,
+      share: { user_id: user.user_id, display_name, ...share },
+      message: 'Note shared'
+    });
+  } catch (error) {
+    return sendShareError(res, error);
+  }
+}
+
+// PUT /api/shares - Change a user's role { note_id, user_id, role }
+async function handleChangeShare(req, res) {
+  try {
+    const request = parseShareRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const note = await getShareableNote(request.noteId, req.user.user_id);
+    if (!(await getShare(note.note_id, request.userId))) {
+      throw new Error('Share not found');
+    }
+
+    const share = await saveShare(note, request.userId, request.role, req.user.user_id);
+
+    // Only editors take part in live editing
+    if (request.role !== 'editor') {
+      await db.ref(`collab/${note.note_id}/presence/${request.userId}`).remove();
+    }
+
+    return res.status(200).json({
+      success: true,
+      share: { user_id: request.userId, ...share },
+      message: 'Access updated'
+    });
+  } catch (error) {
+    return sendShareError(res, error);
+  }
+}
+
+// DELETE /api/shares?note_id=&user_id= - Revoke access (owner), or leave a shared note (the user)
+async function handleRevokeShare(req, res) {
+  try {
+    const { note_id, user_id } = req.query;
+
+    if (!note_id || !user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note ID and user ID are required'
+      });
+    }
+
+    if (user_id !== req.user.user_id) {
+      await getShareableNote(note_id, req.user.user_id);
+    }
+
+    if (!(await getShare(note_id, user_id))) {
+      throw new Error('Share not found');
+    }
+
+    await revokeShare(note_id, user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: user_id === req.user.user_id ? 'You left the shared note' : 'Access revoked'
+    });
+  } catch (error) {
+    return sendShareError(res, error);
+  }
+}
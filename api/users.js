@@ -0,0 +1,134 @@
+// api/users.js - public author profiles (backs /u/:user_id)
+import { withApi } from "../utils/api.js";
+import { findUserByUserId } from "../utils/users.js";
+import { getPublicProfile } from "../utils/profile.js";
+import { ensureUserListed, getNoteById } from "../utils/note-storage.js";
+import { getUserListing } from "../utils/note-listing.js";
+import { getWebsitesByOwner } from "../utils/website-storage.js";
+
+// =============== CONFIGURATION ===============
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const EXCERPT_LENGTH = 200;
+// =============================================
+
+// Helper to turn note HTML into a short plain-text excerpt
+function excerpt(text) {
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return plain.length > EXCERPT_LENGTH ? `${plain.substring(0, EXCERPT_LENGTH)}…` : plain;
+}
+
+// Helper to slice a sorted list into a page
+function paginate(items, page, limit) {
+  const start = (page - 1) * limit;
+  return {
+    items: items.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total: items.length,
+      has_more: start + limit < items.length
+    }
+  };
+}
+
+// Pages come from the listing index; only the notes on the page are loaded
+async function getPublicNotes(userId, page, limit) {
+  await ensureUserListed(userId);
+  const listing = await getUserListing(userId);
+  const noteIds = Object.keys(listing)
+    .filter(noteId => listing[noteId].public)
+    .sort((a, b) => listing[b].updated_at - listing[a].updated_at);
+
+  const result = paginate(noteIds, page, limit);
+  const notes = await Promise.all(result.items.map(noteId => getNoteById(noteId)));
+  result.items = notes
+    .filter(note => note && note.public === true && !note.deleted_at)
+    .map(note => ({
+      note_id: note.note_id,
+      title: note.title || '',
+      excerpt: excerpt(note.text),
+      comment_count: note.comment_count || 0,
+      created_at: note.created_at,
+      updated_at: note.updated_at
+    }));
+
+  return result;
+}
+
+async function getPublicWebsites(userId, page, limit) {
+  const websites = Object.values(await getWebsitesByOwner(userId))
+    .filter(website => website.is_public === true)
+    .sort((a, b) => b.updated_at - a.updated_at)
+    .map(website => ({
+      website_id: website.website_id,
+      project_name: website.project_name,
+      description: website.description || '',
+      type: website.type,
+      thumbnail: website.thumbnail || '',
+      total_views: website.total_views || 0,
+      total_forks: website.total_forks || 0,
+      created_at: website.created_at,
+      updated_at: website.updated_at
+    }));
+
+  return paginate(websites, page, limit);
+}
+
+// GET /api/users?user_id=tk01 - profile plus the first page of notes and websites
+// GET /api/users?user_id=tk01&type=notes|websites&page=2&limit=10 - one more page of a list
+async function handler(req, res) {
+  const { user_id, type } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+  if (!user_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'User ID is required'
+    });
+  }
+
+  if (type && type !== 'notes' && type !== 'websites') {
+    return res.status(400).json({
+      success: false,
+      error: 'Type must be "notes" or "websites"'
+    });
+  }
+
+  // Accounts waiting to be deleted are already gone as far as visitors are concerned
+  const user = await findUserByUserId(user_id);
+  if (!user || user.deletion) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  if (type === 'notes') {
+    return res.status(200).json({ success: true, notes: await getPublicNotes(user.user_id, page, limit) });
+  }
+
+  if (type === 'websites') {
+    return res.status(200).json({ success: true, websites: await getPublicWebsites(user.user_id, page, limit) });
+  }
+
+  const [notes, websites] = await Promise.all([
+    getPublicNotes(user.user_id, 1, limit),
+    getPublicWebsites(user.user_id, 1, limit)
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    profile: getPublicProfile(user),
+    notes,
+    websites
+  });
+}
+
+export default withApi(handler, {
+  name: 'Users API',
+  methods: ['GET'],
+  auth: 'none',
+  userIdParam: null
+});
@@ -0,0 +1,434 @@
+// public/lib/collab-client.js - live co-editing of a note in the dashboard editor
+//
+// The editor's HTML is the shared document (an RGA, see rga.js). Local edits become operations
+// pushed to collab/<note_id>/ops; operations from others are merged in and re-rendered with the
+// caret kept in place. Carets of other editors are drawn from collab/<note_id>/presence.
+//
+// The Firebase SDK queues writes while offline and unsent operations are also kept in
+// localStorage, so edits made without a connection merge in when the client reconnects.
+import { initializeApp, deleteApp } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-app.js';
+import { getAuth, signInWithCustomToken, connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-auth.js';
+import {
+  getDatabase,
+  connectDatabaseEmulator,
+  ref,
+  get,
+  set,
+  push,
+  remove,
+  onValue,
+  onChildAdded,
+  onDisconnect,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-database.js';
+import { RGA } from './rga.js';
+import { sanitizeHTML } from './sanitize-html.js';
+
+const CHECKPOINT_EVERY = 200;  // local operations between log compactions
+const PRESENCE_THROTTLE_MS = 150;
+
+// Serialized HTML offsets <-> DOM positions ------------------------------------------------
+// RGA positions index the editor's innerHTML, so carets need mapping both ways.
+
+function escapedLength(text) {
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    length += ch === '&' ? 5 : ch === '<' || ch === '>' ? 4 : ch === '\u00a0' ? 6 : 1;
+  }
+  return length;
+}
+
+function tagLengths(element) {
+  const shallow = element.cloneNode(false).outerHTML;
+  const close = `</${element.localName}>`;
+  return shallow.endsWith(close)
+    ? { open: shallow.length - close.length, close: close.length }
+    : { open: shallow.length, close: 0 };
+}
+
+function serializedLength(node) {
+  if (node.nodeType === Node.TEXT_NODE) return escapedLength(node.data);
+  if (node.nodeType === Node.ELEMENT_NODE) return node.outerHTML.length;
+  if (node.nodeType === Node.COMMENT_NODE) return node.data.length + 7;
+  return 0;
+}
+
+// Offset in root.innerHTML of a DOM position inside root
+function htmlOffsetOf(root, node, offset) {
+  let total = 0;
+
+  if (node.nodeType === Node.TEXT_NODE) {
+    total += escapedLength(node.data.slice(0, offset));
+  } else {
+    if (node !== root) total += tagLengths(node).open;
+    for (let i = 0; i < offset && i < node.childNodes.length; i++) {
+      total += serializedLength(node.childNodes[i]);
+    }
+  }
+
+  let current = node;
+  while (current !== root) {
+    for (let sibling = current.previousSibling; sibling; sibling = sibling.previousSibling) {
+      total += serializedLength(sibling);
+    }
+    current = current.parentNode;
+    if (!current) return null;
+    if (current !== root) total += tagLengths(current).open;
+  }
+
+  return total;
+}
+
+// Character index in a text node for an offset into its escaped form (rounded past entities)
+function textIndexAt(text, target) {
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (length >= target) return i;
+    length += escapedLength(text[i]);
+  }
+  return text.length;
+}
+
+// DOM position for an offset into root.innerHTML; offsets inside a tag snap to a boundary
+function domPositionAt(root, target) {
+  let node = root;
+  let remaining = target;
+
+  descend: while (true) {
+    for (let i = 0; i < node.childNodes.length; i++) {
+      const child = node.childNodes[i];
+      const length = serializedLength(child);
+
+      if (remaining > length) {
+        remaining -= length;
+        continue;
+      }
+      if (child.nodeType === Node.TEXT_NODE) {
+        return { node: child, offset: textIndexAt(child.data, remaining) };
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || remaining === 0 || remaining === length) {
+        return { node, offset: remaining === 0 ? i : i + 1 };
+      }
+
+      const { open, close } = tagLengths(child);
+      if (remaining < open) return { node, offset: i };
+      if (remaining > length - close) return { node, offset: i + 1 };
+
+      node = child;
+      remaining -= open;
+      continue descend;
+    }
+    return { node, offset: node.childNodes.length };
+  }
+}
+
+// Operations that never reached the server, per note
+function loadOutbox(noteId) {
+  try {
+    return JSON.parse(localStorage.getItem(`talknote_collab_outbox_${noteId}`)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveOutbox(noteId, outbox) {
+  if (Object.keys(outbox).length) {
+    localStorage.setItem(`talknote_collab_outbox_${noteId}`, JSON.stringify(outbox));
+  } else {
+    localStorage.removeItem(`talknote_collab_outbox_${noteId}`);
+  }
+}
+
+async function collabRequest(authHeaders, body) {
+  const response = await fetch('/api/collab', {
+    method: 'POST',
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || 'Collaboration request failed');
+  }
+  return data;
+}
+
+/**
+ * Join the live session of a note and bind it to a contenteditable element.
+ *
+ * Options:
+ *   editor      - the contenteditable element holding the note HTML
+ *   authHeaders - (headers) => headers with the Talknote session added
+ *   onPeers     - called with [{ user_id, name, color }] of everyone else editing
+ *   onStatus    - called with { connected } when the database connection changes
+ *
+ * Resolves to { role, user, text(), sync(), leave() }.
+ */
+export async function joinNote(noteId, { editor, authHeaders, onPeers = () => {}, onStatus = () => {} }) {
+  const { session } = await collabRequest(authHeaders, { action: 'session', note_id: noteId });
+  const { site, user } = session;
+
+  const app = initializeApp(session.config, `collab-${site}`);
+  const auth = getAuth(app);
+  const database = getDatabase(app);
+  if (session.emulators.auth) {
+    connectAuthEmulator(auth, `http://${session.emulators.auth}`, { disableWarnings: true });
+  }
+  if (session.emulators.database) {
+    const [host, port] = session.emulators.database.split(':');
+    connectDatabaseEmulator(database, host, Number(port));
+  }
+  await signInWithCustomToken(auth, session.token);
+
+  const rootRef = ref(database, `collab/${noteId}`);
+  const opsRef = ref(database, `collab/${noteId}/ops`);
+  const presenceRef = ref(database, `collab/${noteId}/presence/${user.user_id}`);
+
+  // State and log are read together so a concurrent checkpoint cannot split them
+  const snapshot = await get(rootRef);
+  const stored = snapshot.val() || {};
+  const doc = new RGA(site, stored.state);
+  const seen = new Set(Object.keys(stored.ops || {}));
+  Object.keys(stored.ops || {}).sort().forEach(key => doc.apply(stored.ops[key]));
+
+  const outbox = loadOutbox(noteId);
+  const unsubscribers = [];
+  let lastHtml = '';
+  let rendering = false;
+  let composing = false;
+  let sentSinceCheckpoint = 0;
+  let remoteQueue = [];
+  let peers = {};
+  let presenceTimer = null;
+  let left = false;
+
+  function send(op) {
+    const opRef = push(opsRef);
+    const payload = { ...op, user_id: user.user_id, at: serverTimestamp() };
+    seen.add(opRef.key);
+    outbox[opRef.key] = payload;
+    saveOutbox(noteId, outbox);
+
+    set(opRef, payload)
+      .then(() => {
+        delete outbox[opRef.key];
+        saveOutbox(noteId, outbox);
+      })
+      .catch(error => console.error('Collab write failed:', error));
+
+    if (++sentSinceCheckpoint >= CHECKPOINT_EVERY) {
+      sentSinceCheckpoint = 0;
+      collabRequest(authHeaders, { action: 'checkpoint', note_id: noteId })
+        .catch(error => console.error('Collab checkpoint failed:', error));
+    }
+  }
+
+  // Local edits: diff the editor HTML against the document and broadcast the difference
+  function sync() {
+    if (rendering || left) return;
+    const html = editor.innerHTML;
+    if (html === lastHtml) return;
+    doc.change(html).forEach(send);
+    lastHtml = html;
+  }
+
+  function captureSelection() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !editor.contains(selection.anchorNode)) return null;
+
+    const anchor = htmlOffsetOf(editor, selection.anchorNode, selection.anchorOffset);
+    const focus = htmlOffsetOf(editor, selection.focusNode, selection.focusOffset);
+    if (anchor === null || focus === null) return null;
+
+    return { anchor: doc.idBefore(anchor), focus: doc.idBefore(focus) };
+  }
+
+  function restoreSelection(saved) {
+    if (!saved) return;
+    const anchor = domPositionAt(editor, doc.positionAfter(saved.anchor));
+    const focus = domPositionAt(editor, doc.positionAfter(saved.focus));
+    window.getSelection().setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+  }
+
+  function render() {
+    const text = doc.text();
+    if (text !== lastHtml) {
+      rendering = true;
+      editor.innerHTML = sanitizeHTML(text);
+      lastHtml = editor.innerHTML;
+      rendering = false;
+
+      // The browser may normalize the markup and the sanitizer drops anything unsafe another
+      // client wrote; what is left becomes the shared form
+      if (lastHtml !== text) {
+        doc.change(lastHtml).forEach(send);
+      }
+    }
+    renderCarets();
+  }
+
+  // Remote operations are applied in batches, after any pending local edit is captured
+  function flushRemote() {
+    if (!remoteQueue.length || composing || left) return;
+    sync();
+
+    const saved = captureSelection();
+    remoteQueue.forEach(op => doc.apply(op));
+    remoteQueue = [];
+    render();
+    restoreSelection(saved);
+  }
+
+  // Carets of other editors, drawn over the editor
+  const layer = document.createElement('div');
+  layer.className = 'collab-carets';
+  const container = editor.parentElement;
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+  container.appendChild(layer);
+
+  function renderCarets() {
+    layer.innerHTML = '';
+    const containerRect = container.getBoundingClientRect();
+
+    for (const peer of Object.values(peers)) {
+      const position = domPositionAt(editor, doc.positionAfter(peer.focus || peer.anchor || null));
+      const range = document.createRange();
+      range.setStart(position.node, position.offset);
+      range.collapse(true);
+
+      const rect = range.getClientRects()[0] ||
+        (position.node.nodeType === Node.ELEMENT_NODE ? position.node.getBoundingClientRect() : null);
+      if (!rect) continue;
+
+      const caret = document.createElement('div');
+      caret.className = 'collab-caret';
+      caret.style.left = `${rect.left - containerRect.left + container.scrollLeft}px`;
+      caret.style.top = `${rect.top - containerRect.top + container.scrollTop}px`;
+      caret.style.height = `${rect.height || 18}px`;
+      caret.style.background = peer.color;
+
+      const label = document.createElement('span');
+      label.className = 'collab-caret-label';
+      label.textContent = peer.name;
+      label.style.background = peer.color;
+      caret.appendChild(label);
+      layer.appendChild(caret);
+    }
+  }
+
+  function publishPresence() {
+    const saved = captureSelection();
+    set(presenceRef, {
+      name: user.name,
+      color: user.color,
+      site: site,
+      anchor: saved?.anchor || null,
+      focus: saved?.focus || null,
+      updated_at: serverTimestamp()
+    }).catch(error => console.error('Collab presence failed:', error));
+  }
+
+  function schedulePresence() {
+    if (presenceTimer) return;
+    presenceTimer = setTimeout(() => {
+      presenceTimer = null;
+      if (!left) publishPresence();
+    }, PRESENCE_THROTTLE_MS);
+  }
+
+  // First render, then replay edits a previous visit could not send
+  render();
+  for (const [key, op] of Object.entries(outbox)) {
+    if (seen.has(key)) {
+      delete outbox[key];
+      continue;
+    }
+    seen.add(key);
+    doc.apply(op);
+    set(ref(database, `collab/${noteId}/ops/${key}`), op)
+      .then(() => {
+        delete outbox[key];
+        saveOutbox(noteId, outbox);
+      })
+      .catch(error => console.error('Collab replay failed:', error));
+  }
+  saveOutbox(noteId, outbox);
+  render();
+
+  const observer = new MutationObserver(() => sync());
+  observer.observe(editor, { childList: true, subtree: true, characterData: true, attributes: true });
+
+  const onCompositionStart = () => { composing = true; };
+  const onCompositionEnd = () => {
+    composing = false;
+    sync();
+    flushRemote();
+  };
+  const onSelectionChange = () => {
+    const selection = window.getSelection();
+    if (selection.rangeCount && editor.contains(selection.anchorNode)) schedulePresence();
+  };
+  editor.addEventListener('compositionstart', onCompositionStart);
+  editor.addEventListener('compositionend', onCompositionEnd);
+  document.addEventListener('selectionchange', onSelectionChange);
+  window.addEventListener('resize', renderCarets);
+
+  unsubscribers.push(onChildAdded(opsRef, added => {
+    if (seen.has(added.key)) return;
+    seen.add(added.key);
+    remoteQueue.push(added.val());
+    queueMicrotask(flushRemote);
+  }));
+
+  unsubscribers.push(onValue(ref(database, `collab/${noteId}/presence`), presence => {
+    peers = {};
+    presence.forEach(entry => {
+      const peer = entry.val();
+      if (entry.key !== user.user_id) peers[entry.key] = peer;
+    });
+    onPeers(Object.entries(peers).map(([userId, peer]) => ({ user_id: userId, name: peer.name, color: peer.color })));
+    renderCarets();
+  }));
+
+  // Presence is re-registered on every reconnect and cleared by the server on disconnect
+  unsubscribers.push(onValue(ref(database, '.info/connected'), connected => {
+    const isConnected = connected.val() === true;
+    if (isConnected) {
+      onDisconnect(presenceRef).remove();
+      publishPresence();
+    }
+    onStatus({ connected: isConnected });
+  }));
+
+  return {
+    role: session.role,
+    user: user,
+    text: () => {
+      sync();
+      return doc.text();
+    },
+    sync: sync,
+    async leave() {
+      if (left) return;
+      sync();
+      left = true;
+
+      observer.disconnect();
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      editor.removeEventListener('compositionstart', onCompositionStart);
+      editor.removeEventListener('compositionend', onCompositionEnd);
+      document.removeEventListener('selectionchange', onSelectionChange);
+      window.removeEventListener('resize', renderCarets);
+      clearTimeout(presenceTimer);
+      layer.remove();
+
+      await remove(presenceRef).catch(() => {});
+      if (sentSinceCheckpoint) {
+        await collabRequest(authHeaders, { action: 'checkpoint', note_id: noteId }).catch(() => {});
+      }
+      await deleteApp(app);
+    }
+  };
+}
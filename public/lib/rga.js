@@ -0,0 +1,222 @@
+// public/lib/rga.js - Replicated Growable Array, the text CRDT behind collaborative notes
+//
+// Loaded by the browser (collab-client.js) and by the server (api/collab.js), so no dependencies.
+//
+// Every character is an element with a unique id [clock, site]. An insert names the element it
+// goes after (null = start of the text) and a delete only marks elements as tombstones, so any two
+// replicas that have applied the same operations hold the same text, whatever order they arrived in.
+//
+// Operations:
+//   { type: 'ins', id: [clock, site], after: [clock, site] | null, text }  - text.length elements,
+//     ids clock, clock + 1, ... each placed after the previous one
+//   { type: 'del', ids: [[clock, site], ...] }
+
+// Total order on ids: Lamport clock first, site breaks ties
+export function compareIds(a, b) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function idKey(id) {
+  return `${id[0]}:${id[1]}`;
+}
+
+// Prefix/suffix diff of two strings as a single replaced range
+export function diffRange(oldText, newText) {
+  let start = 0;
+  const max = Math.min(oldText.length, newText.length);
+  while (start < max && oldText[start] === newText[start]) start++;
+
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  return { start, deleteCount: oldEnd - start, insert: newText.slice(start, newEnd) };
+}
+
+export class RGA {
+  constructor(site, state = null) {
+    this.site = site;
+    this.clock = 0;
+    this.elements = [];      // { id, ch, deleted } in document order, tombstones included
+    this.byId = new Map();   // idKey -> element
+    this.pending = [];       // remote ops waiting for an element they refer to
+    if (state) this.load(state);
+  }
+
+  // State is stored as runs: [clock, site, text, deleted] covers ids clock..clock+text.length-1
+  load(state) {
+    for (const [clock, site, text, deleted] of state.runs || []) {
+      for (let i = 0; i < text.length; i++) {
+        const element = { id: [clock + i, site], ch: text[i], deleted: Boolean(deleted) };
+        this.elements.push(element);
+        this.byId.set(idKey(element.id), element);
+      }
+      this.clock = Math.max(this.clock, clock + text.length - 1);
+    }
+  }
+
+  toState() {
+    const runs = [];
+    let run = null;
+
+    for (const element of this.elements) {
+      const [clock, site] = element.id;
+      const deleted = element.deleted ? 1 : 0;
+      if (run && run[1] === site && run[3] === deleted && run[0] + run[2].length === clock) {
+        run[2] += element.ch;
+      } else {
+        run = [clock, site, element.ch, deleted];
+        runs.push(run);
+      }
+    }
+
+    return { runs };
+  }
+
+  text() {
+    let text = '';
+    for (const element of this.elements) {
+      if (!element.deleted) text += element.ch;
+    }
+    return text;
+  }
+
+  has(id) {
+    return this.byId.has(idKey(id));
+  }
+
+  // Id of the visible character just before a text position (null at the start)
+  idBefore(position) {
+    if (position <= 0) return null;
+    let seen = 0;
+    for (const element of this.elements) {
+      if (element.deleted) continue;
+      if (++seen === position) return element.id;
+    }
+    return null;
+  }
+
+  // Text position just after an element (tombstones keep their place); 0 for null or unknown ids
+  positionAfter(id) {
+    if (!id) return 0;
+    let position = 0;
+    for (const element of this.elements) {
+      if (!element.deleted) position++;
+      if (element.id[0] === id[0] && element.id[1] === id[1]) return position;
+    }
+    return 0;
+  }
+
+  // Place one element: right after `after`, skipping newer elements already inserted at that spot
+  integrate(after, id, ch) {
+    let index = 0;
+    if (after) {
+      index = this.elements.indexOf(this.byId.get(idKey(after))) + 1;
+    }
+    while (index < this.elements.length && compareIds(this.elements[index].id, id) > 0) {
+      index++;
+    }
+
+    const element = { id, ch, deleted: false };
+    this.elements.splice(index, 0, element);
+    this.byId.set(idKey(id), element);
+  }
+
+  // Local edits -------------------------------------------------------------
+
+  insert(position, text) {
+    const op = { type: 'ins', id: [this.clock + 1, this.site], after: this.idBefore(position), text };
+    this.applyInsert(op);
+    return op;
+  }
+
+  delete(position, count) {
+    const ids = [];
+    let seen = 0;
+    for (const element of this.elements) {
+      if (element.deleted) continue;
+      if (seen >= position && seen < position + count) ids.push(element.id);
+      if (++seen >= position + count) break;
+    }
+
+    const op = { type: 'del', ids };
+    this.applyDelete(op);
+    return op;
+  }
+
+  // Turn the current text into newText; returns the operations to broadcast
+  change(newText) {
+    const { start, deleteCount, insert } = diffRange(this.text(), newText);
+    const ops = [];
+    if (deleteCount) ops.push(this.delete(start, deleteCount));
+    if (insert) ops.push(this.insert(start, insert));
+    return ops;
+  }
+
+  // Remote operations --------------------------------------------------------
+
+  /**
+   * Apply an operation from any replica. Duplicates are ignored and operations that refer to
+   * elements not seen yet wait until they arrive. Returns true when the text may have changed.
+   */
+  apply(op) {
+    if (!this.tryApply(op)) {
+      this.pending.push(op);
+      return false;
+    }
+
+    // Anything waiting on the new elements can go in now
+    let progressed = true;
+    while (progressed && this.pending.length) {
+      progressed = false;
+      for (let i = 0; i < this.pending.length; i++) {
+        if (this.tryApply(this.pending[i])) {
+          this.pending.splice(i, 1);
+          progressed = true;
+          break;
+        }
+      }
+    }
+    return true;
+  }
+
+  tryApply(op) {
+    if (op.type === 'ins') {
+      if (op.after && !this.has(op.after)) return false;
+      this.applyInsert(op);
+      return true;
+    }
+    if (op.type === 'del') {
+      // Delete what is known now; the rest keeps waiting
+      const missing = (op.ids || []).filter(id => !this.has(id));
+      if (missing.length && missing.length === (op.ids || []).length) return false;
+      this.applyDelete(op);
+      if (missing.length) this.pending.push({ type: 'del', ids: missing });
+      return true;
+    }
+    return true;
+  }
+
+  applyInsert(op) {
+    const [clock, site] = op.id;
+    let after = op.after || null;
+
+    for (let i = 0; i < op.text.length; i++) {
+      const id = [clock + i, site];
+      if (!this.has(id)) this.integrate(after, id, op.text[i]);
+      after = id;
+    }
+    this.clock = Math.max(this.clock, clock + op.text.length - 1);
+  }
+
+  applyDelete(op) {
+    for (const id of op.ids || []) {
+      const element = this.byId.get(idKey(id));
+      if (element) element.deleted = true;
+    }
+  }
+}
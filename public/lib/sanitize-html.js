@@ -0,0 +1,67 @@
+// public/lib/sanitize-html.js - clean note HTML before a page renders it
+//
+// Note text is written by whoever can edit the note (owner, collaborators, imports), so every
+// page that puts it into the DOM runs it through sanitizeHTML first: note.html, the dashboard
+// editor and the live-editing client. Parsing happens inside a <template>, whose content is
+// inert: nothing loads and no handler runs before the dangerous parts are gone.
+
+const DANGEROUS_TAGS = ['script', 'iframe', 'object', 'embed', 'link', 'meta', 'base', 'style', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'math'];
+
+function isSafeHref(href) {
+  return /^(https?:\/\/|\/|#|mailto:)/i.test(href);
+}
+
+// Web images and note attachments (/api/attachments?...)
+function isSafeSrc(src) {
+  return /^(https?:\/\/|\/)/i.test(src);
+}
+
+/**
+ * Strip scripts, embeds, event handlers, inline styles and unsafe link/image URLs from html.
+ * With { display: true } links also open in a new tab and images load lazily, for read-only pages.
+ */
+export function sanitizeHTML(html, { display = false } = {}) {
+  if (!html) return '';
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const root = template.content;
+
+  root.querySelectorAll(DANGEROUS_TAGS.join(', ')).forEach(el => el.remove());
+
+  root.querySelectorAll('*').forEach(el => {
+    // href and src are only kept on links and images, and checked below
+    for (let i = el.attributes.length - 1; i >= 0; i--) {
+      const name = el.attributes[i].name.toLowerCase();
+      if (name.startsWith('on') ||
+          (name === 'href' && el.tagName !== 'A') ||
+          (name === 'src' && el.tagName !== 'IMG') ||
+          ['srcset', 'xlink:href', 'formaction', 'action', 'style', 'class'].includes(name)) {
+        el.removeAttribute(name);
+      }
+    }
+
+    if (el.tagName === 'A') {
+      const href = el.getAttribute('href');
+      if (href === null) return;
+      if (!isSafeHref(href)) {
+        el.removeAttribute('href');
+      } else if (display) {
+        el.setAttribute('target', '_blank');
+        el.setAttribute('rel', 'noopener noreferrer');
+      }
+    }
+
+    if (el.tagName === 'IMG') {
+      const src = el.getAttribute('src');
+      if (!src || !isSafeSrc(src)) {
+        el.remove();
+      } else if (display) {
+        el.setAttribute('alt', el.getAttribute('alt') || 'Image');
+        el.setAttribute('loading', 'lazy');
+      }
+    }
+  });
+
+  return template.innerHTML;
+}
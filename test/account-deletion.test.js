@@ -0,0 +1,83 @@
+// test/account-deletion.test.js - purging an account leaves nothing of it behind
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, readPath, createUser } from "./helpers.js";
+
+describe('purgeAccount', { skip: needsEmulator }, () => {
+  let notes, notebooks, purgeAccount, hashToken;
+  let leaving, staying, staysNote, ownReply;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: notebooks } = await import("../api/notebooks.js"));
+    ({ purgeAccount } = await import("../utils/account-deletion.js"));
+    ({ hashToken } = await import("../utils/tokens.js"));
+
+    leaving = await createUser('leaving@example.com');
+    staying = await createUser('staying@example.com');
+
+    // Everything the leaving user owns
+    const notebook = await callApi(notebooks, { body: { name: 'Plans' }, token: leaving.token });
+    assert.equal(notebook.status, 201);
+    const own = await callApi(notes, {
+      body: {
+        title: 'Mine',
+        text: '<ul><li data-checked="false">Pack due:2026-05-01</li></ul>',
+        tags: ['trip'],
+        public: true,
+        notebook_id: notebook.body.notebook.notebook_id
+      },
+      token: leaving.token
+    });
+    assert.equal(own.status, 201);
+
+    // ... and what they left on someone else's note
+    staysNote = (await callApi(notes, { body: { title: 'Open', text: 'Comment here', public: true }, token: staying.token })).body;
+    const comment = body => callApi(notes, { query: { action: 'add_comment' }, body: { note_id: staysNote.note_id, ...body }, token: leaving.token });
+
+    await comment({ text: 'A lone comment' });
+    const answered = await comment({ text: 'Someone answers this one' });
+    const reply = await callApi(notes, {
+      query: { action: 'add_comment' },
+      body: { note_id: staysNote.note_id, text: 'An answer', parent_comment_id: answered.body.comment.comment_id },
+      token: staying.token
+    });
+    ownReply = reply.body.comment.comment_id;
+    const react = await callApi(notes, {
+      query: { action: 'react_comment' },
+      body: { note_id: staysNote.note_id, comment_id: ownReply, reaction: 'heart' },
+      token: leaving.token
+    });
+    assert.equal(react.status, 200);
+  });
+
+  it('removes everything the user owns or left behind', async () => {
+    assert.equal(await purgeAccount(leaving.uid), true);
+
+    const everything = JSON.stringify(await readPath('/'));
+    const traces = [
+      leaving.uid,
+      leaving.user_id,
+      leaving.email,
+      hashToken(leaving.user_id.toLowerCase()),
+      hashToken(leaving.email.toLowerCase())
+    ];
+    for (const trace of traces) {
+      assert.ok(!everything.includes(trace), `${trace} is still stored`);
+    }
+  });
+
+  it('keeps the threads and data of other users', async () => {
+    const comments = Object.values(await readPath(`comments/${staysNote.note_id}`));
+    assert.equal(comments.length, 2, 'the answered comment stays as a tombstone');
+    assert.ok(comments.some(comment => comment.deleted_at && comment.text === ''));
+
+    const reply = comments.find(comment => comment.comment_id === ownReply);
+    assert.equal(reply.user_id, staying.user_id);
+    assert.equal(reply.reactions, undefined);
+
+    assert.ok(await readPath(`notes/${staysNote.note_id}`));
+    assert.ok(await readPath(`user_comment_notes/${staying.user_id}/${staysNote.note_id}`));
+  });
+});
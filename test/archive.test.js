@@ -0,0 +1,83 @@
+// test/archive.test.js - exporting an account as a ZIP and restoring it
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, readPath, createUser } from "./helpers.js";
+import { createZip, readZip } from "../utils/zip.js";
+
+describe('readZip', () => {
+  it('reports an entry that inflates past its declared size as corrupt', () => {
+    const zip = createZip([{ name: 'big.txt', data: 'a'.repeat(10000) }]);
+    const central = zip.readUInt32LE(zip.length - 22 + 16);
+    zip.writeUInt32LE(100, central + 24);    // claim 100 bytes unpacked
+
+    assert.throws(() => readZip(zip), { message: 'Corrupt file in ZIP archive: big.txt' });
+  });
+
+  it('counts one budget across calls that share it', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'aaaa' }, { name: 'b.txt', data: 'bbbb' }]);
+    const budget = { entries: 0, bytes: 0 };
+
+    readZip(zip, { maxEntries: 3, maxBytes: 100 }, budget);
+    assert.deepEqual(budget, { entries: 2, bytes: 8 });
+    assert.throws(() => readZip(zip, { maxEntries: 3, maxBytes: 100 }, budget), { message: 'ZIP archive has more than 3 files' });
+  });
+});
+
+describe('account archives', { skip: needsEmulator }, () => {
+  let notes, archive, limits;
+  let owner, visitor, exported;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: archive } = await import("../api/archive.js"));
+    ({ ARCHIVE_LIMITS: limits } = await import("../utils/data-archive.js"));
+
+    owner = await createUser('exporter@example.com');
+    visitor = await createUser('visitor@example.com');
+
+    const note = (await callApi(notes, { body: { title: 'Open', text: 'Read me', public: true }, token: owner.token })).body;
+    for (const user of [owner, visitor]) {
+      const comment = await callApi(notes, { query: { action: 'add_comment' }, body: { note_id: note.note_id, text: `From ${user.email}` }, token: user.token });
+      assert.equal(comment.status, 201);
+    }
+
+    const result = await callApi(archive, { method: 'GET', token: owner.token });
+    assert.equal(result.status, 200);
+    exported = result.body;
+  });
+
+  const restore = user => callApi(archive, { body: exported, token: user.token });
+
+  it('keeps only the archive owner as a comment author and nothing public for unverified accounts', async () => {
+    const newcomer = await createUser('newcomer@example.com', { verified: false });
+    const result = await restore(newcomer);
+    assert.equal(result.status, 201);
+    assert.equal(result.body.restored.comments, 2);
+
+    const restored = Object.values(await readPath('notes')).find(note => note.user_id === newcomer.user_id);
+    assert.equal(restored.public, false);
+
+    const comments = Object.values(await readPath(`comments/${restored.note_id}`));
+    const authorOf = text => comments.find(comment => comment.text === text).user_id;
+    assert.equal(authorOf(`From ${owner.email}`), newcomer.user_id);
+    assert.equal(authorOf(`From ${visitor.email}`), undefined, 'stored without an author');
+  });
+
+  describe('past the restore limits', () => {
+    let maxBytes;
+    before(() => {
+      maxBytes = limits.maxBytes;
+      limits.maxBytes = 100;
+    });
+    after(() => {
+      limits.maxBytes = maxBytes;
+    });
+
+    it('refuses the export', async () => {
+      const result = await callApi(archive, { method: 'GET', token: owner.token });
+      assert.equal(result.status, 413);
+      assert.match(result.body.error, /^Archive too large/);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// test/attachment-storage.test.js - choosing where attachment files live
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// A fresh copy of the storage module, configured from `env`
+async function loadStorage(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    return await import(`../utils/attachment-storage.js?${new URLSearchParams(env)}`);
+  } finally {
+    process.env = saved;
+  }
+}
+
+describe('attachment storage', () => {
+  it('has no default adapter in production', async () => {
+    const storage = await loadStorage({ NODE_ENV: 'production', ATTACHMENT_STORAGE: '' });
+    await assert.rejects(storage.getFile('attachments/a/b'), /Attachment storage is not configured/);
+  });
+
+  it('refuses local storage on Vercel', async () => {
+    const storage = await loadStorage({ ATTACHMENT_STORAGE: 'local' });
+    const vercel = process.env.VERCEL;
+    process.env.VERCEL = '1';
+    try {
+      await assert.rejects(storage.getFile('attachments/a/b'), /does not work on Vercel/);
+    } finally {
+      if (vercel === undefined) delete process.env.VERCEL;
+      else process.env.VERCEL = vercel;
+    }
+  });
+
+  it('refuses keys that could leave the storage root', async () => {
+    const storage = await loadStorage({ ATTACHMENT_STORAGE: 'local' });
+    for (const key of ['../secrets', 'attachments/../../etc/passwd', '/abs/path', 'a//b', 'a/b.txt', '']) {
+      await assert.rejects(storage.getFile(key), /Invalid storage key/, key);
+    }
+  });
+
+  it('keeps files under ATTACHMENT_DIR with the local adapter', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'talknote-attachments-test-'));
+    try {
+      const storage = await loadStorage({ ATTACHMENT_STORAGE: 'local', ATTACHMENT_DIR: dir });
+      await storage.putFile('attachments/n1/a1', Buffer.from('bytes'), 'text/plain');
+      assert.equal((await fs.readFile(path.join(dir, 'attachments/n1/a1'))).toString(), 'bytes');
+      assert.equal((await storage.getFile('attachments/n1/a1')).toString(), 'bytes');
+
+      await storage.removeFile('attachments/n1/a1');
+      assert.equal(await storage.getFile('attachments/n1/a1'), null);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects unknown adapters', async () => {
+    const storage = await loadStorage({ ATTACHMENT_STORAGE: 'floppy' });
+    await assert.rejects(storage.getFile('attachments/a/b'), /Unknown attachment storage: floppy/);
+  });
+
+  it('uses registered adapters', async () => {
+    const storage = await loadStorage({ NODE_ENV: 'production', ATTACHMENT_STORAGE: 'memory' });
+    const files = new Map();
+    storage.registerStorageAdapter('memory', {
+      async put(key, data) { files.set(key, data); },
+      async get(key) { return files.get(key) || null; },
+      async remove(key) { files.delete(key); }
+    });
+
+    await storage.putFile('attachments/n/a', Buffer.from('hi'), 'text/plain');
+    assert.equal((await storage.getFile('attachments/n/a')).toString(), 'hi');
+    await storage.removeFile('attachments/n/a');
+    assert.equal(await storage.getFile('attachments/n/a'), null);
+  });
+});
@@ -0,0 +1,126 @@
+// test/auth.test.js - password checks and the sign-in lockout
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, createUser } from "./helpers.js";
+
+describe('register', { skip: needsEmulator }, () => {
+  let auth;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: auth } = await import("../api/auth.js"));
+  });
+
+  it('enforces the minimum password length', async () => {
+    const result = await callApi(auth, { body: { action: 'register', email: 'tiny@example.com', password: 'short' } });
+    assert.equal(result.status, 400);
+    assert.match(result.body.error, /at least 8 characters/);
+  });
+});
+
+describe('change-password', { skip: needsEmulator }, () => {
+  let auth;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: auth } = await import("../api/auth.js"));
+  });
+
+  const changePassword = (token, currentPassword, password, ip) =>
+    callApi(auth, { body: { action: 'change-password', currentPassword, password }, token, ip });
+
+  it('needs a session', async () => {
+    await createUser('nosession@example.com');
+    const result = await callApi(auth, {
+      body: { action: 'change-password', email: 'nosession@example.com', currentPassword: 'Correct-Horse-9', password: 'Another-Horse-7' }
+    });
+    assert.equal(result.status, 401);
+  });
+
+  it('enforces the minimum password length', async () => {
+    const user = await createUser('short@example.com');
+    const result = await changePassword(user.token, 'Correct-Horse-9', 'short');
+    assert.equal(result.status, 400);
+  });
+
+  it('counts wrong current passwords towards the sign-in lockout', async () => {
+    const user = await createUser('guess@example.com');
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      statuses.push((await changePassword(user.token, `wrong-${i}-password`, 'Another-Horse-7', '10.0.0.2')).status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 401, 429]);
+
+    // Even the right password waits out the lockout, here and on the sign-in form
+    const locked = await changePassword(user.token, 'Correct-Horse-9', 'Another-Horse-7', '10.0.0.2');
+    assert.equal(locked.status, 429);
+    const login = await callApi(auth, { body: { action: 'login', email: 'guess@example.com', password: 'Correct-Horse-9' } });
+    assert.equal(login.status, 429);
+  });
+
+  it('counts wrong passwords for deleting the account the same way', async () => {
+    const user = await createUser('deleter@example.com');
+    const deleteAccount = password => callApi(auth, { body: { action: 'delete-account', password }, token: user.token, ip: '10.0.0.3' });
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      statuses.push((await deleteAccount(`wrong-${i}-password`)).status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 401, 429]);
+    assert.equal((await deleteAccount('Correct-Horse-9')).status, 429);
+  });
+
+  it('signs out the other sessions', async () => {
+    const user = await createUser('devices@example.com');
+    const other = await callApi(auth, { body: { action: 'login', email: 'devices@example.com', password: 'Correct-Horse-9' } });
+
+    const result = await changePassword(user.token, 'Correct-Horse-9', 'Another-Horse-7');
+    assert.equal(result.status, 200);
+
+    const stillIn = await callApi(auth, { body: { action: 'validate-session' }, token: user.token });
+    const signedOut = await callApi(auth, { body: { action: 'validate-session' }, token: other.body.session_id });
+    assert.equal(stillIn.status, 200);
+    assert.equal(signedOut.status, 401);
+
+    const login = await callApi(auth, { body: { action: 'login', email: 'devices@example.com', password: 'Another-Horse-7' } });
+    assert.equal(login.status, 200);
+  });
+});
+
+describe('login lockout', { skip: needsEmulator }, () => {
+  let guard;
+
+  before(async () => {
+    await resetDatabase();
+    guard = await import("../utils/login-guard.js");
+  });
+
+  it('keeps growing across lockouts longer than the failure window', async (t) => {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => now);
+    const minutes = ms => Math.round(ms / 60000);
+
+    const lockouts = [];
+    for (let i = 0; i < 11; i++) {
+      const lockout = await guard.recordLoginFailure('slow@example.com', '10.0.0.3');
+      lockouts.push(minutes(lockout));
+      now += lockout + 1000;   // wait the lockout out, then try again
+    }
+    assert.deepEqual(lockouts, [0, 0, 0, 0, 1, 2, 4, 8, 16, 32, 60]);
+
+    // An hour-long lockout is longer than the 15 minute window; the next failure stays at the cap
+    assert.equal(minutes(await guard.recordLoginFailure('slow@example.com', '10.0.0.3')), 60);
+  });
+
+  it('forgets failures once the window has passed after the lockout', async (t) => {
+    let now = Date.UTC(2026, 0, 2);
+    t.mock.method(Date, 'now', () => now);
+
+    for (let i = 0; i < 5; i++) {
+      await guard.recordLoginFailure('later@example.com', '10.0.0.4');
+    }
+    now += 60 * 1000 + 15 * 60 * 1000 + 1000;
+    assert.equal(await guard.recordLoginFailure('later@example.com', '10.0.0.4'), 0);
+  });
+});
@@ -0,0 +1,117 @@
+// test/collab.test.js - live collaboration sessions and merging their operation log
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, readPath, getDb, createUser } from "./helpers.js";
+import { RGA } from "../public/lib/rga.js";
+
+describe('collab', { skip: needsEmulator }, () => {
+  let notes, shares, collab, db;
+  let owner, editor, outsider, note;
+
+  before(async () => {
+    await resetDatabase();
+    db = await getDb();
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: shares } = await import("../api/shares.js"));
+    ({ default: collab } = await import("../api/collab.js"));
+
+    owner = await createUser('owner@example.com');
+    editor = await createUser('editor@example.com');
+    outsider = await createUser('outsider@example.com');
+
+    note = (await callApi(notes, { body: { title: 'Plan', text: 'Monday: write report' }, token: owner.token })).body;
+    const share = await callApi(shares, { body: { note_id: note.note_id, user_id: editor.user_id, role: 'editor' }, token: owner.token });
+    assert.equal(share.status, 201);
+  });
+
+  const collabCall = (action, user, method = 'POST') => callApi(collab, {
+    method,
+    query: { action, ...(method === 'GET' ? { note_id: note.note_id } : {}) },
+    body: { note_id: note.note_id },
+    token: user.token
+  });
+
+  // A client joining the session: the stored state plus the log so far
+  async function join(site) {
+    const session = await readPath(`collab/${note.note_id}`);
+    const doc = new RGA(site, session.state);
+    Object.keys(session.ops || {}).sort().forEach(key => doc.apply(session.ops[key]));
+    return doc;
+  }
+
+  async function push(ops, user) {
+    for (const op of ops) {
+      await db.ref(`collab/${note.note_id}/ops`).push({ ...op, user_id: user.user_id, at: Date.now() });
+    }
+  }
+
+  it('lets only the owner turn it on, and only people with edit access in', async () => {
+    assert.equal((await collabCall('enable', editor)).status, 403);
+    assert.equal((await collabCall('status', outsider, 'GET')).status, 403);
+
+    assert.equal((await collabCall('enable', owner)).status, 200);
+    const status = await collabCall('status', editor, 'GET');
+    assert.equal(status.body.enabled, true);
+    assert.equal(status.body.role, 'editor');
+    assert.deepEqual(status.body.collaborators.map(user => user.user_id), [editor.user_id]);
+
+    assert.equal((await join('check')).text(), 'Monday: write report');
+  });
+
+  it('merges concurrent edits and edits made offline', async () => {
+    const ownerDoc = await join('owner-1');
+    const editorDoc = await join('editor-1');
+    const offlineDoc = await join('editor-2');
+
+    const ownerOps = ownerDoc.change('Monday: write the report');
+    const editorOps = editorDoc.change('Monday: write report\nTuesday: send it');
+    await push(ownerOps, owner);
+    await push(editorOps, editor);
+
+    // The offline client keeps editing while the others' work is folded away
+    const offlineOps = [
+      ...offlineDoc.change('Monday: write report (draft)'),
+      ...offlineDoc.change('Mon: write report (draft)')
+    ];
+    const first = await collabCall('checkpoint', owner);
+    assert.equal(first.body.folded, 2);
+    assert.equal(first.body.text, 'Monday: write the report\nTuesday: send it');
+
+    await push(offlineOps, editor);
+    const second = await collabCall('checkpoint', editor);
+    assert.equal(second.body.folded, offlineOps.length);
+    assert.equal(second.body.text, 'Mon: write the report (draft)\nTuesday: send it');
+    assert.equal(await readPath(`collab/${note.note_id}/ops`), null, 'the log is folded away');
+
+    // Every client ends up with the server's text once it has seen the others' operations
+    const all = [...ownerOps, ...editorOps, ...offlineOps];
+    for (const doc of [ownerDoc, editorDoc, offlineDoc]) {
+      all.forEach(op => doc.apply(op));
+      assert.equal(doc.text(), second.body.text);
+    }
+    assert.equal((await join('late')).text(), second.body.text);
+  });
+
+  it('keeps operations on unknown elements in the log', async () => {
+    const stray = new RGA('stray');
+    const unseen = stray.insert(0, 'zzz');
+    const waiting = stray.insert(3, '!');
+    await push([waiting], editor);
+
+    const result = await collabCall('checkpoint', editor);
+    assert.equal(result.body.folded, 0);
+    assert.equal(Object.keys(await readPath(`collab/${note.note_id}/ops`)).length, 1);
+
+    await push([unseen], editor);
+    const merged = await collabCall('checkpoint', editor);
+    assert.equal(merged.body.folded, 2);
+    assert.ok(merged.body.text.startsWith('zzz!'));
+  });
+
+  it('drops the session when turned off', async () => {
+    assert.equal((await collabCall('disable', editor)).status, 403);
+    assert.equal((await collabCall('disable', owner)).status, 200);
+    assert.equal(await readPath(`collab/${note.note_id}`), null);
+    assert.equal((await collabCall('checkpoint', owner)).status, 409);
+  });
+});
@@ -0,0 +1,86 @@
+// test/diff.test.js - line and word diffs
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, diffWords, diffStats } from "../utils/diff.js";
+
+// Both texts back from the hunks
+function sides(hunks, joiner) {
+  const join = types => hunks.filter(hunk => types.includes(hunk.type)).map(hunk => hunk.value).join(joiner);
+  return [join(['equal', 'delete']), join(['equal', 'insert'])];
+}
+
+// Length of the longest common subsequence, the slow way
+function lcs(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [0];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], row[j - 1]);
+    }
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+// Small deterministic generator so failures can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+describe('diffLines', () => {
+  it('marks changed lines', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nx\nc'), [
+      { type: 'equal', value: 'a' },
+      { type: 'delete', value: 'b' },
+      { type: 'insert', value: 'x' },
+      { type: 'equal', value: 'c' }
+    ]);
+  });
+
+  it('handles empty sides', () => {
+    assert.deepEqual(diffLines('', 'a'), [{ type: 'delete', value: '' }, { type: 'insert', value: 'a' }]);
+    assert.deepEqual(diffLines('same', 'same'), [{ type: 'equal', value: 'same' }]);
+  });
+
+  it('finds a shortest edit script', () => {
+    const next = random(7);
+    for (let round = 0; round < 300; round++) {
+      const lines = () => Array.from({ length: Math.floor(next() * 30) }, () => 'abcd'[Math.floor(next() * 4)]);
+      const a = lines();
+      const b = lines();
+      const hunks = diffLines(a.join('\n'), b.join('\n'));
+
+      assert.deepEqual(sides(hunks, '\n'), [a.join('\n'), b.join('\n')]);
+      const equal = hunks.filter(hunk => hunk.type === 'equal').reduce((count, hunk) => count + hunk.value.split('\n').length, 0);
+      if (a.length && b.length) {
+        assert.equal(equal, lcs(a, b), `round ${round}`);
+      }
+    }
+  });
+
+  it('falls back to replacing texts that have little in common', () => {
+    const a = Array.from({ length: 20000 }, (_, i) => `old ${i}`);
+    const b = Array.from({ length: 20000 }, (_, i) => `new ${i}`);
+    const hunks = diffLines(['same', ...a, 'end'].join('\n'), ['same', ...b, 'end'].join('\n'));
+
+    assert.deepEqual(hunks.map(hunk => hunk.type), ['equal', 'delete', 'insert', 'equal']);
+    assert.deepEqual(diffStats(hunks), { added: 20000, removed: 20000 });
+  });
+});
+
+describe('diffWords', () => {
+  it('keeps whitespace so the hunks join back into the texts', () => {
+    const hunks = diffWords('the quick  brown fox', 'the slow brown  fox jumps');
+    assert.deepEqual(sides(hunks, ''), ['the quick  brown fox', 'the slow brown  fox jumps']);
+    assert.ok(hunks.some(hunk => hunk.type === 'delete' && hunk.value.includes('quick')));
+    assert.ok(hunks.some(hunk => hunk.type === 'insert' && hunk.value.includes('slow')));
+  });
+
+  it('counts words, not whitespace, in its stats', () => {
+    assert.deepEqual(diffStats(diffWords('the quick brown fox', 'the slow brown fox'), 'word'), { added: 1, removed: 1 });
+    assert.deepEqual(diffStats(diffWords('one two', 'one  two three'), 'word'), { added: 1, removed: 0 });
+  });
+});
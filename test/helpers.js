@@ -0,0 +1,118 @@
+// test/helpers.js - shared setup for the tests (node --test)
+//
+// Tests that touch the database run against the Realtime Database emulator configured in
+// firebase.json: `npm run test:emulators` starts it and runs the suite. Without
+// FIREBASE_DATABASE_EMULATOR_HOST those tests are skipped. Modules that use the database
+// must be imported inside the tests, since utils/firebase.js needs the emulator (or real
+// credentials) as soon as it loads.
+
+// Mail goes to the in-memory outbox below; set before the mailer reads its configuration
+process.env.MAIL_TRANSPORT = 'test';
+const { registerTransport } = await import("../utils/mailer.js");
+
+export const EMULATOR_HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+process.env.FIREBASE_PROJECT_ID ||= 'demo-talknote';
+process.env.FIREBASE_DB_URL ||= `https://${process.env.FIREBASE_PROJECT_ID}-default-rtdb.firebaseio.com`;
+
+// Pass as the `skip` option of database tests
+export const needsEmulator = EMULATOR_HOST ? false : 'needs the database emulator (npm run test:emulators)';
+
+// Mail sent through the 'test' transport
+export const outbox = [];
+registerTransport('test', async message => {
+  outbox.push(message);
+});
+
+// Token from the newest mail to `to` carrying a link with ?<param>=<token>
+export function tokenFromMail(to, param) {
+  const message = outbox.filter(mail => mail.to === to).pop();
+  const match = message?.text.match(new RegExp(`[?&]${param}=([\\w-]+)`));
+  return match ? match[1] : null;
+}
+
+// Call a Vercel-style handler; resolves with { status, body, headers }
+export function callApi(handler, { method = 'POST', query = {}, body = {}, token, headers = {}, ip = '10.0.0.1' } = {}) {
+  const req = {
+    method,
+    query,
+    body,
+    headers: { ...headers, ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    socket: { remoteAddress: ip }
+  };
+
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+      },
+      getHeader(name) {
+        return this.headers[name.toLowerCase()];
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(data) {
+        resolve({ status: this.statusCode, body: data, headers: this.headers });
+        return this;
+      },
+      send(data) {
+        resolve({ status: this.statusCode, body: data, headers: this.headers });
+        return this;
+      },
+      end(data) {
+        resolve({ status: this.statusCode, body: data, headers: this.headers });
+        return this;
+      }
+    };
+
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+export async function getDb() {
+  const { db } = await import("../utils/firebase.js");
+  return db;
+}
+
+// Start every test file from an empty database
+export async function resetDatabase() {
+  const db = await getDb();
+  await db.ref().set(null);
+  outbox.length = 0;
+}
+
+export async function readPath(path) {
+  const db = await getDb();
+  const snapshot = await db.ref(path).once('value');
+  return snapshot.val();
+}
+
+/**
+ * Register a user through the auth API and confirm their email.
+ * Returns { token, uid, user_id, email }.
+ */
+export async function createUser(email, { password = 'Correct-Horse-9', verified = true } = {}) {
+  const { default: auth } = await import("../api/auth.js");
+  const result = await callApi(auth, { body: { action: 'register', email, password } });
+  if (!result.body.success) {
+    throw new Error(`register ${email}: ${result.body.error}`);
+  }
+
+  if (verified) {
+    const verify = await callApi(auth, { body: { action: 'verify-email', token: tokenFromMail(email, 'verify') } });
+    if (!verify.body.success) {
+      throw new Error(`verify ${email}: ${verify.body.error}`);
+    }
+  }
+
+  return {
+    token: result.body.session_id,
+    uid: result.body.uid,
+    user_id: result.body.user_id,
+    email
+  };
+}
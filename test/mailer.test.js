@@ -0,0 +1,144 @@
+// test/mailer.test.js - mail transports and the mails the auth API sends
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { needsEmulator, outbox, callApi, resetDatabase, tokenFromMail, createUser } from "./helpers.js";
+import { sendMail, registerTransport } from "../utils/mailer.js";
+
+// A fresh copy of the mailer, configured from `env`
+async function loadMailer(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    return await import(`../utils/mailer.js?${new URLSearchParams(env)}`);
+  } finally {
+    process.env = saved;
+  }
+}
+
+describe('mail transports', () => {
+  it('hands messages to a registered transport', async () => {
+    const sent = [];
+    registerTransport('collect', async message => sent.push(message));
+
+    await sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hello' }, 'collect');
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'a@example.com');
+    assert.match(sent[0].from, /Talknote/);
+  });
+
+  it('writes one JSON file per message with the file transport', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'talknote-mail-test-'));
+    try {
+      const mailer = await loadMailer({ MAIL_TRANSPORT: 'file', MAIL_OUTBOX_DIR: dir });
+      await mailer.sendMail({ to: 'b@example.com', subject: 'Reset', text: 'Open ?reset=abc' });
+
+      const files = await fs.readdir(dir);
+      assert.equal(files.length, 1);
+      const message = JSON.parse(await fs.readFile(path.join(dir, files[0]), 'utf8'));
+      assert.equal(message.to, 'b@example.com');
+      assert.equal(message.text, 'Open ?reset=abc');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects unknown transports', async () => {
+    await assert.rejects(sendMail({ to: 'a@example.com', subject: 'x', text: 'x' }, 'pigeon'), /Unknown mail transport/);
+  });
+
+  it('has no default transport in production', async () => {
+    const mailer = await loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: '' });
+    await assert.rejects(mailer.sendMail({ to: 'a@example.com', subject: 'x', text: 'x' }), /Mail is not configured/);
+  });
+
+  it('refuses the console transport in production', async () => {
+    const mailer = await loadMailer({ VERCEL_ENV: 'production', MAIL_TRANSPORT: 'console' });
+    await assert.rejects(mailer.sendMail({ to: 'a@example.com', subject: 'x', text: 'x' }), /not allowed in production/);
+  });
+});
+
+describe('auth mails', { skip: needsEmulator }, () => {
+  let auth;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: auth } = await import("../api/auth.js"));
+  });
+
+  it('sends a verification link that confirms the address', async () => {
+    const user = await createUser('verify@example.com', { verified: false });
+    const token = tokenFromMail('verify@example.com', 'verify');
+    assert.ok(token, 'verification mail with a link');
+
+    const result = await callApi(auth, { body: { action: 'verify-email', token } });
+    assert.equal(result.status, 200);
+
+    const again = await callApi(auth, { body: { action: 'verify-email', token } });
+    assert.equal(again.status, 400, 'links are single-use');
+
+    const profile = await callApi(auth, { body: { action: 'get-profile' }, token: user.token });
+    assert.equal(profile.body.email_verified, true);
+  });
+
+  it('still registers when the verification mail cannot be sent', async () => {
+    registerTransport('test', async () => {
+      throw new Error('SMTP is down');
+    });
+    let result;
+    try {
+      result = await callApi(auth, { body: { action: 'register', email: 'nomail@example.com', password: 'Correct-Horse-9' } });
+    } finally {
+      registerTransport('test', async message => outbox.push(message));
+    }
+
+    assert.equal(result.status, 201);
+    assert.equal(result.body.verification_email_sent, false);
+    assert.ok(result.body.session_id);
+
+    const resend = await callApi(auth, { body: { action: 'resend-verification' }, token: result.body.session_id });
+    assert.equal(resend.status, 200);
+    assert.ok(tokenFromMail('nomail@example.com', 'verify'), 'the resent mail has a link');
+  });
+
+  it('sends a reset link only to registered addresses', async () => {
+    await createUser('reset@example.com');
+    outbox.length = 0;
+
+    const known = await callApi(auth, { body: { action: 'request-password-reset', email: 'reset@example.com' } });
+    const unknown = await callApi(auth, { body: { action: 'request-password-reset', email: 'nobody@example.com' } });
+
+    assert.deepEqual(known.body, unknown.body, 'same answer either way');
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'reset@example.com');
+
+    const token = tokenFromMail('reset@example.com', 'reset');
+    const reset = await callApi(auth, {
+      body: { action: 'confirm-password-reset', token, password: 'Another-Horse-7' }
+    });
+    assert.equal(reset.status, 200);
+
+    const login = await callApi(auth, { body: { action: 'login', email: 'reset@example.com', password: 'Another-Horse-7' } });
+    assert.equal(login.status, 200);
+  });
+
+  it('answers the same when the reset mail cannot be sent', async () => {
+    await createUser('unlucky@example.com');
+    registerTransport('test', async () => {
+      throw new Error('SMTP is down');
+    });
+    let known, unknown;
+    try {
+      known = await callApi(auth, { body: { action: 'request-password-reset', email: 'unlucky@example.com' } });
+      unknown = await callApi(auth, { body: { action: 'request-password-reset', email: 'nobody@example.com' } });
+    } finally {
+      registerTransport('test', async message => outbox.push(message));
+    }
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(known.body, unknown.body);
+  });
+});
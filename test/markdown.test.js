@@ -0,0 +1,61 @@
+// test/markdown.test.js - Markdown rendering and importing .md files
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, createUser } from "./helpers.js";
+import { markdownToHtml, htmlToMarkdown } from "../utils/markdown.js";
+
+describe('markdown links', () => {
+  it('keeps balanced parentheses in the url', () => {
+    assert.equal(markdownToHtml('[Mercury](https://en.wikipedia.org/wiki/Mercury_(planet))'),
+      '<p><a href="https://en.wikipedia.org/wiki/Mercury_(planet)">Mercury</a></p>');
+    assert.equal(markdownToHtml('[x](a_(b_(c)))'), '<p><a href="a_(b_(c))">x</a></p>');
+  });
+
+  it('ends the link at an unbalanced parenthesis', () => {
+    assert.equal(markdownToHtml('(see [docs](https://example.com/docs))'),
+      '<p>(see <a href="https://example.com/docs">docs</a>)</p>');
+  });
+
+  it('reads urls in angle brackets and titles', () => {
+    assert.equal(markdownToHtml('[a](<https://example.com/a b> "Title")'),
+      '<p><a href="https://example.com/a%20b" title="Title">a</a></p>');
+    assert.equal(markdownToHtml('![logo](img/logo_(dark).png)'), '<p><img src="img/logo_(dark).png" alt="logo"></p>');
+  });
+
+  it('still drops unsafe schemes', () => {
+    assert.equal(markdownToHtml('[click](javascript:alert(1))'), '<p>click</p>');
+  });
+
+  it('round-trips a link with parentheses', () => {
+    const html = '<p><a href="https://en.wikipedia.org/wiki/Mercury_(planet)">Mercury</a></p>';
+    assert.equal(markdownToHtml(htmlToMarkdown(html)), html);
+  });
+});
+
+describe('markdown import', { skip: needsEmulator }, () => {
+  let notes;
+  let user;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    user = await createUser('importer@example.com');
+  });
+
+  const importFiles = files => callApi(notes, { query: { action: 'import' }, body: { files }, token: user.token });
+
+  it('reports malformed entries as failed files', async () => {
+    const result = await importFiles([null, 'notes.md', ['x'], { name: 'ok.md', content: '# Kept\n\nBody' }, { name: 'empty.md' }]);
+
+    assert.equal(result.status, 201);
+    assert.deepEqual(result.body.notes.map(note => [note.title, note.name]), [['Kept', 'ok.md']]);
+    assert.equal(result.body.failed.length, 4);
+    assert.deepEqual(result.body.failed.map(failure => failure.name), [null, null, null, 'empty.md']);
+  });
+
+  it('answers 400 when nothing could be imported', async () => {
+    const result = await importFiles([null]);
+    assert.equal(result.status, 400);
+    assert.equal(result.body.failed.length, 1);
+  });
+});
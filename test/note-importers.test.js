@@ -0,0 +1,66 @@
+// test/note-importers.test.js - reading ZIP exports from other apps
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator } from "./helpers.js";
+import { createZip } from "../utils/zip.js";
+
+// A ZIP of `count` tiny Markdown pages
+function pagesZip(count, prefix) {
+  return createZip(Array.from({ length: count }, (_, i) => ({ name: `${prefix}/Page ${i}.md`, data: `# Page ${i}` })));
+}
+
+// utils/note-tags.js, which the importers use, loads the database
+describe('ZIP imports', { skip: needsEmulator }, () => {
+  let readImport, detectImportSource, enmlToHtml;
+
+  before(async () => {
+    ({ readImport, detectImportSource, enmlToHtml } = await import("../utils/note-importers.js"));
+  });
+
+  it('keeps only web and mail links and web or attachment images', () => {
+    const { html } = enmlToHtml([
+      '<en-note>',
+      '<a href="javascript:alert(1)">bad</a> <a href=" JAVA\tSCRIPT:alert(1)">worse</a>',
+      '<a href="https://example.com/">web</a> <a href="mailto:a@example.com">mail</a> <a href="Other%20page.md">page</a>',
+      '<img src="data:image/svg+xml,x"><img src="https://example.com/a.png" srcset="javascript:x 1x">',
+      '<img src="/api/attachments?attachment_id=a&amp;key=b"><svg><a xlink:href="javascript:x">svg</a></svg>',
+      '</en-note>'
+    ].join(''));
+
+    assert.equal(html, [
+      '<a>bad</a> <a>worse</a>',
+      '<a href="https://example.com/">web</a> <a href="mailto:a@example.com">mail</a> <a>page</a>',
+      '<img src="https://example.com/a.png">',
+      '<img src="/api/attachments?attachment_id=a&amp;key=b">'
+    ].join(''));
+  });
+
+  it('reads nested ZIPs within the limits', async () => {
+    const upload = createZip([
+      { name: 'Export-1.zip', data: pagesZip(2, 'one') },
+      { name: 'Export-2.zip', data: pagesZip(1, 'two') }
+    ]);
+
+    const items = await readImport('notion', 'export.zip', upload);
+    assert.deepEqual(items.map(item => item.title).sort(), ['Page 0', 'Page 0', 'Page 1']);
+  });
+
+  it('holds nested ZIPs to one budget', async () => {
+    // Each part stays under the 20000 file limit; together they do not
+    const upload = createZip([
+      { name: 'Export-1.zip', data: pagesZip(10001, 'one') },
+      { name: 'Export-2.zip', data: pagesZip(10001, 'two') }
+    ]);
+
+    await assert.rejects(readImport('notion', 'export.zip', upload), { message: 'ZIP archive has more than 20000 files' });
+  });
+
+  it('detects the source from the file names without unpacking', async () => {
+    const upload = createZip([{ name: 'Takeout/Keep/Groceries.json', data: '{"title":"x"}'.repeat(50) }]);
+    const central = upload.readUInt32LE(upload.length - 22 + 16);
+    upload.writeUInt32LE(1, central + 24);    // a size the data cannot inflate to
+
+    assert.equal(detectImportSource('takeout.zip', upload), 'keep');
+    await assert.rejects(readImport('keep', 'takeout.zip', upload), { message: /^Corrupt file in ZIP archive/ });
+  });
+});
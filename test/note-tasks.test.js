@@ -0,0 +1,103 @@
+// test/note-tasks.test.js - finding and ticking checklist items
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, createUser } from "./helpers.js";
+import * as tasks from "../utils/checklists.js";
+
+describe('setTaskCheckedInHtml', () => {
+  // Ticks item `index` and checks that the parse agrees on what changed
+  function tick(html, index, checked = true) {
+    const updated = tasks.setTaskCheckedInHtml(html, index, checked);
+    assert.notEqual(updated, null);
+    assert.equal(tasks.parseTasks(updated)[index].checked, checked);
+    return updated;
+  }
+
+  it('changes only the attribute of the item it ticks', () => {
+    const html = '<p>Trip</p><ul><li data-checked="false">Tickets</li><li data-checked=\'false\'>Bags <b>packed</b></li></ul>';
+    assert.equal(tick(html, 1),
+      '<p>Trip</p><ul><li data-checked="false">Tickets</li><li data-checked="true">Bags <b>packed</b></li></ul>');
+  });
+
+  it('ticks an item whose data-checked has no value', () => {
+    const html = '<ul><li data-checked>One</li><li data-checked="false">Two</li></ul>';
+    assert.equal(tick(html, 0), '<ul><li data-checked="true">One</li><li data-checked="false">Two</li></ul>');
+    assert.equal(tick(html, 1), '<ul><li data-checked>One</li><li data-checked="true">Two</li></ul>');
+  });
+
+  it('is not thrown off by ">" inside another attribute', () => {
+    const html = '<ul><li title="a>b" data-checked="false">One</li><li data-checked="false">Two</li></ul>';
+    assert.equal(tick(html, 0), '<ul><li title="a>b" data-checked="true">One</li><li data-checked="false">Two</li></ul>');
+  });
+
+  it('skips list items inside comments', () => {
+    const html = '<!-- <li data-checked="false"> --><ul><li data-checked="false">Real</li></ul>';
+    assert.equal(tasks.parseTasks(html).length, 1);
+    assert.equal(tick(html, 0), '<!-- <li data-checked="false"> --><ul><li data-checked="true">Real</li></ul>');
+    assert.equal(tasks.setTaskCheckedInHtml(html, 1, true), null);
+  });
+
+  it('returns null when there is no such task', () => {
+    assert.equal(tasks.setTaskCheckedInHtml('<ul><li>Plain</li></ul>', 0, true), null);
+    assert.equal(tasks.setTaskCheckedInHtml('', 0, true), null);
+  });
+});
+
+describe('parseTasks', () => {
+  it('splits due dates and assignees off the text', () => {
+    const html = '<ul data-checklist="true"><li data-checked="false">Send the slides due:2026-03-14 @maria</li>' +
+      '<li data-checked="true">Book a room due:2026-02-30<ul><li data-checked="false">Nested</li></ul></li></ul>';
+
+    assert.deepEqual(tasks.parseTasks(html), [
+      { index: 0, text: 'Send the slides', due: '2026-03-14', assignee: 'maria', checked: false },
+      { index: 1, text: 'Book a room due:2026-02-30', due: null, assignee: null, checked: true },
+      { index: 2, text: 'Nested', due: null, assignee: null, checked: false }
+    ]);
+  });
+});
+
+describe('setTaskCheckedInMarkdown', () => {
+  it('ticks list items outside code blocks', () => {
+    const markdown = '```\n- [ ] not a task\n```\n- [ ] First\n> 1. [x] Second';
+    assert.equal(tasks.setTaskCheckedInMarkdown(markdown, 0, true), '```\n- [ ] not a task\n```\n- [x] First\n> 1. [x] Second');
+    assert.equal(tasks.setTaskCheckedInMarkdown(markdown, 1, false), '```\n- [ ] not a task\n```\n- [ ] First\n> 1. [ ] Second');
+    assert.equal(tasks.setTaskCheckedInMarkdown(markdown, 2, true), null);
+  });
+});
+
+describe('update_task', { skip: needsEmulator }, () => {
+  let notes;
+  let user;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    user = await createUser('tasks@example.com');
+  });
+
+  async function createNote(text) {
+    const result = await callApi(notes, { body: { title: 'List', text }, token: user.token });
+    assert.equal(result.status, 201);
+    return result.body;
+  }
+
+  const updateTask = body => callApi(notes, { query: { action: 'update_task' }, body, token: user.token });
+
+  it('ticks the item the client saw', async () => {
+    const note = await createNote('<ul><li title="a>b" data-checked="false">One</li><li data-checked>Two</li></ul>');
+
+    const result = await updateTask({ note_id: note.note_id, index: 1, checked: true, text: 'Two' });
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.body.note.text.match(/data-checked(="\w+")?/g), ['data-checked="false"', 'data-checked="true"']);
+  });
+
+  it('answers 409 and keeps the note when the item is gone', async () => {
+    const note = await createNote('<ul><li data-checked="false">Only</li></ul>');
+
+    const result = await updateTask({ note_id: note.note_id, index: 3, checked: true });
+    assert.equal(result.status, 409);
+
+    const stored = await callApi(notes, { method: 'GET', query: { note_id: note.note_id }, token: user.token });
+    assert.match(JSON.stringify(stored.body), /Only/);
+  });
+});
@@ -0,0 +1,87 @@
+// test/notebooks.test.js - notebooks and the listing index behind them
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, readPath, createUser } from "./helpers.js";
+
+describe('deleting a notebook', { skip: needsEmulator }, () => {
+  let notes, notebooks;
+  let user, parent, child, filed, trashed;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: notebooks } = await import("../api/notebooks.js"));
+    user = await createUser('notebooks@example.com');
+
+    const createNotebook = async body =>
+      (await callApi(notebooks, { body, token: user.token })).body.notebook;
+    parent = await createNotebook({ name: 'Work' });
+    child = await createNotebook({ name: 'Drafts', parent_id: parent.notebook_id });
+
+    const createNote = async title =>
+      (await callApi(notes, { body: { title, text: title, notebook_id: child.notebook_id }, token: user.token })).body;
+    filed = await createNote('Filed');
+    trashed = await createNote('Trashed');
+    const trash = await callApi(notes, { method: 'DELETE', query: { note_id: trashed.note_id }, token: user.token });
+    assert.equal(trash.status, 200);
+
+    const result = await callApi(notebooks, { method: 'DELETE', query: { notebook_id: child.notebook_id }, token: user.token });
+    assert.equal(result.status, 200);
+  });
+
+  const listNotebooks = async () =>
+    (await callApi(notebooks, { method: 'GET', token: user.token })).body.notebooks;
+  const notesIn = async notebookId =>
+    (await callApi(notes, { method: 'GET', query: { notebook_id: notebookId }, token: user.token })).body.notes.map(note => note.title);
+
+  it('moves its notes to the parent in the listing index too', async () => {
+    assert.deepEqual(await notesIn(parent.notebook_id), ['Filed']);
+    assert.equal((await readPath(`user_notes/${user.user_id}/${filed.note_id}`)).notebook_id, parent.notebook_id);
+    assert.deepEqual((await listNotebooks()).map(notebook => [notebook.name, notebook.note_count]), [['Work', 1]]);
+  });
+
+  it('moves trashed notes as well', async () => {
+    const restore = await callApi(notes, { query: { action: 'restore_note' }, body: { note_id: trashed.note_id }, token: user.token });
+    assert.equal(restore.status, 200);
+
+    assert.deepEqual((await notesIn(parent.notebook_id)).sort(), ['Filed', 'Trashed']);
+    assert.deepEqual((await listNotebooks()).map(notebook => notebook.note_count), [2]);
+  });
+});
+
+describe('trash and public profiles', { skip: needsEmulator }, () => {
+  let notes, users;
+  let user;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: users } = await import("../api/users.js"));
+    user = await createUser('profile@example.com');
+
+    for (const [title, isPublic] of [['First', true], ['Second', true], ['Private', false], ['Gone', true]]) {
+      const note = (await callApi(notes, { body: { title, text: title, public: isPublic }, token: user.token })).body;
+      if (title === 'Gone') {
+        await callApi(notes, { method: 'DELETE', query: { note_id: note.note_id }, token: user.token });
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));   // distinct updated_at for the order
+    }
+  });
+
+  it('lists the trash from the index', async () => {
+    const result = await callApi(notes, { method: 'GET', query: { action: 'list_trash' }, token: user.token });
+    assert.deepEqual(result.body.notes.map(note => note.title), ['Gone']);
+    assert.ok(result.body.notes[0].purge_at > result.body.notes[0].deleted_at);
+  });
+
+  it('pages public notes from the index', async () => {
+    const first = await callApi(users, { method: 'GET', query: { user_id: user.user_id, type: 'notes', limit: '1' } });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.notes.items.map(note => note.title), ['Second']);
+    assert.equal(first.body.notes.pagination.total, 2);
+    assert.equal(first.body.notes.pagination.has_more, true);
+
+    const second = await callApi(users, { method: 'GET', query: { user_id: user.user_id, type: 'notes', limit: '1', page: '2' } });
+    assert.deepEqual(second.body.notes.items.map(note => note.title), ['First']);
+  });
+});
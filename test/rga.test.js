@@ -0,0 +1,154 @@
+// test/rga.test.js - the text CRDT behind live collaboration
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RGA, diffRange } from "../public/lib/rga.js";
+
+// Small deterministic generator so failures can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function shuffle(items, next) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// A random local edit: insert a few letters, delete a stretch, or replace one
+function randomEdit(doc, next) {
+  const text = doc.text();
+  const start = Math.floor(next() * (text.length + 1));
+  const length = Math.floor(next() * Math.min(4, text.length - start + 1));
+  const insert = next() < 0.7 ? 'xyz'.slice(0, 1 + Math.floor(next() * 3)) : '';
+  return doc.change(text.slice(0, start) + insert + text.slice(start + length));
+}
+
+describe('RGA', () => {
+  it('applies local edits', () => {
+    const doc = new RGA('a');
+    doc.insert(0, 'hello');
+    doc.insert(5, ' world');
+    doc.delete(0, 1);
+    doc.insert(0, 'H');
+    assert.equal(doc.text(), 'Hello world');
+
+    doc.change('Hello there world!');
+    assert.equal(doc.text(), 'Hello there world!');
+  });
+
+  it('keeps its text through toState and load', () => {
+    const doc = new RGA('a');
+    doc.change('one two three');
+    doc.change('one three');
+    const copy = new RGA('b', doc.toState());
+
+    assert.equal(copy.text(), 'one three');
+    const op = copy.insert(3, ' and');
+    doc.apply(op);
+    assert.equal(doc.text(), 'one and three');
+  });
+
+  it('orders concurrent inserts at the same spot the same way everywhere', () => {
+    const base = new RGA('seed');
+    base.insert(0, 'ac');
+    const left = new RGA('left', base.toState());
+    const right = new RGA('right', base.toState());
+
+    const fromLeft = left.insert(1, 'L');
+    const fromRight = right.insert(1, 'R');
+    left.apply(fromRight);
+    right.apply(fromLeft);
+
+    assert.equal(left.text(), right.text());
+    assert.match(left.text(), /^a(LR|RL)c$/);
+  });
+
+  it('converges whatever order operations arrive in', () => {
+    const next = random(42);
+
+    for (let round = 0; round < 50; round++) {
+      const seed = new RGA('seed');
+      seed.insert(0, 'the quick brown fox');
+      const sites = ['s1', 's2', 's3'].map(site => new RGA(site, seed.toState()));
+
+      // Each site edits while seeing only some of the others' operations
+      const log = [];
+      for (let step = 0; step < 30; step++) {
+        const site = sites[Math.floor(next() * sites.length)];
+        for (const op of log) {
+          if (next() < 0.3) site.apply(op);
+        }
+        log.push(...randomEdit(site, next));
+      }
+
+      // Then everything arrives everywhere, in a different order and with duplicates
+      for (const site of sites) {
+        for (const op of shuffle([...log, ...log.slice(0, 5)], next)) {
+          site.apply(op);
+        }
+        assert.equal(site.pending.length, 0, `round ${round}: nothing left waiting`);
+      }
+
+      const texts = sites.map(site => site.text());
+      assert.equal(new Set(texts).size, 1, `round ${round}: ${JSON.stringify(texts)}`);
+
+      const fresh = new RGA('late', seed.toState());
+      shuffle(log, next).forEach(op => fresh.apply(op));
+      assert.equal(fresh.text(), texts[0], `round ${round}: a late joiner agrees`);
+    }
+  });
+
+  it('merges the edits of a replica that was offline', () => {
+    const seed = new RGA('seed');
+    seed.insert(0, 'Shopping: milk, eggs');
+    const online = new RGA('online', seed.toState());
+    const offline = new RGA('offline', seed.toState());
+
+    const onlineOps = [
+      ...online.change('Shopping: milk, eggs, bread'),
+      ...online.change('Shopping list: milk, eggs, bread')
+    ];
+    const offlineOps = [
+      ...offline.change('Shopping: oat milk, eggs'),
+      ...offline.change('Shopping: oat milk, eggs, butter')
+    ];
+
+    offlineOps.forEach(op => online.apply(op));
+    onlineOps.forEach(op => offline.apply(op));
+
+    assert.equal(online.text(), offline.text());
+    for (const part of ['Shopping list:', 'oat milk', 'bread', 'butter']) {
+      assert.ok(online.text().includes(part), `${part} survives the merge`);
+    }
+  });
+
+  it('holds back operations on elements it has not seen', () => {
+    const author = new RGA('author');
+    const first = author.insert(0, 'abc');
+    const second = author.insert(3, 'def');
+    const removal = author.delete(1, 4);
+
+    const reader = new RGA('reader');
+    assert.equal(reader.apply(removal), false);
+    assert.equal(reader.apply(second), false);
+    assert.equal(reader.text(), '');
+
+    reader.apply(first);
+    assert.equal(reader.text(), author.text());
+    assert.equal(reader.pending.length, 0);
+  });
+});
+
+describe('diffRange', () => {
+  it('finds the single replaced range', () => {
+    assert.deepEqual(diffRange('hello world', 'hello brave world'), { start: 6, deleteCount: 0, insert: 'brave ' });
+    assert.deepEqual(diffRange('abc', 'abc'), { start: 3, deleteCount: 0, insert: '' });
+    assert.deepEqual(diffRange('aaa', 'a'), { start: 1, deleteCount: 2, insert: '' });
+  });
+});
@@ -0,0 +1,38 @@
+// test/search.test.js - note search and its prefix matches
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, createUser } from "./helpers.js";
+
+describe('search', { skip: needsEmulator }, () => {
+  let notes;
+  let user;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    user = await createUser('search@example.com');
+
+    const other = await createUser('public@example.com');
+    for (const [owner, title, text, isPublic] of [
+      [user, 'Biology', 'Photosynthesis turns light into sugar. Looks ok to me.', false],
+      [other, 'Photography', 'Physics of lenses', true]
+    ]) {
+      const result = await callApi(notes, { body: { title, text, public: isPublic }, token: owner.token });
+      assert.equal(result.status, 201);
+    }
+  });
+
+  const search = (q, query = {}) =>
+    callApi(notes, { method: 'GET', query: { action: 'search', q, ...query }, token: user.token });
+  const titles = result => result.body.results.map(note => note.title).sort();
+
+  it('matches words by prefix from three letters on', async () => {
+    assert.deepEqual(titles(await search('photo')), ['Biology']);
+    assert.deepEqual(titles(await search('pho', { include_public: 'true' })), ['Biology', 'Photography']);
+  });
+
+  it('matches shorter terms only as whole words', async () => {
+    assert.deepEqual(titles(await search('ph', { include_public: 'true' })), []);
+    assert.deepEqual(titles(await search('ok')), ['Biology']);
+  });
+});
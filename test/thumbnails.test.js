@@ -0,0 +1,72 @@
+// test/thumbnails.test.js - previews made for image attachments
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { needsEmulator, callApi, resetDatabase, createUser } from "./helpers.js";
+import { createThumbnail, THUMBNAIL_MAX_DIMENSION } from "../utils/thumbnails.js";
+
+// A plain PNG of the given size
+function png(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).png().toBuffer();
+}
+
+describe('createThumbnail', () => {
+  it('scales large images down to fit, keeping their shape', async () => {
+    const thumbnail = await createThumbnail(await png(1600, 800));
+    assert.equal(thumbnail.content_type, 'image/webp');
+    assert.deepEqual([thumbnail.width, thumbnail.height], [THUMBNAIL_MAX_DIMENSION, THUMBNAIL_MAX_DIMENSION / 2]);
+
+    const metadata = await sharp(thumbnail.data).metadata();
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['webp', 400, 200]);
+  });
+
+  it('does not enlarge small images', async () => {
+    const thumbnail = await createThumbnail(await png(40, 30));
+    assert.deepEqual([thumbnail.width, thumbnail.height], [40, 30]);
+  });
+
+  it('gives up on images it cannot read or that are too large to decode', async () => {
+    assert.equal(await createThumbnail(Buffer.from('not an image')), null);
+
+    // A valid header claiming 10000 x 10000 pixels
+    const header = (await png(1, 1)).subarray(0, 33);
+    header.writeUInt32BE(10000, 16);
+    header.writeUInt32BE(10000, 20);
+    assert.equal(await createThumbnail(header), null);
+  });
+});
+
+describe('image uploads', { skip: needsEmulator }, () => {
+  let notes, attachments, owner, noteId;
+
+  before(async () => {
+    await resetDatabase();
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: attachments } = await import("../api/attachments.js"));
+
+    owner = await createUser('pictures@example.com');
+    noteId = (await callApi(notes, { body: { title: 'Pictures', text: 'Holiday' }, token: owner.token })).body.note_id;
+  });
+
+  const upload = (name, data) => callApi(attachments, { query: { note_id: noteId, name }, body: data, token: owner.token });
+
+  it('get a thumbnail on the server', async () => {
+    const result = await upload('wide.png', await png(1200, 600));
+    assert.equal(result.status, 201);
+
+    const { attachment } = result.body;
+    assert.ok(attachment.thumbnail_url);
+
+    const served = await callApi(attachments, { method: 'GET', query: Object.fromEntries(new URL(attachment.thumbnail_url, 'http://x').searchParams) });
+    assert.equal(served.status, 200);
+    assert.equal(served.headers['content-type'], 'image/webp');
+    const metadata = await sharp(served.body).metadata();
+    assert.deepEqual([metadata.width, metadata.height], [400, 200]);
+  });
+
+  it('leave other files without one', async () => {
+    const result = await upload('notes.txt', Buffer.from('plain text'));
+    assert.equal(result.status, 201);
+    assert.equal(result.body.attachment.thumbnail_url, null);
+  });
+});
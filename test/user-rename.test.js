@@ -0,0 +1,95 @@
+// test/user-rename.test.js - a user's notes, indexes and shares follow them through a user_id change
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsEmulator, callApi, resetDatabase, readPath, createUser } from "./helpers.js";
+
+describe('changing user_id', { skip: needsEmulator }, () => {
+  let auth, notes, shares, collab, notebooks;
+  let owner, editor, newcomer, note, oldUserId, ownNote, notebook, comment;
+
+  before(async () => {
+    await resetDatabase();
+    process.env.FIREBASE_API_KEY ||= 'test-api-key';
+    ({ default: auth } = await import("../api/auth.js"));
+    ({ default: notes } = await import("../api/notes.js"));
+    ({ default: shares } = await import("../api/shares.js"));
+    ({ default: collab } = await import("../api/collab.js"));
+    ({ default: notebooks } = await import("../api/notebooks.js"));
+
+    owner = await createUser('sharer@example.com');
+    editor = await createUser('renamer@example.com');
+    newcomer = await createUser('newcomer@example.com');
+    oldUserId = editor.user_id;
+
+    note = (await callApi(notes, { body: { title: 'Shared', text: 'Hello' }, token: owner.token })).body;
+    await callApi(shares, { body: { note_id: note.note_id, user_id: oldUserId, role: 'editor' }, token: owner.token });
+
+    notebook = (await callApi(notebooks, { body: { name: 'Botany' }, token: editor.token })).body.notebook;
+    ownNote = (await callApi(notes, {
+      body: {
+        title: 'Field notes',
+        text: '<p>Ferns by the river</p><ul data-checklist="true"><li data-checked="false">Press the ferns</li></ul>',
+        tags: ['plants'],
+        notebook_id: notebook.notebook_id,
+        public: true
+      },
+      token: editor.token
+    })).body;
+    comment = (await callApi(notes, { query: { action: 'add_comment' }, body: { note_id: note.note_id, text: 'Looks good' }, token: editor.token })).body.comment;
+
+    const rename = await callApi(auth, { body: { action: 'edit-user', user_id: 'renamed_editor' }, token: editor.token });
+    assert.equal(rename.status, 200);
+  });
+
+  const getNote = user => callApi(notes, { method: 'GET', query: { note_id: note.note_id }, token: user.token });
+
+  const get = (user, query) => callApi(notes, { method: 'GET', query, token: user.token });
+
+  it('keeps their notes listed, searchable and readable', async () => {
+    const listed = await get(editor, {});
+    assert.deepEqual(listed.body.notes.map(item => item.title), ['Field notes']);
+    assert.equal((await get(editor, { note_id: ownNote.note_id })).body.note.user_id, 'renamed_editor');
+
+    const found = await get(editor, { action: 'search', q: 'ferns' });
+    assert.deepEqual(found.body.results.map(item => item.title), ['Field notes']);
+    assert.equal(await readPath(`search_index/users/${oldUserId}`), null);
+  });
+
+  it('keeps their tags, tasks, notebooks and comments', async () => {
+    assert.deepEqual((await get(editor, { action: 'list_tags' })).body.tags, [{ tag: 'plants', count: 1 }]);
+    assert.deepEqual((await get(editor, { action: 'list_tasks' })).body.tasks.map(task => task.text), ['Press the ferns']);
+    assert.deepEqual((await get(editor, { notebook_id: notebook.notebook_id })).body.notes.map(item => item.title), ['Field notes']);
+    assert.equal((await callApi(notebooks, { method: 'GET', token: editor.token })).body.notebooks.length, 1);
+
+    const edit = await callApi(notes, { query: { action: 'edit_comment' }, body: { note_id: note.note_id, comment_id: comment.comment_id, text: 'Looks great' }, token: editor.token });
+    assert.equal(edit.status, 200);
+  });
+
+  it('moves the shares to the new user_id', async () => {
+    assert.equal((await getNote(editor)).status, 200);
+    assert.equal((await readPath(`note_shares/${note.note_id}/renamed_editor`)).role, 'editor');
+    assert.equal(await readPath(`note_shares/${note.note_id}/${oldUserId}`), null);
+    assert.equal(await readPath(`shared_with/${oldUserId}`), null);
+    assert.ok(await readPath(`shared_with/renamed_editor/${note.note_id}`));
+  });
+
+  it('leaves nothing for whoever takes the old user_id', async () => {
+    const claim = await callApi(auth, { body: { action: 'edit-user', user_id: oldUserId }, token: newcomer.token });
+    assert.equal(claim.status, 200);
+    assert.equal((await getNote(newcomer)).status, 403);
+
+    assert.deepEqual((await get(newcomer, {})).body.notes, []);
+    assert.deepEqual((await get(newcomer, { action: 'search', q: 'ferns' })).body.results, []);
+    assert.deepEqual((await get(newcomer, { action: 'list_tags' })).body.tags, []);
+    assert.equal((await callApi(notebooks, { method: 'GET', token: newcomer.token })).body.notebooks.length, 0);
+  });
+
+  it('signs collab sessions in with the account uid', async () => {
+    await callApi(collab, { query: { action: 'enable' }, body: { note_id: note.note_id }, token: owner.token });
+    const session = await callApi(collab, { query: { action: 'session' }, body: { note_id: note.note_id }, token: editor.token });
+    assert.equal(session.status, 200);
+    assert.equal(session.body.session.user.user_id, 'renamed_editor');
+    const claims = JSON.parse(Buffer.from(session.body.session.token.split('.')[1], 'base64url').toString('utf8'));
+    assert.equal(claims.uid, editor.uid);
+  });
+});
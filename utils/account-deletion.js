@@ -0,0 +1,141 @@
+// utils/account-deletion.js - scheduled account deletion and the cascade that removes a user's data
+import { db } from "./firebase.js";
+import { getUserByUid } from "./users.js";
+import { destroyUserSessions } from "./sessions.js";
+import { clearLoginRecords } from "./login-guard.js";
+import { purgeNote, getNotesByOwner } from "./note-storage.js";
+import { removeUserIndex } from "./search-index.js";
+import { removeUserTags } from "./note-tags.js";
+import { removeUserTasks } from "./note-tasks.js";
+import { removeUserNotebooks } from "./notebooks.js";
+import { removeUserListing } from "./note-listing.js";
+import { removeUserShares } from "./note-shares.js";
+import { getComment, removeComment, listCommentedNotes, removeUserCommentIndex } from "./note-comments.js";
+import { clearCommentRate } from "./comment-guard.js";
+import { purgeWebsite, getWebsitesByOwner } from "./website-storage.js";
+
+export const ACCOUNT_DELETION_GRACE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days to change your mind
+
+// Nodes keyed by a token hash that point back at a user through `uid`
+const PENDING_TOKEN_NODES = ['email_verifications', 'password_resets', 'login_challenges'];
+
+// Mark an account for deletion; returns the time it will be purged
+export async function scheduleAccountDeletion(uid) {
+  const requestedAt = Date.now();
+  const scheduledFor = requestedAt + ACCOUNT_DELETION_GRACE_MS;
+
+  await db.ref(`users/${uid}/deletion`).set({
+    requested_at: requestedAt,
+    scheduled_for: scheduledFor
+  });
+
+  return scheduledFor;
+}
+
+export async function cancelAccountDeletion(uid) {
+  await db.ref(`users/${uid}/deletion`).remove();
+}
+
+// Comments and reactions a user left on other people's notes (their own notes go with purgeNote).
+// Comments with replies stay behind as tombstones so the threads survive.
+async function purgeCommentsBy(userId) {
+  const noteIds = await listCommentedNotes(userId);
+
+  await Promise.all(noteIds.map(async noteId => {
+    const snapshot = await db.ref(`comments/${noteId}`).once('value');
+    const comments = Object.values(snapshot.val() || {});
+    const owned = comments.filter(comment => comment.user_id === userId);
+    const reacted = comments.filter(comment =>
+      Object.values(comment.reactions || {}).some(users => users[userId])
+    );
+
+    const updates = {};
+    for (const comment of reacted) {
+      for (const reaction of Object.keys(comment.reactions)) {
+        updates[`comments/${noteId}/${comment.comment_id}/reactions/${reaction}/${userId}`] = null;
+      }
+    }
+    if (Object.keys(updates).length) {
+      await db.ref().update(updates);
+    }
+
+    // One at a time: each removal looks at the replies the previous one left
+    for (const comment of owned) {
+      const current = await getComment(noteId, comment.comment_id);
+      if (current) await removeComment(noteId, current);
+    }
+  }));
+
+  await removeUserCommentIndex(userId);
+  await clearCommentRate(userId);
+}
+
+async function purgePendingTokens(uid) {
+  await Promise.all(PENDING_TOKEN_NODES.map(async node => {
+    const snapshot = await db.ref(node).orderByChild('uid').equalTo(uid).once('value');
+    if (!snapshot.exists()) return;
+    await Promise.all(Object.keys(snapshot.val()).map(key => db.ref(`${node}/${key}`).remove()));
+  }));
+}
+
+/**
+ * Permanently remove a user and everything they own: sessions, notes with
+ * their comments, comments left elsewhere, AI usage counters, websites with
+ * their versions and sign-in records. The user record goes last so a failed
+ * run can simply be retried. Returns false when the user no longer exists.
+ */
+export async function purgeAccount(uid) {
+  const user = await getUserByUid(uid);
+  if (!user) {
+    return false;
+  }
+
+  // Sign the user out first so nothing new is written mid-purge
+  await destroyUserSessions(uid);
+  await db.ref(`user_sessions/${uid}`).remove();
+
+  const notes = await getNotesByOwner(user.user_id);
+  await Promise.all(Object.keys(notes).map(noteId => purgeNote(noteId)));
+  await removeUserIndex(user.user_id);
+  await removeUserTags(user.user_id);
+  await removeUserTasks(user.user_id);
+  await removeUserNotebooks(user.user_id);
+  await removeUserListing(user.user_id);
+  await removeUserShares(user.user_id);
+  await purgeCommentsBy(user.user_id);
+
+  const websites = await getWebsitesByOwner(user.user_id);
+  await Promise.all(Object.keys(websites).map(websiteId => purgeWebsite(websiteId)));
+
+  await db.ref(`usage/${user.user_id}`).remove();
+  await clearLoginRecords(uid, user.email);
+  await purgePendingTokens(uid);
+
+  await db.ref(`users/${uid}`).remove();
+  return true;
+}
+
+// Purge every account whose grace period has run out; returns how many were removed
+export async function purgeDueAccounts(now = Date.now()) {
+  const snapshot = await db.ref('users')
+    .orderByChild('deletion/scheduled_for')
+    .startAt(1)
+    .endAt(now)
+    .once('value');
+
+  if (!snapshot.exists()) {
+    return 0;
+  }
+
+  let purged = 0;
+  for (const uid of Object.keys(snapshot.val())) {
+    try {
+      if (await purgeAccount(uid)) purged++;
+    } catch (error) {
+      // Leave it scheduled; the next run retries
+      console.error(`Account purge failed for ${uid}:`, error);
+    }
+  }
+
+  return purged;
+}
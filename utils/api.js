@@ -0,0 +1,163 @@
+// utils/api.js - shared wrapper for api/* handlers
+import { getBearerToken, validateSession } from "./sessions.js";
+import { getUserByUid, withoutSecrets } from "./users.js";
+
+const CORS_ALLOW_HEADERS = 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization';
+
+// Create an error that the wrapper answers with the given status.
+// Extra fields are merged into the JSON error envelope.
+export function httpError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+}
+
+// Client IP as seen through the Vercel proxy
+export function getClientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+    req.headers['x-real-ip'] ||
+    req.socket?.remoteAddress ||
+    'unknown';
+}
+
+/**
+ * The bytes of a file upload: a raw application/octet-stream body, or JSON with the file
+ * base64-encoded in `field`. Reads the request stream itself when nothing parsed the body,
+ * stopping once it passes maxBytes. Returns null when there is no upload.
+ */
+export async function readUploadBody(req, maxBytes, field = 'content') {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  if (req.body && typeof req.body[field] === 'string') {
+    return Buffer.from(req.body[field], 'base64');
+  }
+  if (req.body === undefined && typeof req[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      chunks.push(chunk);
+      if (size > maxBytes) break;
+    }
+    return Buffer.concat(chunks);
+  }
+  return null;
+}
+
+// Throw a 401 unless the request carries a valid session
+export function requireUser(req) {
+  if (!req.user) {
+    throw httpError(401, 'Authentication required');
+  }
+  return req.user;
+}
+
+// 403 sent when an unverified account tries to publish something
+export function emailNotVerified(res, what) {
+  return res.status(403).json({
+    success: false,
+    error: `Please verify your email address before ${what}`,
+    code: 'email_not_verified'
+  });
+}
+
+// Resolve req.user / req.session from the bearer token.
+// Returns an error for the wrapper to send, or null when the request may continue.
+async function resolveUser(req, mode, userIdParam) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return mode === 'required' ? httpError(401, 'Authentication required') : null;
+  }
+
+  const session = await validateSession(token);
+  if (!session) {
+    return httpError(401, 'Invalid or expired session');
+  }
+
+  const user = await getUserByUid(session.userId);
+  if (!user) {
+    return httpError(401, 'User does not exist');
+  }
+
+  req.user = withoutSecrets(user);
+  req.session = { session_id: token, ...session };
+
+  // A user_id sent by the client is only a cross-check against the session
+  if (mode === 'required' && userIdParam) {
+    const claimedUserId = req.query?.[userIdParam] || req.body?.[userIdParam];
+    if (claimedUserId && claimedUserId !== req.user.user_id) {
+      return httpError(403, 'User ID does not match the current session');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Wrap an API handler with CORS, OPTIONS preflight, method checks,
+ * session resolution and JSON error envelopes.
+ *
+ * Options:
+ *   name        - label used in error logs
+ *   methods     - allowed HTTP methods (OPTIONS is always answered)
+ *   auth        - 'required' | 'optional' | 'none', or a function (req) => mode
+ *   userIdParam - query/body field cross-checked against the session user (null to disable)
+ */
+export function withApi(handler, {
+  name = 'API',
+  methods = ['GET', 'POST', 'PUT', 'DELETE'],
+  auth = 'required',
+  userIdParam = 'user_id'
+} = {}) {
+  return async function apiHandler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(','));
+    res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+
+    // Handle OPTIONS request for CORS preflight
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (!methods.includes(req.method)) {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed'
+      });
+    }
+
+    try {
+      req.user = null;
+      req.session = null;
+
+      const mode = typeof auth === 'function' ? auth(req) : auth;
+      if (mode !== 'none') {
+        const authError = await resolveUser(req, mode, userIdParam);
+        if (authError) {
+          return res.status(authError.status).json({
+            success: false,
+            error: authError.message
+          });
+        }
+      }
+
+      return await handler(req, res);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status >= 500) {
+        console.error(`${name} error:`, error);
+      }
+
+      return res.status(status).json({
+        success: false,
+        error: error.message || 'An error occurred',
+        ...(error.extra || {})
+      });
+    }
+  };
+}
@@ -0,0 +1,111 @@
+// utils/attachment-storage.js - where attachment files live
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// ==================== CONFIGURATION ====================
+// ATTACHMENT_STORAGE selects the adapter that holds attachment bytes:
+//   local  - files under ATTACHMENT_DIR (default outside production)
+//   bucket - a Cloud Storage bucket through firebase-admin; ATTACHMENT_BUCKET names it
+//            (default: the project's <project id>.appspot.com bucket)
+// Production has no default, and Vercel refuses local: its functions share no disk and lose
+// what they write, so every attachment would break within minutes.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE || (IS_PRODUCTION ? null : 'local');
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.join(os.tmpdir(), 'talknote-attachments');
+const ATTACHMENT_BUCKET = process.env.ATTACHMENT_BUCKET || null;
+// ======================================================
+
+// Keys are generated by utils/attachments.js; refuse anything that could leave the storage root
+function checkKey(key) {
+  if (!/^[\w-]+(\/[\w-]+)*$/.test(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+}
+
+async function bucketFile(key) {
+  // Loaded lazily so local development (and the local adapter's tests) need no Firebase setup
+  const { projectId } = await import("./firebase.js");
+  const { getStorage } = await import('firebase-admin/storage');
+  return getStorage().bucket(ATTACHMENT_BUCKET || `${projectId}.appspot.com`).file(key);
+}
+
+const adapters = {
+  local: {
+    async put(key, data) {
+      const file = path.join(ATTACHMENT_DIR, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(path.join(ATTACHMENT_DIR, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(ATTACHMENT_DIR, key), { force: true });
+    }
+  },
+
+  bucket: {
+    async put(key, data, contentType) {
+      const file = await bucketFile(key);
+      await file.save(data, { contentType, resumable: false });
+    },
+
+    async get(key) {
+      const file = await bucketFile(key);
+      try {
+        const [data] = await file.download();
+        return data;
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      const file = await bucketFile(key);
+      await file.delete({ ignoreNotFound: true });
+    }
+  }
+};
+
+// Register (or replace) an adapter: { put(key, data, contentType), get(key), remove(key) }
+export function registerStorageAdapter(name, adapter) {
+  adapters[name] = adapter;
+}
+
+function getAdapter(adapterName) {
+  if (!adapterName) {
+    throw new Error('Attachment storage is not configured: set ATTACHMENT_STORAGE to bucket');
+  }
+  if (adapterName === 'local' && process.env.VERCEL) {
+    throw new Error('The local attachment storage does not work on Vercel: set ATTACHMENT_STORAGE to bucket');
+  }
+
+  const adapter = adapters[adapterName];
+  if (!adapter) {
+    throw new Error(`Unknown attachment storage: ${adapterName}`);
+  }
+  return adapter;
+}
+
+export async function putFile(key, data, contentType, adapterName = ATTACHMENT_STORAGE) {
+  await getAdapter(adapterName).put(checkKey(key), data, contentType);
+}
+
+// The stored bytes, or null when the file is gone
+export async function getFile(key, adapterName = ATTACHMENT_STORAGE) {
+  return await getAdapter(adapterName).get(checkKey(key));
+}
+
+export async function removeFile(key, adapterName = ATTACHMENT_STORAGE) {
+  await getAdapter(adapterName).remove(checkKey(key));
+}
@@ -0,0 +1,262 @@
+// utils/attachments.js - files and images attached to notes
+//
+// attachments/<attachment_id> = { attachment_id, note_id, user_id, file_name, content_type, size,
+//                                 width, height, key, storage_key, thumbnail_key, created_at }
+//
+// The bytes live behind utils/attachment-storage.js. Notes embed an attachment through its URL,
+// /api/attachments?attachment_id=<id>&key=<key>: the random key makes the URL a capability, so
+// <img> tags work without a session, and only people who can read the note ever see it.
+//
+// saveAttachment makes a WebP thumbnail of every image it stores, whichever way the upload came
+// in. An image sharp cannot read, or one too large to decode safely, is stored without one:
+// thumbnail_url is then null and the full image (url) stands in for it.
+//
+// Moving a note to the trash leaves its attachments alone, so restoring it brings them back
+// and their URLs keep working meanwhile. They are deleted with the note when it is purged,
+// by hand or once TRASH_RETENTION_MS (utils/note-storage.js) has passed.
+import { v4 as uuidv4 } from 'uuid';
+import { db } from "./firebase.js";
+import { generateToken } from "./tokens.js";
+import { putFile, getFile, removeFile } from "./attachment-storage.js";
+import { THUMBNAIL_MAX_DIMENSION, createThumbnail } from "./thumbnails.js";
+
+// ==================== CONFIGURATION ====================
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024;     // request bodies stop at 4.5 MB on Vercel
+export const MAX_ATTACHMENTS_PER_NOTE = 50;
+export const MAX_THUMBNAIL_BYTES = 200 * 1024;
+
+// What may be attached, by file extension. SVG and HTML are left out: served from our own
+// origin they could run scripts.
+const ATTACHMENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  zip: 'application/zip',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  mp4: 'video/mp4'
+};
+// ======================================================
+
+export const ATTACHMENT_EXTENSIONS = Object.keys(ATTACHMENT_TYPES);
+
+// Types a browser may show in place rather than download
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'audio/mpeg', 'audio/mp4', 'video/mp4'];
+
+export function isImageType(contentType) {
+  return /^image\//.test(contentType);
+}
+
+export function isInlineType(contentType) {
+  return INLINE_TYPES.includes(contentType);
+}
+
+/**
+ * The type and pixel size of a PNG, JPEG, GIF or WebP image, read from its header;
+ * null for anything else.
+ */
+export function imageInfo(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('latin1', 12, 16) === 'IHDR') {
+    return { content_type: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return { content_type: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { content_type: 'image/webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { content_type: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { content_type: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { content_type: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Check an upload against the size limit and the allowed types. The type comes from the
+ * file extension, and images must really be the image their name says.
+ * Returns { content_type, width, height } or { error }.
+ */
+export function checkAttachment(fileName, data) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  const contentType = String(fileName).includes('.') ? ATTACHMENT_TYPES[extension] : null;
+
+  if (!contentType) {
+    return { error: `Files of this type cannot be attached. Allowed: ${ATTACHMENT_EXTENSIONS.join(', ')}` };
+  }
+  if (data.length === 0) {
+    return { error: 'The file is empty' };
+  }
+  if (data.length > MAX_ATTACHMENT_BYTES) {
+    return { error: `Attachments can be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB` };
+  }
+
+  if (isImageType(contentType)) {
+    const info = imageInfo(data);
+    if (!info || info.content_type !== contentType) {
+      return { error: 'The file is not the image its name says it is' };
+    }
+    return info;
+  }
+  if (contentType === 'application/pdf' && data.toString('latin1', 0, 5) !== '%PDF-') {
+    return { error: 'The file is not a PDF' };
+  }
+
+  return { content_type: contentType, width: null, height: null };
+}
+
+// A thumbnail must be a small PNG, JPEG or WebP; returns { content_type, width, height } or { error }
+export function checkThumbnail(data) {
+  const info = imageInfo(data);
+  if (!info || info.content_type === 'image/gif') {
+    return { error: 'Thumbnails must be PNG, JPEG or WebP images' };
+  }
+  if (data.length > MAX_THUMBNAIL_BYTES) {
+    return { error: `Thumbnails can be at most ${MAX_THUMBNAIL_BYTES / 1024} KB` };
+  }
+  if (Math.max(info.width, info.height) > THUMBNAIL_MAX_DIMENSION) {
+    return { error: `Thumbnails can be at most ${THUMBNAIL_MAX_DIMENSION}px on their longest side` };
+  }
+  return info;
+}
+
+export function attachmentUrl(attachment, { thumbnail = false, download = false } = {}) {
+  const query = new URLSearchParams({ attachment_id: attachment.attachment_id, key: attachment.key });
+  if (thumbnail) query.set('size', 'thumbnail');
+  if (download) query.set('download', '1');
+  return `/api/attachments?${query}`;
+}
+
+// What clients see of an attachment
+export function presentAttachment(attachment) {
+  return {
+    attachment_id: attachment.attachment_id,
+    note_id: attachment.note_id,
+    user_id: attachment.user_id,
+    file_name: attachment.file_name,
+    content_type: attachment.content_type,
+    size: attachment.size,
+    width: attachment.width || null,
+    height: attachment.height || null,
+    is_image: isImageType(attachment.content_type),
+    url: attachmentUrl(attachment),
+    download_url: attachmentUrl(attachment, { download: true }),
+    thumbnail_url: attachment.thumbnail_key ? attachmentUrl(attachment, { thumbnail: true }) : null,
+    created_at: attachment.created_at
+  };
+}
+
+export async function getAttachment(attachmentId) {
+  const snapshot = await db.ref(`attachments/${attachmentId}`).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+// A note's attachments, oldest first
+export async function listNoteAttachments(noteId) {
+  const snapshot = await db.ref('attachments').orderByChild('note_id').equalTo(noteId).once('value');
+  return Object.values(snapshot.val() || {}).sort((a, b) => a.created_at - b.created_at);
+}
+
+/**
+ * Store a checked upload (see checkAttachment), with a thumbnail for images, and record it
+ * against the note. Returns the attachment record.
+ */
+export async function saveAttachment(note, userId, fileName, data, info) {
+  const attachmentId = uuidv4();
+  const attachment = {
+    attachment_id: attachmentId,
+    note_id: note.note_id,
+    user_id: userId,
+    file_name: String(fileName).slice(0, 255),
+    content_type: info.content_type,
+    size: data.length,
+    width: info.width || null,
+    height: info.height || null,
+    key: generateToken(16),
+    storage_key: `attachments/${note.note_id}/${attachmentId}`,
+    thumbnail_key: null,
+    created_at: Date.now()
+  };
+
+  await putFile(attachment.storage_key, data, attachment.content_type);
+
+  const thumbnail = isImageType(attachment.content_type) ? await createThumbnail(data) : null;
+  if (thumbnail) {
+    attachment.thumbnail_key = `${attachment.storage_key}-thumbnail`;
+    attachment.thumbnail_type = thumbnail.content_type;
+    await putFile(attachment.thumbnail_key, thumbnail.data, thumbnail.content_type);
+  }
+
+  await db.ref(`attachments/${attachmentId}`).set(attachment);
+  return attachment;
+}
+
+// Replace an image attachment's thumbnail; returns the updated record
+export async function saveThumbnail(attachment, data, info) {
+  const thumbnailKey = `${attachment.storage_key}-thumbnail`;
+  await putFile(thumbnailKey, data, info.content_type);
+
+  const updates = { thumbnail_key: thumbnailKey, thumbnail_type: info.content_type };
+  await db.ref(`attachments/${attachment.attachment_id}`).update(updates);
+  return { ...attachment, ...updates };
+}
+
+// The bytes and type of an attachment or its thumbnail; null when the file is gone
+export async function readAttachment(attachment, thumbnail = false) {
+  if (thumbnail && attachment.thumbnail_key) {
+    const data = await getFile(attachment.thumbnail_key);
+    return data && { data, content_type: attachment.thumbnail_type || 'image/png' };
+  }
+
+  const data = await getFile(attachment.storage_key);
+  return data && { data, content_type: attachment.content_type };
+}
+
+export async function removeAttachment(attachment) {
+  await removeFile(attachment.storage_key);
+  if (attachment.thumbnail_key) {
+    await removeFile(attachment.thumbnail_key);
+  }
+  await db.ref(`attachments/${attachment.attachment_id}`).remove();
+}
+
+// Drop every attachment of a note that is being purged
+export async function removeNoteAttachments(noteId) {
+  for (const attachment of await listNoteAttachments(noteId)) {
+    await removeAttachment(attachment);
+  }
+}
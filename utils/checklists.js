@@ -0,0 +1,120 @@
+// utils/checklists.js - checklist items in note HTML and Markdown
+//
+// A task is an item of a note checklist (<li data-checked="true|false">, "- [ ] ..." in Markdown).
+// Its text may carry a due date and an assignee:
+//   - [ ] Send the slides due:2026-03-14 @maria
+//
+// `index` is the item's position among the note's checklist items. Nothing here touches the
+// database; utils/note-tasks.js keeps the index built from these.
+import { load } from 'cheerio';
+
+export const MAX_TASKS_PER_NOTE = 500;
+const MAX_TASK_TEXT_LENGTH = 500;
+
+const DUE_TOKEN = /(^|\s)due:(\d{4}-\d{2}-\d{2})(?=\s|$)/i;
+const ASSIGNEE_TOKEN = /(^|\s)@([\p{L}\p{N}_-][\p{L}\p{N}._-]*(?:@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+)?)/u;
+
+// "2026-02-30" is not a date
+function isCalendarDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Split the due:YYYY-MM-DD and @assignee tokens off a task's text.
+ * Returns { text, due, assignee }; the first token of each kind counts.
+ */
+export function parseTaskText(raw) {
+  let text = String(raw || '').replace(/\s+/g, ' ').trim();
+  let due = null;
+  let assignee = null;
+
+  const dueMatch = text.match(DUE_TOKEN);
+  if (dueMatch && isCalendarDate(dueMatch[2])) {
+    due = dueMatch[2];
+    text = text.replace(dueMatch[0], dueMatch[1]);
+  }
+
+  const assigneeMatch = text.match(ASSIGNEE_TOKEN);
+  if (assigneeMatch) {
+    assignee = assigneeMatch[2].replace(/\.+$/, '');
+    text = text.replace(assigneeMatch[0], assigneeMatch[1] + assigneeMatch[2].slice(assignee.length));
+  }
+
+  return {
+    text: text.replace(/\s+/g, ' ').trim().substring(0, MAX_TASK_TEXT_LENGTH),
+    due,
+    assignee
+  };
+}
+
+// Parsing and ticking go through the same parse, so both agree on which items are tasks.
+// Source locations let a tick rewrite just the attribute it changes.
+function loadNoteHtml(html) {
+  const $ = load(String(html || ''), { sourceCodeLocationInfo: true }, false);
+  return { $, items: $('li[data-checked]').toArray() };
+}
+
+// The tasks of a note's HTML, in document order. Nested checklists are tasks of their own.
+export function parseTasks(html) {
+  const { $, items } = loadNoteHtml(html);
+
+  return items.slice(0, MAX_TASKS_PER_NOTE).map((item, index) => {
+    const own = $(item).clone();
+    own.find('ul, ol').remove();
+    own.find('br, p, div').after(' ');
+
+    return {
+      index,
+      ...parseTaskText(own.text()),
+      checked: $(item).attr('data-checked') === 'true'
+    };
+  });
+}
+
+/**
+ * Tick or untick the index-th task of a note's HTML. Only that item's data-checked
+ * attribute changes; the rest of the HTML is left byte for byte. Returns null when the
+ * note has no such task.
+ */
+export function setTaskCheckedInHtml(html, index, checked) {
+  const source = String(html || '');
+  if (!Number.isInteger(index) || index < 0 || index >= MAX_TASKS_PER_NOTE) return null;
+
+  const item = loadNoteHtml(source).items[index];
+  const attr = item?.sourceCodeLocation?.startTag?.attrs?.['data-checked'];
+  if (!attr) return null;
+
+  return source.slice(0, attr.startOffset) + `data-checked="${checked}"` + source.slice(attr.endOffset);
+}
+
+/**
+ * The same for a Markdown source: the index-th "[ ]"/"[x]" list item outside code blocks.
+ * Callers check the rendering, since Markdown has corners this line scan does not follow.
+ */
+export function setTaskCheckedInMarkdown(markdown, index, checked) {
+  const lines = String(markdown || '').split('\n');
+  let fence = null;
+  let seen = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const fenceMatch = lines[i].match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1][0];
+      } else if (fenceMatch[1][0] === fence) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence) continue;
+
+    const task = lines[i].match(/^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+\[)[ xX](\](?:\s|$))/);
+    if (task && ++seen === index) {
+      lines[i] = task[1] + (checked ? 'x' : ' ') + lines[i].slice(task[1].length + 1);
+      return lines.join('\n');
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,160 @@
+// utils/comment-guard.js - rate limits and spam scoring for comments
+//
+// comment_rate/<kind>/<hash> = { minute_start, minute_count, hour_start, hour_count, recent }
+//
+// kind is 'user' (public user_id) or 'ip'; the key is hashed like the login counters. `recent`
+// holds hashes of the last few comments from that source so repeats can be spotted.
+import { db } from "./firebase.js";
+import { hashToken } from "./tokens.js";
+
+// ==================== CONFIGURATION ====================
+const RATE_LIMITS = {
+  user: { minute: 5, hour: 30 },
+  ip: { minute: 10, hour: 60 }                 // NAT-friendly, like the login limits
+};
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const RECENT_COMMENTS_KEPT = 10;
+
+export const SPAM_HOLD_SCORE = 5;              // held for the note owner's approval
+export const SPAM_REJECT_SCORE = 10;           // refused outright
+const LINK_FLOOD_LINKS = 3;
+const DEFAULT_BANNED_WORDS = ['viagra', 'cialis', 'casino', 'porn', 'escort', 'payday loan', 'crypto giveaway', 'free money'];
+// ======================================================
+
+function ratePath(kind, value) {
+  return `comment_rate/${kind}/${hashToken(String(value).toLowerCase())}`;
+}
+
+function rateRef(kind, value) {
+  return db.ref(ratePath(kind, value));
+}
+
+// Comparing by hash ignores case and whitespace differences
+function textHash(text) {
+  return hashToken(String(text).toLowerCase().replace(/\s+/g, ' ').trim()).slice(0, 16);
+}
+
+/**
+ * Take one comment slot for a source. Returns { retryAfter, repeated }: retryAfter is the
+ * milliseconds until it may post again (0 = slot taken), repeated whether it posted the
+ * same text recently.
+ */
+async function takeSlot(kind, value, hash, now) {
+  const limits = RATE_LIMITS[kind];
+  let retryAfter = 0;
+  let repeated = false;
+
+  await rateRef(kind, value).transaction(current => {
+    const state = current || {};
+    const minuteFresh = now - (state.minute_start || 0) < MINUTE_MS;
+    const hourFresh = now - (state.hour_start || 0) < HOUR_MS;
+    const minuteCount = minuteFresh ? state.minute_count || 0 : 0;
+    const hourCount = hourFresh ? state.hour_count || 0 : 0;
+    const recent = state.recent || [];
+
+    repeated = recent.includes(hash);
+    retryAfter = 0;
+    if (minuteCount >= limits.minute) {
+      retryAfter = state.minute_start + MINUTE_MS - now;
+    }
+    if (hourCount >= limits.hour) {
+      retryAfter = Math.max(retryAfter, state.hour_start + HOUR_MS - now);
+    }
+    if (retryAfter > 0) return;   // abort, nothing changes
+
+    return {
+      minute_start: minuteFresh ? state.minute_start : now,
+      minute_count: minuteCount + 1,
+      hour_start: hourFresh ? state.hour_start : now,
+      hour_count: hourCount + 1,
+      recent: [...recent, hash].slice(-RECENT_COMMENTS_KEPT)
+    };
+  });
+
+  return { retryAfter, repeated };
+}
+
+/**
+ * Count a comment against the per-user and per-IP limits.
+ * Returns { retryAfter, repeated } like takeSlot, combined over both sources.
+ */
+export async function takeCommentSlot(userId, ip, text) {
+  const now = Date.now();
+  const hash = textHash(text);
+
+  const results = await Promise.all([
+    userId ? takeSlot('user', userId, hash, now) : null,
+    takeSlot('ip', ip, hash, now)
+  ]);
+
+  return results.filter(Boolean).reduce((combined, result) => ({
+    retryAfter: Math.max(combined.retryAfter, result.retryAfter),
+    repeated: combined.repeated || result.repeated
+  }), { retryAfter: 0, repeated: false });
+}
+
+// Forget a user's counters when the account is purged
+export async function clearCommentRate(userId) {
+  await rateRef('user', userId).remove();
+}
+
+// Queue the writes that carry a user's counters over to their new user_id, so a rename does not reset them
+export async function addCommentRateRenameUpdates(updates, oldUserId, newUserId) {
+  const snapshot = await rateRef('user', oldUserId).once('value');
+  updates[ratePath('user', oldUserId)] = null;
+  updates[ratePath('user', newUserId)] = snapshot.val();
+  return updates;
+}
+
+function bannedWords() {
+  const extra = (process.env.COMMENT_BANNED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BANNED_WORDS, ...extra];
+}
+
+/**
+ * Local heuristic spam score for a comment; higher is spammier.
+ * Returns { score, reasons } with one reason per rule that fired.
+ */
+export function scoreComment(text, { repeated = false } = {}) {
+  const body = String(text || '');
+  const lower = body.toLowerCase();
+  let score = 0;
+  const reasons = [];
+
+  const links = (body.match(/https?:\/\/|www\./gi) || []).length;
+  if (links >= LINK_FLOOD_LINKS) {
+    score += 5 + (links - LINK_FLOOD_LINKS);
+    reasons.push('link_flood');
+  } else if (links > 0) {
+    score += links;
+    reasons.push('links');
+  }
+
+  if (repeated) {
+    score += 5;
+    reasons.push('repeat');
+  }
+
+  const banned = bannedWords().filter(word => lower.includes(word));
+  if (banned.length) {
+    score += 5 * banned.length;
+    reasons.push('banned_words');
+  }
+
+  const letters = body.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    score += 2;
+    reasons.push('shouting');
+  }
+
+  if (/(.)\1{9,}/.test(body)) {
+    score += 2;
+    reasons.push('repeated_characters');
+  }
+
+  return { score, reasons };
+}
@@ -0,0 +1,396 @@
+// utils/data-archive.js - a user's whole account as a ZIP archive, and restoring one
+//
+// manifest.json                       what the archive holds and how it fits together
+// notes/<slug>-<id>/note.md           every note as Markdown with front matter
+// notes/<slug>-<id>/note.html         ... and as its stored editor HTML
+// notes/<slug>-<id>/comments.json     its comments (reaction counts, not who reacted)
+// websites/<slug>-<id>/v<n>-<id>.html every version of every generated website
+//
+// The archive keeps the original ids. A restore gives everything new ids and rewires
+// notebooks, notes, comment threads and website versions to them.
+//
+// An archive must fit in one upload to be restored, so exports past ARCHIVE_LIMITS are refused.
+import { v4 as uuidv4 } from 'uuid';
+import { load } from 'cheerio';
+import { db } from "./firebase.js";
+import { getPublicProfile } from "./profile.js";
+import { isEmailVerified } from "./users.js";
+import { createNote, getNotesByOwner } from "./note-storage.js";
+import { getUserNotebooks } from "./notebooks.js";
+import { parseTags } from "./note-tags.js";
+import { syncNoteListing } from "./note-listing.js";
+import { isPending, isCommentPolicy, presentComment } from "./note-comments.js";
+import { getWebsitesByOwner, getWebsiteVersions } from "./website-storage.js";
+import { noteToMarkdownFile, markdownFileName, parseMarkdownFile } from "./markdown.js";
+import { createZip } from "./zip.js";
+
+export const ARCHIVE_FORMAT = 'talknote-archive';
+export const ARCHIVE_VERSION = 1;
+
+// ==================== CONFIGURATION ====================
+export const ARCHIVE_LIMITS = {
+  maxBytes: 4 * 1024 * 1024,          // request bodies stop at 4.5 MB on Vercel
+  maxUnpackedBytes: 50 * 1024 * 1024,
+  maxEntries: 20000
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Folder name for a note or website: readable, and unique through the id
+function entryName(title, id) {
+  return `${markdownFileName({ title }).replace(/\.md$/, '')}-${String(id).slice(0, 8)}`;
+}
+
+// A note as a standalone page; the stored HTML sits unchanged inside <main class="note">
+function noteHtmlFile(note) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(note.title || 'Untitled Note')}</title>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(note.title || 'Untitled Note')}</h1>`,
+    `<main class="note">${note.text || ''}</main>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// Every comment on a note, held ones included, oldest first
+async function exportComments(noteId, ownerId) {
+  const snapshot = await db.ref(`comments/${noteId}`).once('value');
+  return Object.values(snapshot.val() || {})
+    .sort((a, b) => a.created_at - b.created_at)
+    .map(comment => presentComment(comment, ownerId));
+}
+
+/**
+ * Build the archive of everything a user owns: notebooks, notes with their comments,
+ * websites with every version, and AI usage. Returns the ZIP as a Buffer.
+ * Throws 'Archive too large' when the result could not be restored (see ARCHIVE_LIMITS).
+ */
+export async function buildUserArchive(user) {
+  const userId = user.user_id;
+  const [notes, notebooks, websites, usageSnapshot] = await Promise.all([
+    getNotesByOwner(userId),
+    getUserNotebooks(userId),
+    getWebsitesByOwner(userId),
+    db.ref(`usage/${userId}`).once('value')
+  ]);
+
+  const { display_name, bio, avatar_url } = getPublicProfile(user);
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    user: { user_id: userId, email: user.email, display_name, bio: bio || '', avatar_url: avatar_url || '' },
+    notebooks: Object.values(notebooks).map(notebook => ({
+      notebook_id: notebook.notebook_id,
+      name: notebook.name,
+      parent_id: notebook.parent_id || null,
+      created_at: notebook.created_at,
+      updated_at: notebook.updated_at
+    })),
+    notes: [],
+    websites: [],
+    ai_usage: usageSnapshot.val() || {}
+  };
+  const files = [];
+
+  for (const note of Object.values(notes).sort((a, b) => a.created_at - b.created_at)) {
+    const path = `notes/${entryName(note.title, note.note_id)}`;
+    const comments = await exportComments(note.note_id, userId);
+
+    files.push(
+      { name: `${path}/note.md`, data: noteToMarkdownFile(note), date: note.updated_at },
+      { name: `${path}/note.html`, data: noteHtmlFile(note), date: note.updated_at },
+      { name: `${path}/comments.json`, data: JSON.stringify(comments, null, 2), date: note.updated_at }
+    );
+    manifest.notes.push({
+      note_id: note.note_id,
+      title: note.title || '',
+      path: path,
+      public: note.public === true,
+      tags: note.tags || [],
+      notebook_id: note.notebook_id || null,
+      comment_policy: note.comment_policy || 'open',
+      markdown: typeof note.markdown === 'string',
+      comment_count: note.comment_count || 0,
+      created_at: note.created_at,
+      updated_at: note.updated_at,
+      deleted_at: note.deleted_at || null
+    });
+  }
+
+  for (const website of Object.values(websites).sort((a, b) => a.created_at - b.created_at)) {
+    const path = `websites/${entryName(website.project_name, website.website_id)}`;
+    const versions = Object.values(await getWebsiteVersions(website.website_id))
+      .sort((a, b) => a.created_at - b.created_at);
+
+    const { total_views, total_forks, ...details } = website;
+    manifest.websites.push({
+      ...details,
+      path: path,
+      versions: versions.map(version => {
+        const file = `${path}/v${version.version_number}-${version.version_id.slice(0, 8)}.html`;
+        files.push({ name: file, data: version.html || '', date: version.created_at });
+        return {
+          version_id: version.version_id,
+          version_number: version.version_number,
+          path: file,
+          prompt: version.prompt || '',
+          edit_prompt: version.edit_prompt || null,
+          type: version.type,
+          is_initial: Boolean(version.is_initial),
+          parent_version_id: version.parent_version_id || null,
+          created_at: version.created_at
+        };
+      })
+    });
+  }
+
+  const entries = [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...files];
+  const unpacked = entries.reduce((sum, entry) => sum + Buffer.byteLength(entry.data), 0);
+  if (entries.length > ARCHIVE_LIMITS.maxEntries || unpacked > ARCHIVE_LIMITS.maxUnpackedBytes) {
+    throw new Error(`Archive too large: exports are limited to ${ARCHIVE_LIMITS.maxEntries} files and ${ARCHIVE_LIMITS.maxUnpackedBytes / 1024 / 1024} MB of content so they can be restored`);
+  }
+
+  const archive = createZip(entries);
+  if (archive.length > ARCHIVE_LIMITS.maxBytes) {
+    throw new Error(`Archive too large: exports are limited to ${ARCHIVE_LIMITS.maxBytes / 1024 / 1024} MB so they can be restored`);
+  }
+  return archive;
+}
+
+// The stored HTML of a note from its note.html page
+function readNoteHtml(file) {
+  const $ = load(file.toString('utf8'));
+  const main = $('main.note');
+  return main.length ? main.html() : $('body').html() || '';
+}
+
+function readManifest(files) {
+  const file = files.get('manifest.json');
+  let manifest = null;
+  try {
+    manifest = file ? JSON.parse(file.toString('utf8')) : null;
+  } catch {
+    manifest = null;
+  }
+
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('This is not a Talknote archive');
+  }
+  if (manifest.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+// Whether a user has nothing an archive could collide with
+export async function isAccountEmpty(userId) {
+  const [notes, notebooks, websites] = await Promise.all([
+    getNotesByOwner(userId),
+    getUserNotebooks(userId),
+    getWebsitesByOwner(userId)
+  ]);
+  return !Object.keys(notes).length && !Object.keys(notebooks).length && !Object.keys(websites).length;
+}
+
+// Write a restored note's comments under new ids; returns how many were published
+// Only the archive owner's comments keep an author; any other user_id in the file is unverifiable
+async function restoreComments(note, comments, archiveUserId, userId) {
+  const ids = new Map();
+  const updates = {};
+  let published = 0;
+
+  // Parents before replies
+  const ordered = comments
+    .filter(comment => comment && comment.comment_id && !isPending(comment))
+    .sort((a, b) => (a.depth || 0) - (b.depth || 0) || a.created_at - b.created_at);
+
+  for (const comment of ordered) {
+    const commentId = uuidv4();
+    const parentId = comment.parent_comment_id ? ids.get(comment.parent_comment_id) : null;
+    if (comment.parent_comment_id && !parentId) continue;   // its thread did not survive
+    ids.set(comment.comment_id, commentId);
+
+    updates[`comments/${note.note_id}/${commentId}`] = {
+      comment_id: commentId,
+      note_id: note.note_id,
+      parent_comment_id: parentId || null,
+      depth: parentId ? (comment.depth || 0) : 0,
+      user_id: comment.user_id && comment.user_id === archiveUserId ? userId : null,
+      name: comment.name || '',
+      text: comment.text || '',
+      created_at: comment.created_at || Date.now(),
+      updated_at: comment.updated_at || comment.created_at || Date.now(),
+      edited_at: comment.edited_at || null,
+      deleted_at: comment.deleted_at || null
+    };
+    if (!comment.deleted_at) published++;
+  }
+
+  if (Object.keys(updates).length) {
+    updates[`notes/${note.note_id}/comment_count`] = published;
+    await db.ref().update(updates);
+    await syncNoteListing({ ...note, comment_count: published });
+  }
+  return published;
+}
+
+/**
+ * Restore an archive (a Map of file name -> Buffer from readZip) into an empty account.
+ * Held comments and who reacted are not restored. AI usage of past days is; today's
+ * counter starts fresh. Notes and websites come back private until the email is verified.
+ * Returns counts of what was created and what was skipped.
+ */
+export async function restoreUserArchive(user, files) {
+  const manifest = readManifest(files);
+  const userId = user.user_id;
+  const canPublish = isEmailVerified(user);
+  const idMap = new Map();
+  const skipped = [];
+  const summary = { notebooks: 0, notes: 0, comments: 0, websites: 0, website_versions: 0 };
+
+  // Notebooks first so notes can be filed into them
+  const notebooks = Array.isArray(manifest.notebooks) ? manifest.notebooks : [];
+  for (const notebook of notebooks) {
+    idMap.set(notebook.notebook_id, uuidv4());
+  }
+  const notebookUpdates = {};
+  for (const notebook of notebooks) {
+    const notebookId = idMap.get(notebook.notebook_id);
+    notebookUpdates[`notebooks/${notebookId}`] = {
+      notebook_id: notebookId,
+      user_id: userId,
+      name: String(notebook.name || 'Notebook'),
+      parent_id: idMap.get(notebook.parent_id) || null,
+      created_at: notebook.created_at || Date.now(),
+      updated_at: notebook.updated_at || Date.now()
+    };
+    summary.notebooks++;
+  }
+  if (Object.keys(notebookUpdates).length) {
+    await db.ref().update(notebookUpdates);
+  }
+
+  for (const entry of Array.isArray(manifest.notes) ? manifest.notes : []) {
+    const htmlFile = files.get(`${entry.path}/note.html`);
+    if (!htmlFile) {
+      skipped.push({ path: entry.path, reason: 'note.html is missing' });
+      continue;
+    }
+
+    const markdownFile = entry.markdown ? files.get(`${entry.path}/note.md`) : null;
+    const parsedTags = parseTags(Array.isArray(entry.tags) ? entry.tags : []);
+
+    const note = await createNote(userId, {
+      title: String(entry.title || ''),
+      text: readNoteHtml(htmlFile),
+      markdown: markdownFile ? parseMarkdownFile(markdownFile.toString('utf8')).body.replace(/^\s*\n/, '').replace(/\s+$/, '') : undefined,
+      public: canPublish && entry.public === true,
+      tags: parsedTags.tags || [],
+      notebook_id: idMap.get(entry.notebook_id) || null,
+      comment_policy: isCommentPolicy(entry.comment_policy) ? entry.comment_policy : null,
+      created_at: entry.created_at,
+      updated_at: entry.updated_at,
+      deleted_at: entry.deleted_at ? Date.now() : null   // the trash period restarts
+    });
+    idMap.set(entry.note_id, note.note_id);
+    summary.notes++;
+
+    const commentsFile = files.get(`${entry.path}/comments.json`);
+    if (commentsFile) {
+      try {
+        const comments = JSON.parse(commentsFile.toString('utf8'));
+        summary.comments += await restoreComments(note, Array.isArray(comments) ? comments : [], manifest.user?.user_id, userId);
+      } catch {
+        skipped.push({ path: `${entry.path}/comments.json`, reason: 'comments.json is not valid JSON' });
+      }
+    }
+  }
+
+  for (const entry of Array.isArray(manifest.websites) ? manifest.websites : []) {
+    const versions = (Array.isArray(entry.versions) ? entry.versions : [])
+      .filter(version => files.has(version.path));
+    if (!versions.length) {
+      skipped.push({ path: entry.path, reason: 'no website versions found' });
+      continue;
+    }
+
+    const websiteId = uuidv4();
+    for (const version of versions) {
+      idMap.set(version.version_id, uuidv4());
+    }
+
+    const timestamp = Date.now();
+    const updates = {};
+    for (const version of versions) {
+      const versionId = idMap.get(version.version_id);
+      updates[`website_versions/${versionId}`] = {
+        version_id: versionId,
+        website_id: websiteId,
+        user_id: userId,
+        html: files.get(version.path).toString('utf8'),
+        prompt: version.prompt || '',
+        edit_prompt: version.edit_prompt || null,
+        type: version.type || entry.type,
+        is_initial: Boolean(version.is_initial),
+        version_number: version.version_number,
+        parent_version_id: idMap.get(version.parent_version_id) || null,
+        created_at: version.created_at || timestamp,
+        updated_at: version.created_at || timestamp,
+        view_count: 0,
+        fork_count: 0
+      };
+    }
+
+    const latest = idMap.get(entry.latest_version_id) && versions.some(version => version.version_id === entry.latest_version_id)
+      ? idMap.get(entry.latest_version_id)
+      : idMap.get(versions[versions.length - 1].version_id);
+    updates[`websites/${websiteId}`] = {
+      website_id: websiteId,
+      user_id: userId,
+      project_name: entry.project_name || 'New Website',
+      description: entry.description || '',
+      type: entry.type,
+      is_public: canPublish && entry.is_public === true,
+      tags: Array.isArray(entry.tags) ? entry.tags : [],
+      thumbnail: entry.thumbnail || '',
+      total_versions: versions.length,
+      latest_version_id: latest,
+      total_edits: entry.total_edits || 0,
+      total_views: 0,
+      total_forks: 0,
+      created_at: entry.created_at || timestamp,
+      updated_at: entry.updated_at || timestamp
+    };
+
+    await db.ref().update(updates);
+    summary.websites++;
+    summary.website_versions += versions.length;
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const usageUpdates = {};
+  for (const [day, count] of Object.entries(manifest.ai_usage || {})) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day < today && Number.isInteger(count)) {
+      usageUpdates[`usage/${userId}/${day}`] = count;
+    }
+  }
+  if (Object.keys(usageUpdates).length) {
+    await db.ref().update(usageUpdates);
+  }
+
+  return { ...summary, skipped };
+}
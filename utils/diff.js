@@ -0,0 +1,160 @@
+// utils/diff.js - line and word diffs (Myers' O(ND) algorithm, in linear space)
+
+// ==================== CONFIGURATION ====================
+// Past this many edits a stretch of the texts is shown as replaced outright, which keeps
+// the work at O((N+M)·MAX_EDIT_DISTANCE) for texts that have little in common
+const MAX_EDIT_DISTANCE = 2000;
+// ======================================================
+
+/**
+ * The middle snake of a[aLo, aHi) against b[bLo, bHi): the stretch of matches halfway along
+ * a shortest edit script, found by searching from both ends at once. Returns
+ * { x, y, u, v } (snake from (x, y) to (u, v), relative to aLo/bLo), or null when the
+ * script needs more than `limit` edits.
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi, limit) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.min(Math.ceil((n + m) / 2), Math.ceil(limit / 2));
+  const offset = max + 1;
+  // Furthest x per diagonal, forwards from (0, 0) and backwards from (n, m)
+  const forward = new Array(2 * max + 3).fill(0);
+  const backward = new Array(2 * max + 3).fill(0);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      // Diagonal k forwards is diagonal delta - k backwards
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[offset + c] >= n) {
+        return { x: startX, y: startY, u: x, v: y };
+      }
+    }
+
+    for (let c = -d; c <= d; c += 2) {
+      let x = (c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1]))
+        ? backward[offset + c + 1]
+        : backward[offset + c - 1] + 1;
+      let y = x - c;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + c] = x;
+
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + forward[offset + k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Append the edit script of a[aLo, aHi) against b[bLo, bHi) to ops
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops) {
+  let prefix = 0;
+  while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (aHi - suffix > aLo + prefix && bHi - suffix > bLo + prefix && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+    suffix++;
+  }
+
+  for (let i = 0; i < prefix; i++) {
+    ops.push({ type: 'equal', token: a[aLo + i] });
+  }
+
+  const innerALo = aLo + prefix;
+  const innerAHi = aHi - suffix;
+  const innerBLo = bLo + prefix;
+  const innerBHi = bHi - suffix;
+
+  // With the common ends trimmed, a one-sided difference is all that is left or it takes
+  // at least two edits, so the snake splits the range into two smaller ones
+  const snake = innerALo < innerAHi && innerBLo < innerBHi
+    ? middleSnake(a, innerALo, innerAHi, b, innerBLo, innerBHi, MAX_EDIT_DISTANCE)
+    : null;
+
+  if (snake) {
+    diffRange(a, innerALo, innerALo + snake.x, b, innerBLo, innerBLo + snake.y, ops);
+    for (let i = snake.x; i < snake.u; i++) {
+      ops.push({ type: 'equal', token: a[innerALo + i] });
+    }
+    diffRange(a, innerALo + snake.u, innerAHi, b, innerBLo + snake.v, innerBHi, ops);
+  } else {
+    for (let i = innerALo; i < innerAHi; i++) {
+      ops.push({ type: 'delete', token: a[i] });
+    }
+    for (let i = innerBLo; i < innerBHi; i++) {
+      ops.push({ type: 'insert', token: b[i] });
+    }
+  }
+
+  for (let i = aHi - suffix; i < aHi; i++) {
+    ops.push({ type: 'equal', token: a[i] });
+  }
+}
+
+/**
+ * Diff two token arrays. Returns hunks of { type: 'equal' | 'insert' | 'delete', value }
+ * where `value` is the joined tokens, with runs of the same type merged. Works in linear
+ * space (Myers' divide and conquer variant).
+ */
+function diffTokens(a, b, joiner) {
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+  const hunks = [];
+  for (const op of ops) {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === op.type) {
+      last.tokens.push(op.token);
+    } else {
+      hunks.push({ type: op.type, tokens: [op.token] });
+    }
+  }
+
+  return hunks.map(hunk => ({ type: hunk.type, value: hunk.tokens.join(joiner) }));
+}
+
+// Line diff; every hunk value is whole lines joined with "\n"
+export function diffLines(oldText, newText) {
+  return diffTokens(String(oldText || '').split('\n'), String(newText || '').split('\n'), '\n');
+}
+
+// Word diff; whitespace is kept as its own token so hunks join back into the original text
+export function diffWords(oldText, newText) {
+  const tokenize = text => String(text || '').match(/\s+|[^\s]+/g) || [];
+  return diffTokens(tokenize(oldText), tokenize(newText), '');
+}
+
+// Count of inserted / deleted lines, or words in 'word' mode (whitespace is not a word),
+// for a one-line summary
+export function diffStats(hunks, mode = 'line') {
+  const count = mode === 'word'
+    ? value => (value.match(/\S+/g) || []).length
+    : value => value.split('\n').length;
+  return hunks.reduce((stats, hunk) => {
+    if (hunk.type === 'insert') stats.added += count(hunk.value);
+    if (hunk.type === 'delete') stats.removed += count(hunk.value);
+    return stats;
+  }, { added: 0, removed: 0 });
+}
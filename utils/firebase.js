@@ -3,11 +3,19 @@ import admin from "firebase-admin";
 
 const svc = JSON.parse(process.env.FIREBASE_SERVICE_KEY || "{}");
 
+// With FIREBASE_DATABASE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST set the SDK talks to the
+// local emulators (`firebase emulators:start`), which need no service account
+const useEmulators = Boolean(process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+
 if (!admin.apps.length) {
   admin.initializeApp({
-    credential: admin.credential.cert(svc),
+    ...(useEmulators && !svc.project_id
+      ? { projectId: process.env.FIREBASE_PROJECT_ID || "demo-talknote" }
+      : { credential: admin.credential.cert(svc) }),
     databaseURL: process.env.FIREBASE_DB_URL,
   });
 }
 
 export const db = admin.database();
+export const auth = admin.auth();
+export const projectId = svc.project_id || process.env.FIREBASE_PROJECT_ID || "demo-talknote";
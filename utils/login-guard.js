@@ -0,0 +1,110 @@
+// utils/login-guard.js - persistent brute-force protection for sign-in
+import { db } from "./firebase.js";
+import { hashToken } from "./tokens.js";
+
+// ==================== CONFIGURATION ====================
+const EMAIL_MAX_FAILURES = 5;                  // failures per email before lockout
+const IP_MAX_FAILURES = 20;                    // failures per IP before lockout (NAT-friendly)
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;      // failures are forgotten this long after the last one (or the lockout's end)
+const BASE_LOCKOUT_MS = 60 * 1000;             // first lockout: 1 minute, doubling after that
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;         // never lock for more than 1 hour
+const AUDIT_LOG_LIMIT = 100;                   // sign-in events kept per user
+// ======================================================
+
+function attemptRef(kind, value) {
+  return db.ref(`login_attempts/${kind}/${hashToken(String(value).toLowerCase())}`);
+}
+
+// Exponential backoff: 1m, 2m, 4m, ... capped at MAX_LOCKOUT_MS
+function lockoutDuration(failures, maxFailures) {
+  const step = failures - maxFailures;
+  return Math.min(BASE_LOCKOUT_MS * Math.pow(2, step), MAX_LOCKOUT_MS);
+}
+
+async function recordFailure(kind, value, maxFailures) {
+  const now = Date.now();
+  const result = await attemptRef(kind, value).transaction(current => {
+    // A lockout can outlast the window; its failures are kept until it has run out too,
+    // so the next one is longer instead of starting over at BASE_LOCKOUT_MS
+    const keptUntil = current
+      ? Math.max(current.last_failure_at, current.locked_until || 0) + FAILURE_WINDOW_MS
+      : 0;
+    const state = now < keptUntil
+      ? current
+      : { failures: 0, first_failure_at: now };
+
+    const failures = state.failures + 1;
+    return {
+      failures,
+      first_failure_at: state.first_failure_at,
+      last_failure_at: now,
+      locked_until: failures >= maxFailures ? now + lockoutDuration(failures, maxFailures) : 0
+    };
+  });
+
+  return result.snapshot.val();
+}
+
+// Milliseconds until sign-in is allowed again for this email/IP (0 = allowed)
+export async function getLoginLockout(email, ip) {
+  const [emailSnapshot, ipSnapshot] = await Promise.all([
+    attemptRef('email', email).once('value'),
+    attemptRef('ip', ip).once('value')
+  ]);
+
+  const now = Date.now();
+  const lockedUntil = Math.max(
+    emailSnapshot.val()?.locked_until || 0,
+    ipSnapshot.val()?.locked_until || 0
+  );
+
+  return Math.max(0, lockedUntil - now);
+}
+
+// Count a failed attempt; returns the lockout now in force (0 = none)
+export async function recordLoginFailure(email, ip) {
+  const [emailState, ipState] = await Promise.all([
+    recordFailure('email', email, EMAIL_MAX_FAILURES),
+    recordFailure('ip', ip, IP_MAX_FAILURES)
+  ]);
+
+  const lockedUntil = Math.max(emailState.locked_until, ipState.locked_until);
+  return Math.max(0, lockedUntil - Date.now());
+}
+
+// A successful sign-in clears the email counter (the IP counter decays on its own)
+export async function recordLoginSuccess(email) {
+  await attemptRef('email', email).remove();
+}
+
+// Append a sign-in event to the user's audit log, keeping the newest AUDIT_LOG_LIMIT
+export async function recordLoginEvent(uid, event) {
+  const auditRef = db.ref(`login_audit/${uid}`);
+  await auditRef.push({ ...event, at: Date.now() });
+
+  const snapshot = await auditRef.orderByKey().once('value');
+  const keys = snapshot.exists() ? Object.keys(snapshot.val()) : [];
+  if (keys.length > AUDIT_LOG_LIMIT) {
+    const stale = keys.slice(0, keys.length - AUDIT_LOG_LIMIT);
+    await Promise.all(stale.map(key => auditRef.child(key).remove()));
+  }
+}
+
+// Newest sign-in events first
+export async function getLoginEvents(uid, limit = 50) {
+  const snapshot = await db.ref(`login_audit/${uid}`).orderByKey().limitToLast(limit).once('value');
+  if (!snapshot.exists()) {
+    return [];
+  }
+  // Push keys sort chronologically
+  const events = snapshot.val();
+  return Object.keys(events).sort().reverse().map(key => events[key]);
+}
+
+// Drop everything sign-in related for an account that is being deleted
+export async function clearLoginRecords(uid, email) {
+  await Promise.all([
+    db.ref(`login_audit/${uid}`).remove(),
+    email ? attemptRef('email', email).remove() : Promise.resolve()
+  ]);
+}
@@ -0,0 +1,73 @@
+// utils/mailer.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// ==================== CONFIGURATION ====================
+// MAIL_TRANSPORT selects how mail leaves the app:
+//   console - log the message (default outside production)
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR
+//   smtp    - send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// Production has no default and refuses console: the messages carry sign-in and reset
+// links, which must not end up in the function logs.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? null : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Talknote <no-reply@talknote.app>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'talknote-mail');
+// ======================================================
+
+const transports = {
+  async console(message) {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+
+  async file(message) {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+  },
+
+  async smtp(message) {
+    // Loaded lazily so the console/file transports work without nodemailer configured
+    const { default: nodemailer } = await import('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+    await transporter.sendMail(message);
+  }
+};
+
+// Register (or replace) a transport, e.g. a stub that collects messages
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+// Send a message through the configured transport
+export async function sendMail({ to, subject, text, html }, transportName = MAIL_TRANSPORT) {
+  if (!transportName) {
+    throw new Error('Mail is not configured: set MAIL_TRANSPORT to smtp (or file)');
+  }
+  if (transportName === 'console' && IS_PRODUCTION) {
+    throw new Error('The console mail transport is not allowed in production: set MAIL_TRANSPORT to smtp');
+  }
+
+  const send = transports[transportName];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// Absolute URL for links in emails
+export function appUrl(pathname) {
+  const base = process.env.APP_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : 'http://localhost:3000');
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
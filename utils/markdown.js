@@ -0,0 +1,595 @@
+// utils/markdown.js - convert notes between editor HTML and Markdown, and read/write .md files
+//
+// Notes are stored as editor HTML in `text`. Notes written in Markdown also keep their source in
+// `markdown`; `text` then holds its rendering, so everything that reads notes keeps working.
+// Raw HTML inside Markdown is shown as text, never passed through.
+//
+// Checklists: "- [ ] item" / "- [x] item" become <ul data-checklist="true"> with
+// <li data-checked="false|true"> items, and back.
+import { load } from 'cheerio';
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Links may point at web pages, mail addresses or relative paths; anything else
+// (javascript:, data:, ...) is dropped
+function safeUrl(url) {
+  const trimmed = String(url || '').trim();
+  const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return trimmed;
+}
+
+// ==================== MARKDOWN -> HTML ====================
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const TASK_MARKER = /^\[([ xX])\](?:\s+|$)/;
+// [label](url "title") and ![alt](src); the url may hold balanced parentheses two deep
+// (Wikipedia links) or be wrapped in <...>
+const LINK = /(!?)\[([^\]]*)\]\(\s*(?:<([^<>\n]*)>|((?:[^\s()<>]|\((?:[^\s()]|\([^\s()]*\))*\))*))(?:\s+"([^"]*)")?\s*\)/g;
+
+/**
+ * Render inline Markdown (code, links, images, emphasis, breaks) to HTML.
+ * Everything that is not Markdown syntax is escaped.
+ */
+function renderInline(text) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let out = String(text)
+    // Code spans first: nothing inside them is Markdown
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!~>|])/g, (match, char) => keep(escapeHtml(char)))
+    .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/gi, (match, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`))
+    .replace(LINK, (match, bang, label, bracketedUrl, url, title) => {
+      const href = safeUrl(bracketedUrl !== undefined ? bracketedUrl.replace(/\s/g, '%20') : url);
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      if (bang) {
+        return href ? keep(`<img src="${escapeHtml(href)}" alt="${escapeHtml(label)}"${titleAttr}>`) : keep(escapeHtml(label));
+      }
+      return href
+        ? keep(`<a href="${escapeHtml(href)}"${titleAttr}>${renderInline(label)}</a>`)
+        : keep(renderInline(label));
+    });
+
+  out = escapeHtml(out)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/\*(?=[^\s*])([^*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  return out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+function leadingSpaces(line) {
+  return line.match(/^ */)[0].length;
+}
+
+// Whether a line starts a block other than a paragraph (and so ends the paragraph before it)
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(^|[^\\])\|$/, '$1')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Parse a pipe table starting at lines[start]; returns { html, next }
+function parseTable(lines, start) {
+  const header = splitTableRow(lines[start]);
+  const aligns = splitTableRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+  const cell = (tag, text, index) => {
+    const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+    return `<${tag}${align}>${renderInline(text || '')}</${tag}>`;
+  };
+
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    const cells = splitTableRow(lines[i]);
+    rows.push(`<tr>${header.map((h, index) => cell('td', cells[index], index)).join('')}</tr>`);
+    i++;
+  }
+
+  const head = `<thead><tr>${header.map((h, index) => cell('th', h, index)).join('')}</tr></thead>`;
+  const body = rows.length ? `<tbody>${rows.join('')}</tbody>` : '';
+  return { html: `<table>${head}${body}</table>`, next: i };
+}
+
+// Parse a list starting at lines[start]; returns { html, next }
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+    const contentIndent = indent + match[2].length + Math.max(1, Math.min(match[3].length, 4));
+    const content = [match[4]];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        // A blank line belongs to the item only when indented content follows it
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next < lines.length && leadingSpaces(lines[next]) > indent) {
+          content.push('');
+          loose = true;
+          i++;
+          continue;
+        }
+        const sibling = next < lines.length && lines[next].match(LIST_ITEM);
+        if (sibling && sibling[1].length === indent && /\d/.test(sibling[2]) === ordered) {
+          loose = true;
+        }
+        break;
+      }
+
+      const spaces = leadingSpaces(line);
+      if (spaces > indent) {
+        content.push(line.slice(Math.min(spaces, contentIndent)));
+      } else if (!startsBlock(line) && content[content.length - 1] !== '') {
+        content.push(line.trim());   // lazy continuation of the item's paragraph
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    while (i < lines.length && !lines[i].trim()) {
+      const next = lines.slice(i).find(line => line.trim());
+      const sibling = next && next.match(LIST_ITEM);
+      if (!sibling || sibling[1].length !== indent || /\d/.test(sibling[2]) !== ordered) break;
+      i++;
+    }
+
+    items.push(content);
+  }
+
+  let checklist = false;
+  const html = items.map(content => {
+    const task = content[0].match(TASK_MARKER);
+    if (task) {
+      checklist = true;
+      content[0] = content[0].slice(task[0].length);
+    }
+
+    let body = parseBlocks(content);
+    if (!loose) {
+      body = body.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+    }
+    return task ? `<li data-checked="${task[1] !== ' '}">${body}</li>` : `<li>${body}</li>`;
+  }).join('');
+
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  const checklistAttr = checklist ? ' data-checklist="true"' : '';
+  return { html: `<${tag}${startAttr}${checklistAttr}>${html}</${tag}>`, next: i };
+}
+
+function parseBlocks(lines) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      html.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      html.push(`<blockquote>${parseBlocks(quoted)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = parseList(lines, i);
+      html.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const table = parseTable(lines, i);
+      html.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i].replace(/^ +/, ''));
+      i++;
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n').replace(/\s+$/, ''))}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+// Render a Markdown document as note HTML
+export function markdownToHtml(markdown) {
+  const lines = String(markdown || '')
+    .replace(/\u0000/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n');
+  return parseBlocks(lines);
+}
+
+// ==================== HTML -> MARKDOWN ====================
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'pre', 'blockquote', 'hr', 'table', 'dl', 'dt', 'dd'
+]);
+const SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'meta', 'link', 'template']);
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*_[\]])/g, '\\$1')
+    .replace(/~~/g, '\\~\\~');
+}
+
+// Text at the start of a line that would otherwise read as a block marker
+function escapeLineStart(line) {
+  return line.replace(/^(\s*)(#{1,6}(?=\s|$)|>|[-+](?=\s)|(\d+)([.)])(?=\s)|={3,}$)/, (match, space, marker, digits, dot) =>
+    digits ? `${space}${digits}\\${dot}` : `${space}\\${marker}`
+  );
+}
+
+function isBlock(node) {
+  return node.type === 'tag' && BLOCK_TAGS.has(node.name);
+}
+
+// Wrap inline Markdown in a marker, keeping surrounding whitespace outside it
+function wrapInline(inner, marker) {
+  const [, before, content, after] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return content ? `${before}${marker}${content}${marker}${after}` : inner;
+}
+
+function convertInline(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return escapeMarkdown(node.data.replace(/\s+/g, ' '));
+    }
+    if (node.type !== 'tag' || SKIPPED_TAGS.has(node.name)) {
+      return '';
+    }
+
+    const children = node.children || [];
+    switch (node.name) {
+      case 'br':
+        return '\\\n';
+      case 'strong':
+      case 'b':
+        return wrapInline(convertInline(children), '**');
+      case 'em':
+      case 'i':
+        return wrapInline(convertInline(children), '*');
+      case 's':
+      case 'del':
+      case 'strike':
+        return wrapInline(convertInline(children), '~~');
+      case 'code': {
+        const code = textOf(node);
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const ticks = '`'.repeat(longest + 1);
+        return code ? `${ticks}${/^`|`$/.test(code) ? ` ${code} ` : code}${ticks}` : '';
+      }
+      case 'a': {
+        const label = convertInline(children).trim();
+        const href = safeUrl(node.attribs.href);
+        if (!href) return label;
+        return `[${label || escapeMarkdown(href)}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+      }
+      case 'img': {
+        const src = safeUrl(node.attribs.src);
+        return src ? `![${escapeMarkdown(node.attribs.alt || '')}](${src.replace(/[()\s]/g, encodeURIComponent)})` : '';
+      }
+      default:
+        return isBlock(node) ? ` ${convertBlocks(children, { tight: true }).replace(/\n+/g, ' ')} ` : convertInline(children);
+    }
+  }).join('');
+}
+
+function textOf(node) {
+  if (node.type === 'text') return node.data;
+  if (node.type === 'tag' && node.name === 'br') return '\n';
+  return (node.children || []).map(textOf).join('');
+}
+
+// Lines of inline Markdown as a paragraph; empty paragraphs vanish
+function paragraphOf(nodes) {
+  return convertInline(nodes)
+    .split('\n')
+    .map(line => escapeLineStart(line.replace(/^ +| +$/g, '').replace(/ +\\$/, '\\')))
+    .join('\n')
+    .replace(/(\\\n)+$/, '')
+    .replace(/\\$/, '')
+    .trim();
+}
+
+function indentLines(text, prefix, firstPrefix = prefix) {
+  return text.split('\n').map((line, index) => {
+    if (index === 0) return firstPrefix + line;
+    return line ? prefix + line : '';
+  }).join('\n');
+}
+
+function convertList(node) {
+  const ordered = node.name === 'ol';
+  let number = parseInt(node.attribs.start, 10) || 1;
+
+  return (node.children || [])
+    .filter(child => child.type === 'tag' && child.name === 'li')
+    .map(item => {
+      const marker = ordered ? `${number++}.` : '-';
+      const checked = item.attribs['data-checked'];
+      const task = checked === undefined ? '' : checked === 'true' ? '[x] ' : '[ ] ';
+      const content = convertBlocks(item.children || [], { tight: true });
+      return indentLines(content, ' '.repeat(marker.length + 1), `${marker} ${task}`);
+    })
+    .join('\n');
+}
+
+function convertTable(node) {
+  const rows = [];
+  let aligns = [];
+  const collect = parent => {
+    for (const child of parent.children || []) {
+      if (child.type !== 'tag') continue;
+      if (child.name === 'tr') {
+        const cells = (child.children || []).filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'));
+        if (!rows.length) {
+          aligns = cells.map(cell => ((cell.attribs.style || '').match(/text-align:\s*(left|right|center)/) || [])[1]);
+        }
+        rows.push(cells.map(cell => convertInline(cell.children || []).replace(/\s*\\?\n\s*/g, ' ').replace(/\|/g, '\\|').trim()));
+      } else if (['thead', 'tbody', 'tfoot'].includes(child.name)) {
+        collect(child);
+      }
+    }
+  };
+  collect(node);
+  if (!rows.length) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = row => [...row, ...Array(width - row.length).fill('')];
+  const line = row => `| ${pad(row).join(' | ')} |`;
+
+  const divider = Array.from({ length: width }, (_, index) => ({
+    left: ':---',
+    right: '---:',
+    center: ':---:'
+  })[aligns[index]] || '---');
+
+  return [line(rows[0]), line(divider), ...rows.slice(1).map(line)].join('\n');
+}
+
+function convertBlock(node, options) {
+  const children = node.children || [];
+  const name = node.name;
+
+  if (/^h[1-6]$/.test(name)) {
+    const text = convertInline(children).replace(/\\?\n/g, ' ').trim();
+    return text ? `${'#'.repeat(Number(name[1]))} ${text}` : '';
+  }
+
+  switch (name) {
+    case 'hr':
+      return '---';
+    case 'pre': {
+      const code = textOf(node).replace(/\n$/, '');
+      const codeNode = children.find(child => child.type === 'tag' && child.name === 'code');
+      const lang = ((codeNode && codeNode.attribs.class) || '').match(/language-([\w+#-]+)/);
+      const longest = Math.max(2, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longest + 1);
+      return `${fence}${lang ? lang[1] : ''}\n${code}\n${fence}`;
+    }
+    case 'blockquote': {
+      const inner = convertBlocks(children, options);
+      return inner ? inner.split('\n').map(line => line ? `> ${line}` : '>').join('\n') : '';
+    }
+    case 'ul':
+    case 'ol':
+      return convertList(node);
+    case 'table':
+      return convertTable(node);
+    default:
+      return convertBlocks(children, options);
+  }
+}
+
+// Convert a run of nodes: inline runs become paragraphs, block elements their own blocks
+function convertBlocks(nodes, options = {}) {
+  const blocks = [];
+  let inline = [];
+
+  const flush = () => {
+    const paragraph = paragraphOf(inline);
+    if (paragraph) blocks.push(paragraph);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'tag' && SKIPPED_TAGS.has(node.name)) continue;
+    if (isBlock(node)) {
+      flush();
+      const block = convertBlock(node, options);
+      if (block) blocks.push(block);
+    } else {
+      inline.push(node);
+    }
+  }
+  flush();
+
+  return blocks.join(options.tight ? '\n' : '\n\n');
+}
+
+// Convert note HTML to Markdown
+export function htmlToMarkdown(html) {
+  const $ = load(String(html || ''), null, false);
+  return convertBlocks($.root()[0].children || []).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ==================== .md FILES ====================
+
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+// A note as a .md file: YAML front matter (title, dates, tags) then the Markdown body
+export function noteToMarkdownFile(note) {
+  const lines = ['---', `title: ${JSON.stringify(note.title || '')}`];
+  if (note.created_at) lines.push(`created: ${isoDate(note.created_at)}`);
+  if (note.updated_at) lines.push(`updated: ${isoDate(note.updated_at)}`);
+  lines.push(`tags: [${(note.tags || []).map(tag => JSON.stringify(tag)).join(', ')}]`);
+  lines.push('---', '');
+
+  const body = typeof note.markdown === 'string' ? note.markdown : htmlToMarkdown(note.text);
+  return `${lines.join('\n')}\n${body.replace(/\s+$/, '')}\n`;
+}
+
+// File name for an exported note
+export function markdownFileName(note) {
+  const base = String(note.title || '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .toLowerCase();
+  return `${base || 'note'}.md`;
+}
+
+function parseScalar(value) {
+  const trimmed = value.trim();
+  if (/^".*"$/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(trimmed)) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+// Split a flow sequence like [a, "b, c"] into its items
+function parseFlowList(value) {
+  const items = [];
+  for (const match of value.slice(1, -1).matchAll(/\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]*)\s*(?:,|$)/g)) {
+    if (match[1].trim()) items.push(parseScalar(match[1]));
+  }
+  return items;
+}
+
+/**
+ * Read a .md file into { attributes, body }. Front matter is a small YAML subset:
+ * `key: value` pairs with quoted or plain scalars and [flow] or "- item" lists.
+ */
+export function parseMarkdownFile(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = text.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)\s*(?:\n|$)/);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  let listKey = null;
+  for (const line of match[1].split('\n')) {
+    const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      attributes[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) continue;
+
+    const key = pair[1].toLowerCase();
+    const value = pair[2].trim();
+    listKey = null;
+    if (value === '') {
+      attributes[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      attributes[key] = parseFlowList(value);
+    } else {
+      attributes[key] = parseScalar(value);
+    }
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
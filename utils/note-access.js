@@ -0,0 +1,40 @@
+// utils/note-access.js - who may read, comment on and edit a note
+//
+// The owner can do anything. Other users get a role from the note's share list
+// (see note-shares.js); public notes can be read and commented on by anyone.
+// database.rules.json repeats the editor check for the collab/<note_id> node.
+import { getShare } from "./note-shares.js";
+
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+export function isNoteOwner(note, userId) {
+  return Boolean(note && userId) && note.user_id === userId;
+}
+
+// 'owner', a share role, or null when the user has no access of their own
+export async function getNoteRole(note, userId) {
+  if (!note || !userId) return null;
+  if (note.user_id === userId) return 'owner';
+
+  const share = await getShare(note.note_id, userId);
+  return share ? share.role : null;
+}
+
+export function roleAllows(role, needed) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[needed];
+}
+
+export async function canViewNote(note, userId) {
+  return note?.public === true || roleAllows(await getNoteRole(note, userId), 'viewer');
+}
+
+export async function canCommentOnNote(note, userId) {
+  return note?.public === true || roleAllows(await getNoteRole(note, userId), 'commenter');
+}
+
+export async function canEditNote(note, userId) {
+  return roleAllows(await getNoteRole(note, userId), 'editor');
+}
+
+// Fields an editor may change through a normal update
+export const EDITOR_FIELDS = ['title', 'text', 'markdown'];
@@ -0,0 +1,313 @@
+// utils/note-comments.js - threaded comments with edits, reactions and moderation
+//
+// comments/<note_id>/<comment_id> = { comment_id, note_id, parent_comment_id, depth, user_id, name,
+//                                     text, created_at, updated_at, edited_at, deleted_at,
+//                                     status, spam_score, reactions: { <reaction>: { <user_id>: true } } }
+// comment_moderation/<owner_id>/<comment_id> = { note_id, comment_id, created_at, spam_score, reasons }
+// user_comment_notes/<user_id>/<note_id> = true   notes a user commented on or reacted to
+// comment_index_meta = { version, indexed_at }     set once user_comment_notes covers older comments
+//
+// user_comment_notes lets an account purge find the user's comments without reading every note's;
+// entries may outlive the comments they point at.
+//
+// A deleted comment that still has replies stays behind as a tombstone (text and author cleared,
+// deleted_at set) so its thread keeps its shape; tombstones go once their last reply is removed.
+// Comments held for moderation have status 'pending' and sit in the note owner's queue; nobody
+// sees them until they are approved.
+// notes/<note_id>/comment_count counts the published comments that are not tombstones.
+import { db } from "./firebase.js";
+import { syncNoteListing } from "./note-listing.js";
+
+export const MAX_THREAD_DEPTH = 6;   // a top-level comment is depth 0
+const COMMENT_INDEX_VERSION = 1;
+
+// Who may comment on a note: anyone, anyone after the owner approves, signed-in users, or nobody
+export const COMMENT_POLICIES = ['open', 'approve_first', 'signed_in', 'closed'];
+
+// Reactions a comment can get, stored by name (emoji are awkward as database keys)
+export const COMMENT_REACTIONS = {
+  thumbs_up: '👍',
+  heart: '❤️',
+  laugh: '😂',
+  tada: '🎉',
+  surprised: '😮',
+  sad: '😢'
+};
+
+export function isCommentReaction(reaction) {
+  return Object.prototype.hasOwnProperty.call(COMMENT_REACTIONS, reaction);
+}
+
+export function isCommentPolicy(policy) {
+  return COMMENT_POLICIES.includes(policy);
+}
+
+export function isPending(comment) {
+  return comment?.status === 'pending';
+}
+
+export async function getComment(noteId, commentId) {
+  const snapshot = await db.ref(`comments/${noteId}/${commentId}`).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+// A note's published comments, newest first (the newest `limit` when given)
+export async function listComments(noteId, limit) {
+  let query = db.ref(`comments/${noteId}`).orderByChild('created_at');
+  if (limit) {
+    query = query.limitToLast(limit);
+  }
+
+  const snapshot = await query.once('value');
+  const comments = snapshot.val() || {};
+  return Object.values(comments)
+    .filter(comment => !isPending(comment))
+    .sort((a, b) => b.created_at - a.created_at);
+}
+
+/**
+ * What clients see of a comment: reactions become counts plus the viewer's own,
+ * so reactors are not exposed.
+ */
+export function presentComment(comment, viewerId) {
+  const { reactions = {}, spam_score, ...rest } = comment;
+
+  const counts = {};
+  const mine = [];
+  for (const [reaction, users] of Object.entries(reactions)) {
+    const count = Object.keys(users || {}).length;
+    if (!count) continue;
+    counts[reaction] = count;
+    if (viewerId && users[viewerId]) mine.push(reaction);
+  }
+
+  return {
+    ...rest,
+    parent_comment_id: comment.parent_comment_id || null,
+    depth: comment.depth || 0,
+    edited: Boolean(comment.edited_at),
+    deleted: Boolean(comment.deleted_at),
+    reactions: counts,
+    my_reactions: mine
+  };
+}
+
+async function getCommentCount(noteId) {
+  const snapshot = await db.ref(`notes/${noteId}/comment_count`).once('value');
+  return snapshot.val() || 0;
+}
+
+// Add delta to a note's comment_count atomically (and bump updated_at); returns the new count
+async function adjustCommentCount(noteId, delta) {
+  const result = await db.ref(`notes/${noteId}/comment_count`).transaction(count =>
+    count === null ? null : Math.max(0, count + delta)
+  );
+  if (!result.snapshot.exists()) {
+    return 0;
+  }
+
+  await db.ref(`notes/${noteId}/updated_at`).set(Date.now());
+  const note = (await db.ref(`notes/${noteId}`).once('value')).val();
+  await syncNoteListing(note);
+
+  return result.snapshot.val();
+}
+
+// The user_comment_notes write for a comment or reaction; anonymous comments have no author to index
+function commentNoteEntry(userId, noteId) {
+  return userId && userId !== 'anonymous' ? { [`user_comment_notes/${userId}/${noteId}`]: true } : {};
+}
+
+/**
+ * Store a new comment (a reply when parent is given) and count it. A held comment goes to
+ * the note owner's moderation queue instead and is not counted until it is approved.
+ * Returns { comment, comment_count }.
+ */
+export async function saveComment(note, commentId, { user_id, name, text }, parent = null, hold = null) {
+  if (parent) {
+    if (parent.deleted_at) {
+      throw new Error('Cannot reply to a deleted comment');
+    }
+    if ((parent.depth || 0) + 1 >= MAX_THREAD_DEPTH) {
+      throw new Error('Replies cannot be nested any deeper');
+    }
+  }
+
+  const timestamp = Date.now();
+  const comment = {
+    comment_id: commentId,
+    note_id: note.note_id,
+    parent_comment_id: parent ? parent.comment_id : null,
+    depth: parent ? (parent.depth || 0) + 1 : 0,
+    user_id: user_id,
+    name: name,
+    text: text,
+    created_at: timestamp,
+    updated_at: timestamp
+  };
+
+  if (hold) {
+    comment.status = 'pending';
+    comment.spam_score = hold.spam_score;
+
+    await db.ref().update({
+      [`comments/${note.note_id}/${commentId}`]: comment,
+      ...commentNoteEntry(user_id, note.note_id),
+      [`comment_moderation/${note.user_id}/${commentId}`]: {
+        note_id: note.note_id,
+        comment_id: commentId,
+        created_at: timestamp,
+        spam_score: hold.spam_score,
+        reasons: hold.reasons
+      }
+    });
+    return { comment, comment_count: await getCommentCount(note.note_id) };
+  }
+
+  await db.ref().update({
+    [`comments/${note.note_id}/${commentId}`]: comment,
+    ...commentNoteEntry(user_id, note.note_id)
+  });
+  const commentCount = await adjustCommentCount(note.note_id, 1);
+
+  return { comment, comment_count: commentCount };
+}
+
+// Publish a held comment; returns the new comment_count
+export async function approveComment(note, comment) {
+  await db.ref().update({
+    [`comments/${note.note_id}/${comment.comment_id}/status`]: null,
+    [`comment_moderation/${note.user_id}/${comment.comment_id}`]: null
+  });
+  return await adjustCommentCount(note.note_id, 1);
+}
+
+// Comments waiting for an owner's approval, oldest first
+export async function listModerationQueue(ownerId) {
+  const snapshot = await db.ref(`comment_moderation/${ownerId}`).once('value');
+  const entries = snapshot.val() || {};
+  return Object.values(entries).sort((a, b) => a.created_at - b.created_at);
+}
+
+// Drop the queue entries of a note that is being purged
+export async function removeNoteModeration(noteId, ownerId) {
+  const snapshot = await db.ref(`comment_moderation/${ownerId}`).orderByChild('note_id').equalTo(noteId).once('value');
+  const updates = {};
+  for (const commentId of Object.keys(snapshot.val() || {})) {
+    updates[`comment_moderation/${ownerId}/${commentId}`] = null;
+  }
+  if (Object.keys(updates).length) {
+    await db.ref().update(updates);
+  }
+}
+
+export async function editComment(noteId, comment, text) {
+  const timestamp = Date.now();
+  const updates = { text: text, edited_at: timestamp, updated_at: timestamp };
+  await db.ref(`comments/${noteId}/${comment.comment_id}`).update(updates);
+  return { ...comment, ...updates };
+}
+
+/**
+ * Remove a comment without orphaning its replies: one that has replies becomes a
+ * tombstone, and tombstones left without replies are removed with it. Rejecting a held
+ * comment removes it the same way. Returns the new comment_count.
+ */
+export async function removeComment(noteId, comment) {
+  const snapshot = await db.ref(`comments/${noteId}`).once('value');
+  const all = snapshot.val() || {};
+  const hasReplies = (commentId, except) => Object.values(all).some(other =>
+    other.parent_comment_id === commentId && other.comment_id !== except
+  );
+
+  const updates = {};
+  const timestamp = Date.now();
+
+  if (isPending(comment)) {
+    // Held comments cannot have replies; they only leave the owner's queue
+    const ownerSnapshot = await db.ref(`notes/${noteId}/user_id`).once('value');
+    updates[`comment_moderation/${ownerSnapshot.val()}/${comment.comment_id}`] = null;
+  }
+
+  if (hasReplies(comment.comment_id)) {
+    if (comment.deleted_at) {
+      return await getCommentCount(noteId);
+    }
+    Object.assign(updates, {
+      [`comments/${noteId}/${comment.comment_id}/text`]: '',
+      [`comments/${noteId}/${comment.comment_id}/name`]: '',
+      [`comments/${noteId}/${comment.comment_id}/user_id`]: null,
+      [`comments/${noteId}/${comment.comment_id}/reactions`]: null,
+      [`comments/${noteId}/${comment.comment_id}/deleted_at`]: timestamp,
+      [`comments/${noteId}/${comment.comment_id}/updated_at`]: timestamp
+    });
+  } else {
+    updates[`comments/${noteId}/${comment.comment_id}`] = null;
+
+    // Walk up the thread dropping tombstones this removal leaves empty
+    let removedId = comment.comment_id;
+    let parent = all[comment.parent_comment_id];
+    while (parent && parent.deleted_at && !hasReplies(parent.comment_id, removedId)) {
+      updates[`comments/${noteId}/${parent.comment_id}`] = null;
+      removedId = parent.comment_id;
+      parent = all[parent.parent_comment_id];
+    }
+  }
+
+  await db.ref().update(updates);
+
+  // Tombstones and held comments were never counted
+  return comment.deleted_at || isPending(comment)
+    ? await getCommentCount(noteId)
+    : await adjustCommentCount(noteId, -1);
+}
+
+/**
+ * Toggle a user's reaction on a comment. Returns the comment as the user now sees it.
+ */
+export async function toggleReaction(noteId, commentId, reaction, userId) {
+  const result = await db.ref(`comments/${noteId}/${commentId}/reactions/${reaction}/${userId}`)
+    .transaction(current => current ? null : true);
+  if (result.snapshot.val()) {
+    await db.ref().update(commentNoteEntry(userId, noteId));
+  }
+
+  return presentComment(await getComment(noteId, commentId), userId);
+}
+
+/**
+ * Notes a user commented on or reacted to. The first call fills user_comment_notes from
+ * the comments written before it existed, reading all of them once.
+ */
+export async function listCommentedNotes(userId) {
+  const meta = await db.ref('comment_index_meta/version').once('value');
+  if (meta.val() !== COMMENT_INDEX_VERSION) {
+    await indexCommentAuthors();
+  }
+
+  const snapshot = await db.ref(`user_comment_notes/${userId}`).once('value');
+  return Object.keys(snapshot.val() || {});
+}
+
+async function indexCommentAuthors() {
+  const snapshot = await db.ref('comments').once('value');
+  const updates = {};
+
+  snapshot.forEach(noteComments => {
+    for (const comment of Object.values(noteComments.val() || {})) {
+      Object.assign(updates, commentNoteEntry(comment.user_id, noteComments.key));
+      for (const users of Object.values(comment.reactions || {})) {
+        for (const userId of Object.keys(users || {})) {
+          Object.assign(updates, commentNoteEntry(userId, noteComments.key));
+        }
+      }
+    }
+  });
+
+  updates.comment_index_meta = { version: COMMENT_INDEX_VERSION, indexed_at: Date.now() };
+  await db.ref().update(updates);
+}
+
+export async function removeUserCommentIndex(userId) {
+  await db.ref(`user_comment_notes/${userId}`).remove();
+}
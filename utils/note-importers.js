@@ -0,0 +1,498 @@
+// utils/note-importers.js - read notes out of other apps' exports
+//
+// evernote  .enex XML (one notebook per file), or a ZIP of them
+// keep      a Google Takeout ZIP (Takeout/Keep/*.json, or *.html in older exports), or one note's file
+// notion    a Notion "Markdown & CSV" export ZIP, or a single .md / .csv file
+//
+// Every importer returns items of { name, title, text, markdown, tags, created_at, updated_at, trashed }
+// or { name, error }, where name says which part of the upload the item came from. Checklists
+// become <ul data-checklist="true"> with <li data-checked> items, as in utils/markdown.js.
+import xml2js from 'xml2js';
+import { load } from 'cheerio';
+import { readZip, listZip } from "./zip.js";
+import { normalizeTag, MAX_TAGS_PER_NOTE } from "./note-tags.js";
+import { markdownToHtml, parseMarkdownFile } from "./markdown.js";
+
+export const IMPORT_SOURCES = ['evernote', 'keep', 'notion'];
+
+const ZIP_LIMITS = { maxEntries: 20000, maxBytes: 50 * 1024 * 1024 };
+const DROPPED_TAGS = 'script, style, iframe, object, embed, form, input, button, select, textarea, link, meta, svg, math, base';
+// Links may go to the web or to a mail address; images come from the web or from Talknote attachments
+const SAFE_HREF = /^(https?:|mailto:)/i;
+const SAFE_SRC = /^(https?:|\/api\/attachments\?)/i;
+const URL_ATTRIBUTES = ['srcset', 'action', 'formaction', 'poster', 'background', 'data', 'xlink:href'];
+
+export function isImportSource(source) {
+  return IMPORT_SOURCES.includes(source);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// "Project Ideas!" -> "project-ideas"; labels that leave nothing behind are dropped
+export function importTags(labels) {
+  const tags = (labels || [])
+    .map(label => normalizeTag(label).replace(/[^\p{L}\p{N}_-]+/gu, '').slice(0, 40))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS_PER_NOTE);
+}
+
+// A timestamp from another app, kept only when it is a sensible past moment
+function importTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value || '');
+  return Number.isFinite(time) && time > 0 && time <= Date.now() ? time : null;
+}
+
+// Plain text as paragraphs, single line breaks kept
+function textToHtml(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+function checklistHtml(items) {
+  const lines = items
+    .filter(item => item.text)
+    .map(item => `<li data-checked="${Boolean(item.checked)}">${escapeHtml(item.text)}</li>`);
+  return lines.length ? `<ul data-checklist="true">${lines.join('')}</ul>` : '';
+}
+
+// Imported HTML keeps its structure but loses scripts, embeds, inline styles, handlers and
+// links or images with any other URL scheme (javascript:, data:, relative paths into the export)
+function cleanHtml($) {
+  $(DROPPED_TAGS).remove();
+  $('*').each((i, el) => {
+    for (const name of Object.keys(el.attribs || {})) {
+      if (name.startsWith('on') || name === 'style' || name === 'class' || name === 'id' || URL_ATTRIBUTES.includes(name)) {
+        $(el).removeAttr(name);
+      }
+    }
+
+    const href = el.attribs?.href;
+    if (href !== undefined && !SAFE_HREF.test(href.trim())) {
+      $(el).removeAttr('href');
+    }
+    const src = el.attribs?.src;
+    if (src !== undefined && !SAFE_SRC.test(src.trim())) {
+      $(el).removeAttr('src');
+    }
+  });
+  $('img:not([src])').remove();
+}
+
+// Unpack a ZIP upload, opening ZIPs nested one level deep (Notion splits big exports that way).
+// The outer and inner archives share one ZIP_LIMITS budget.
+function unpackZip(buffer) {
+  const budget = { entries: 0, bytes: 0 };
+  const files = new Map();
+  for (const [name, data] of readZip(buffer, ZIP_LIMITS, budget)) {
+    if (/\.zip$/i.test(name) && isZip(data)) {
+      for (const [innerName, innerData] of readZip(data, ZIP_LIMITS, budget)) {
+        files.set(`${name.replace(/\.zip$/i, '')}/${innerName}`, innerData);
+      }
+    } else {
+      files.set(name, data);
+    }
+  }
+  return files;
+}
+
+// ==================== EVERNOTE ====================
+
+// 20200131T154500Z
+function enexTime(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? importTime(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])) : null;
+}
+
+/**
+ * ENML to note HTML. Both checklist styles become Talknote checklists: the older
+ * <div><en-todo checked="true"/>item</div> and the newer <ul style="--en-todo:true">.
+ * Attachments (en-media) and encrypted text (en-crypt) are left out and counted.
+ */
+export function enmlToHtml(enml) {
+  // ENML is XML: spell out its self-closing elements so the HTML parser does not nest what follows
+  const source = String(enml || '')
+    .replace(/<\?xml[^>]*\?>/, '')
+    .replace(/<!DOCTYPE[^>]*>/i, '')
+    .replace(/<(en-todo|en-media|en-crypt)\b([^>]*?)\/>/g, '<$1$2></$1>');
+  const $ = load(source, null, false);
+  const root = $('en-note').length ? $('en-note').first() : $.root();
+
+  const omitted = $('en-media').length + $('en-crypt').length;
+  $('en-media, en-crypt').remove();
+
+  root.find('ul').each((i, list) => {
+    if (/--en-todo:\s*true/.test($(list).attr('style') || '')) {
+      $(list).attr('data-checklist', 'true');
+      $(list).children('li').each((j, item) => {
+        $(item).attr('data-checked', String(/--en-checked:\s*true/.test($(item).attr('style') || '')));
+      });
+    }
+  });
+
+  // Each en-todo turns the block it starts into a checklist item
+  root.find('en-todo').each((i, todo) => {
+    const checked = todo.attribs.checked === 'true';   // attr() treats checked as a boolean
+    const block = $(todo).parent();
+
+    if (block.is('div, p') && !block.is(root) && block.find('en-todo').length === 1) {
+      $(todo).remove();
+      block.replaceWith($('<li></li>').attr('data-checked', String(checked)).html(block.html()));
+    } else {
+      $(todo).replaceWith(checked ? '☑ ' : '☐ ');
+    }
+  });
+
+  // Gather runs of loose checklist items into lists
+  root.find('li[data-checked]').each((i, item) => {
+    if ($(item).parent().is('ul, ol')) return;
+    const run = [item];
+    let next = item.next;
+    while (next && (next.type === 'text' && !next.data.trim() || $(next).is('li[data-checked]'))) {
+      if (next.type === 'tag') run.push(next);
+      next = next.next;
+    }
+    const list = $('<ul data-checklist="true"></ul>');
+    $(item).before(list);
+    list.append(run);
+  });
+
+  cleanHtml($);
+  return { html: root.html().trim(), omitted };
+}
+
+function enexItem(note, index, fileName) {
+  const name = `${fileName} #${index + 1}`;
+  const title = String(note.title?.[0] || '').trim();
+  const content = note.content?.[0];
+  if (typeof content !== 'string' && typeof content?._ !== 'string') {
+    return { name, error: 'Note has no content' };
+  }
+
+  const { html, omitted } = enmlToHtml(typeof content === 'string' ? content : content._);
+  return {
+    name,
+    title: title || 'Untitled Note',
+    text: html || '<p></p>',
+    tags: (note.tag || []).map(tag => typeof tag === 'string' ? tag : tag?._ || ''),
+    created_at: enexTime(note.created?.[0]),
+    updated_at: enexTime(note.updated?.[0]),
+    omitted_attachments: omitted
+  };
+}
+
+export async function parseEvernote(xml, fileName = 'export.enex') {
+  let parsed;
+  try {
+    parsed = await xml2js.parseStringPromise(xml, { strict: false, normalizeTags: true });
+  } catch {
+    return [{ name: fileName, error: 'Not a valid .enex file' }];
+  }
+
+  const notes = parsed?.['en-export']?.note;
+  if (!Array.isArray(notes)) {
+    return [{ name: fileName, error: 'Not a valid .enex file' }];
+  }
+  return notes.map((note, index) => enexItem(note, index, fileName));
+}
+
+// ==================== GOOGLE KEEP ====================
+
+function keepJsonItem(note, name) {
+  const checklist = Array.isArray(note.listContent)
+    ? checklistHtml(note.listContent.map(item => ({ text: item.text, checked: item.isChecked })))
+    : '';
+  const body = typeof note.textContentHtml === 'string' && note.textContentHtml.trim()
+    ? note.textContentHtml
+    : textToHtml(note.textContent);
+
+  let text = [body, checklist].filter(Boolean).join('\n');
+  if (text) {
+    const $ = load(text, null, false);
+    cleanHtml($);
+    text = $.html();
+  }
+
+  const usec = value => Number.isFinite(Number(value)) ? importTime(Math.floor(Number(value) / 1000)) : null;
+  return {
+    name,
+    title: String(note.title || '').trim() || 'Untitled Note',
+    text: text || '<p></p>',
+    tags: (note.labels || []).map(label => label?.name || ''),
+    created_at: usec(note.createdTimestampUsec),
+    updated_at: usec(note.userEditedTimestampUsec),
+    trashed: note.isTrashed === true
+  };
+}
+
+// Older Takeouts only have one HTML page per note
+function keepHtmlItem(html, name) {
+  const $ = load(html);
+  const content = $('.content').first();
+  if (!content.length && !$('.title').length) {
+    return { name, error: 'Not a Google Keep note' };
+  }
+
+  const item = {
+    name,
+    title: $('.title').first().text().trim() || 'Untitled Note',
+    tags: $('.label-name').toArray().map(label => $(label).text().trim()),
+    created_at: importTime($('.heading').first().text().trim()),
+    updated_at: null,
+    trashed: $('.trashed').length > 0
+  };
+
+  const checklist = checklistHtml(content.find('.listitem, .list-item').toArray().map(entry => ({
+    text: $(entry).find('.text').text().trim(),
+    checked: /☑|✓|✔/.test($(entry).find('.bullet').text()) || $(entry).find('input[checked]').length > 0
+  })));
+  content.find('.listitem, .list-item').remove();
+  cleanHtml($);
+
+  return { ...item, text: [content.html()?.trim(), checklist].filter(Boolean).join('\n') || '<p></p>' };
+}
+
+function keepFileItem(name, data) {
+  if (/\.json$/i.test(name)) {
+    try {
+      const note = JSON.parse(data.toString('utf8'));
+      if (note && typeof note === 'object' && ('textContent' in note || 'listContent' in note || 'title' in note)) {
+        return keepJsonItem(note, name);
+      }
+    } catch {
+      // reported below
+    }
+    return { name, error: 'Not a Google Keep note' };
+  }
+  return keepHtmlItem(data.toString('utf8'), name);
+}
+
+export function parseKeep(files) {
+  // A note exported as both .json and .html is read from the .json
+  const jsonNotes = new Set([...files.keys()]
+    .filter(name => /\.json$/i.test(name))
+    .map(name => name.replace(/\.json$/i, '')));
+
+  const items = [];
+  for (const [name, data] of files) {
+    const base = name.split('/').pop();
+    if (/\.json$/i.test(name) && !/^labels\.json$/i.test(base)) {
+      items.push(keepFileItem(name, data));
+    } else if (/\.html?$/i.test(name) && !jsonNotes.has(name.replace(/\.html?$/i, '')) && !/^index\.html?$/i.test(base)) {
+      items.push(keepFileItem(name, data));
+    }
+  }
+  return items;
+}
+
+// ==================== NOTION ====================
+
+// Notion appends a 32-character page id to every file and folder name
+function notionTitle(fileName) {
+  return fileName
+    .split('/').pop()
+    .replace(/\.[^.]+$/, '')
+    .replace(/\s+[0-9a-f]{32}$/i, '')
+    .replace(/_all$/, '')
+    .trim();
+}
+
+const NOTION_CREATED = ['created', 'created time', 'date created', 'created at'];
+const NOTION_UPDATED = ['last edited time', 'last edited', 'updated', 'updated at', 'last updated'];
+const NOTION_TAGS = ['tags', 'tag', 'labels', 'label', 'category', 'categories'];
+
+function notionProperty(properties, keys) {
+  const key = Object.keys(properties).find(name => keys.includes(name.toLowerCase()));
+  return key ? properties[key] : null;
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * A Notion page as Markdown: "# Title", then a block of "Property: value" lines
+ * (database pages), then the page. Returns { title, markdown, properties }.
+ */
+export function parseNotionPage(content, fileName) {
+  const { attributes, body } = parseMarkdownFile(content);
+  let markdown = body.replace(/^\s*\n/, '');
+  let title = '';
+
+  const heading = markdown.match(/^# +(.+?)(?: +#+)? *(?:\n|$)/);
+  if (heading) {
+    title = heading[1].trim();
+    markdown = markdown.slice(heading[0].length).replace(/^\s*\n/, '');
+  }
+
+  // Only a block naming a property Talknote understands, so a page opening with "Note: ..." stays whole
+  const properties = { ...attributes };
+  const block = markdown.match(/^((?:[^\n:#>*`|-][^\n:]{0,60}: [^\n]*\n?)+)(?:\n|$)/);
+  const found = block
+    ? Object.fromEntries(block[1].trim().split('\n').map(line => line.match(/^([^:]+): (.*)$/).slice(1).map(part => part.trim())))
+    : {};
+  if (notionProperty(found, [...NOTION_CREATED, ...NOTION_UPDATED, ...NOTION_TAGS]) !== null) {
+    Object.assign(properties, found);
+    markdown = markdown.slice(block[0].length).replace(/^\s*\n/, '');
+  }
+
+  return { title: title || notionTitle(fileName), markdown: markdown.replace(/\s+$/, ''), properties };
+}
+
+function notionItem(name, title, markdown, properties) {
+  const tags = notionProperty(properties, NOTION_TAGS);
+  return {
+    name,
+    title: title || 'Untitled',
+    markdown: markdown,
+    text: markdownToHtml(markdown) || '<p></p>',
+    tags: Array.isArray(tags) ? tags : splitList(tags),
+    created_at: importTime(notionProperty(properties, NOTION_CREATED)),
+    updated_at: importTime(notionProperty(properties, NOTION_UPDATED))
+  };
+}
+
+// RFC 4180 CSV (quoted fields, doubled quotes, line breaks inside quotes) into rows of cells
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function escapeTableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+// Database rows that have no page of their own become notes listing their properties
+function notionCsvItems(name, data, pageTitles) {
+  const [header, ...rows] = parseCsv(data.toString('utf8'));
+  if (!header) return [];
+
+  const items = [];
+  rows.forEach((cells, index) => {
+    const properties = Object.fromEntries(header.map((key, column) => [key.trim(), (cells[column] || '').trim()]));
+    const title = properties[header[0].trim()] || '';
+    if (title && pageTitles.has(title)) return;
+
+    const details = header.slice(1)
+      .map(key => [key.trim(), properties[key.trim()]])
+      .filter(([, value]) => value);
+    const markdown = details.length
+      ? ['| Property | Value |', '| --- | --- |', ...details.map(([key, value]) => `| ${escapeTableCell(key)} | ${escapeTableCell(value)} |`)].join('\n')
+      : '';
+
+    items.push(notionItem(`${name} row ${index + 1}`, title || `${notionTitle(name)} ${index + 1}`, markdown, properties));
+  });
+  return items;
+}
+
+export function parseNotion(files) {
+  const items = [];
+  const pageTitles = new Set();
+
+  for (const [name, data] of files) {
+    if (!/\.(md|markdown)$/i.test(name)) continue;
+    const page = parseNotionPage(data.toString('utf8'), name);
+    pageTitles.add(page.title);
+    items.push(notionItem(name, page.title, page.markdown, page.properties));
+  }
+
+  for (const [name, data] of files) {
+    // Newer exports add a "_all.csv" beside each database's csv holding the same rows
+    if (!/\.csv$/i.test(name)) continue;
+    if (!/_all\.csv$/i.test(name) && files.has(name.replace(/\.csv$/i, '_all.csv'))) continue;
+    items.push(...notionCsvItems(name, data, pageTitles));
+  }
+  return items;
+}
+
+// ==================== DETECTION ====================
+
+// Which app an upload came from, from its name and contents; null when unknown
+export function detectImportSource(fileName, buffer) {
+  const name = String(fileName || '').toLowerCase();
+
+  if (isZip(buffer)) {
+    const names = listZip(buffer).map(entry => entry.toLowerCase());
+    if (names.some(entry => entry.endsWith('.enex'))) return 'evernote';
+    if (names.some(entry => /(^|\/)keep\//.test(entry))) return 'keep';
+    if (names.some(entry => /\.(md|csv|zip)$/.test(entry))) return 'notion';
+    return null;
+  }
+
+  const head = buffer.subarray(0, 2048).toString('utf8');
+  if (name.endsWith('.enex') || head.includes('<en-export')) return 'evernote';
+  if (name.endsWith('.json') || /\.html?$/.test(name)) return 'keep';
+  if (/\.(md|markdown|csv)$/.test(name)) return 'notion';
+  return null;
+}
+
+/**
+ * Read an uploaded export into note items. buffer is one file: an .enex, a Keep
+ * .json/.html, a Notion .md/.csv, or a ZIP of any of these.
+ */
+export async function readImport(source, fileName, buffer) {
+  const files = isZip(buffer) ? unpackZip(buffer) : new Map([[fileName, buffer]]);
+
+  if (source === 'evernote') {
+    const items = [];
+    for (const [name, data] of files) {
+      if (/\.enex$/i.test(name) || files.size === 1) {
+        items.push(...await parseEvernote(data.toString('utf8'), name));
+      }
+    }
+    return items;
+  }
+  if (source === 'keep') {
+    return parseKeep(files);
+  }
+  return parseNotion(files);
+}
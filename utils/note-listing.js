@@ -0,0 +1,183 @@
+// utils/note-listing.js - sortable listing indexes for paging through notes
+//
+// user_notes/<user_id>/<note_id> = { updated_at, created_at, title_key, comment_count, public, notebook_id }
+// public_notes/<note_id>         = { user_id, updated_at, created_at, title_key, comment_count }
+// user_trash/<user_id>/<note_id> = { deleted_at }
+//
+// Pages are ordered index queries, so a page costs the same however many notes exist.
+// Trashed notes are only in user_trash.
+import { db } from "./firebase.js";
+
+const LISTING_VERSION = 2;   // 2: user_trash
+
+export const NOTE_PAGE_DEFAULT = 30;
+export const NOTE_PAGE_MAX = 100;
+
+// Public sort names -> index child, with the direction used when none is given
+export const NOTE_SORTS = {
+  updated_at: { child: 'updated_at', order: 'desc' },
+  created_at: { child: 'created_at', order: 'desc' },
+  title: { child: 'title_key', order: 'asc' },
+  comment_count: { child: 'comment_count', order: 'desc' }
+};
+
+// Sort fields of a note as stored in the indexes
+export function listingEntry(note) {
+  return {
+    updated_at: note.updated_at || 0,
+    created_at: note.created_at || 0,
+    title_key: String(note.title || '').toLowerCase().substring(0, 100),
+    comment_count: note.comment_count || 0
+  };
+}
+
+// Queue the index writes that bring a note's listing entries up to date
+export function addListingUpdates(updates, note) {
+  const listed = !note.deleted_at;
+  const entry = listingEntry(note);
+
+  updates[`user_notes/${note.user_id}/${note.note_id}`] = listed
+    ? { ...entry, public: note.public === true, notebook_id: note.notebook_id || null }
+    : null;
+  updates[`public_notes/${note.note_id}`] = listed && note.public === true
+    ? { ...entry, user_id: note.user_id }
+    : null;
+  updates[`user_trash/${note.user_id}/${note.note_id}`] = listed
+    ? null
+    : { deleted_at: note.deleted_at };
+
+  return updates;
+}
+
+export async function syncNoteListing(note) {
+  await db.ref().update(addListingUpdates({}, note));
+}
+
+export async function removeNoteListing(noteId, userId) {
+  await db.ref().update({
+    [`user_notes/${userId}/${noteId}`]: null,
+    [`public_notes/${noteId}`]: null,
+    [`user_trash/${userId}/${noteId}`]: null
+  });
+}
+
+// Notes written before the listing index existed are listed once per owner
+export async function isUserListed(userId) {
+  const snapshot = await db.ref(`listing_meta/${userId}/version`).once('value');
+  return snapshot.val() === LISTING_VERSION;
+}
+
+export async function listUserNotes(userId, notes) {
+  const updates = {};
+  notes.forEach(note => addListingUpdates(updates, note));
+  updates[`listing_meta/${userId}`] = { version: LISTING_VERSION, listed_at: Date.now() };
+  await db.ref().update(updates);
+}
+
+export async function removeUserListing(userId) {
+  await db.ref(`user_notes/${userId}`).remove();
+  await db.ref(`user_trash/${userId}`).remove();
+  await db.ref(`listing_meta/${userId}`).remove();
+}
+
+// Every listing entry of a user, keyed by note_id (small; used for filtered views and totals)
+export async function getUserListing(userId) {
+  const snapshot = await db.ref(`user_notes/${userId}`).once('value');
+  return snapshot.val() || {};
+}
+
+// note_id -> deleted_at of a user's trashed notes
+export async function getUserTrash(userId) {
+  const snapshot = await db.ref(`user_trash/${userId}`).once('value');
+  return Object.fromEntries(Object.entries(snapshot.val() || {}).map(([noteId, entry]) => [noteId, entry.deleted_at]));
+}
+
+// Cursors carry the sort and the last entry's (value, key) so the next page starts right after it
+export function encodeCursor(sort, value, key) {
+  return Buffer.from(JSON.stringify([sort, value, key])).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort) {
+  try {
+    const [cursorSort, value, key] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (cursorSort !== sort || typeof key !== 'string') return null;
+    return { value, key };
+  } catch {
+    return null;
+  }
+}
+
+// Database order for index values: numbers before strings, then by key
+function compareEntries(child) {
+  return (a, b) => {
+    const av = a.entry[child];
+    const bv = b.entry[child];
+    if (av !== bv) {
+      if (typeof av !== typeof bv) return typeof av === 'number' ? -1 : 1;
+      return av < bv ? -1 : 1;
+    }
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  };
+}
+
+// Slice one page out of ascending [{ key, entry }]; skipKey drops the cursor entry when it leads
+function takePage(ascending, { sort, order, limit, skipKey = null }) {
+  const { child } = NOTE_SORTS[sort];
+  const ordered = order === 'desc' ? [...ascending].reverse() : ascending;
+  const start = ordered.length && ordered[0].key === skipKey ? 1 : 0;
+
+  const page = ordered.slice(start, start + limit);
+  const hasMore = start + limit < ordered.length;
+  const last = page[page.length - 1];
+
+  return {
+    keys: page.map(item => item.key),
+    nextCursor: hasMore && last ? encodeCursor(sort, last.entry[child], last.key) : null
+  };
+}
+
+/**
+ * One page of note ids from an index node (user_notes/<user_id> or public_notes).
+ * Returns { keys, nextCursor }; nextCursor is null on the last page.
+ */
+export async function pageListing(path, { sort, order, limit, cursor }) {
+  const { child } = NOTE_SORTS[sort];
+  let query = db.ref(path).orderByChild(child);
+
+  // The cursor entry itself comes back too (bounds are inclusive), plus one more to see if a page follows
+  if (order === 'desc') {
+    if (cursor) query = query.endAt(cursor.value, cursor.key);
+    query = query.limitToLast(limit + 2);
+  } else {
+    if (cursor) query = query.startAt(cursor.value, cursor.key);
+    query = query.limitToFirst(limit + 2);
+  }
+
+  const snapshot = await query.once('value');
+  const ascending = [];
+  snapshot.forEach(child => {
+    ascending.push({ key: child.key, entry: child.val() });
+  });
+
+  return takePage(ascending, { sort, order, limit, skipKey: cursor?.key });
+}
+
+// The same paging over entries already in memory (filtered views)
+export function pageEntries(entries, { sort, order, limit, cursor }) {
+  const { child } = NOTE_SORTS[sort];
+  const ascending = Object.entries(entries)
+    .map(([key, entry]) => ({ key, entry }))
+    .sort(compareEntries(child));
+
+  if (cursor) {
+    // Start after the cursor position even if that note has left the list since
+    const compare = compareEntries(child);
+    const marker = { key: cursor.key, entry: { [child]: cursor.value } };
+    const remaining = order === 'desc'
+      ? ascending.filter(item => compare(item, marker) < 0)
+      : ascending.filter(item => compare(item, marker) > 0);
+    return takePage(remaining, { sort, order, limit });
+  }
+
+  return takePage(ascending, { sort, order, limit });
+}
@@ -0,0 +1,75 @@
+// utils/note-revisions.js - saved versions of a note under note_revisions/<note_id>
+import { db } from "./firebase.js";
+
+export const MAX_REVISIONS_PER_NOTE = 50;
+
+function revisionsRef(noteId) {
+  return db.ref(`note_revisions/${noteId}`);
+}
+
+// Revisions in order, oldest first (push keys sort chronologically)
+async function readRevisions(noteId) {
+  const snapshot = await revisionsRef(noteId).orderByKey().once('value');
+  const revisions = snapshot.val() || {};
+  return Object.keys(revisions).sort().map(key => ({ revision_id: key, ...revisions[key] }));
+}
+
+/**
+ * Save the current state of a note as a revision. Nothing is written when the
+ * content matches the latest revision (auto-save sends unchanged notes).
+ * Only the newest MAX_REVISIONS_PER_NOTE are kept.
+ */
+export async function recordRevision(note, { reason = 'update', userId = note.user_id, restoredFrom = null } = {}) {
+  const latestSnapshot = await revisionsRef(note.note_id).orderByKey().limitToLast(1).once('value');
+  const latest = latestSnapshot.exists() ? Object.values(latestSnapshot.val())[0] : null;
+  if (latest && reason !== 'restore' &&
+      latest.title === (note.title || '') &&
+      latest.text === (note.text || '') &&
+      latest.public === Boolean(note.public)) {
+    return null;
+  }
+
+  const revision = {
+    title: note.title || '',
+    text: note.text || '',
+    public: Boolean(note.public),
+    user_id: userId,
+    reason,
+    created_at: Date.now(),
+    ...(restoredFrom ? { restored_from: restoredFrom } : {})
+  };
+
+  const ref = await revisionsRef(note.note_id).push(revision);
+
+  const keysSnapshot = await revisionsRef(note.note_id).orderByKey().once('value');
+  const keys = Object.keys(keysSnapshot.val() || {}).sort();
+  if (keys.length > MAX_REVISIONS_PER_NOTE) {
+    const stale = keys.slice(0, keys.length - MAX_REVISIONS_PER_NOTE);
+    await Promise.all(stale.map(key => revisionsRef(note.note_id).child(key).remove()));
+  }
+
+  return { revision_id: ref.key, ...revision };
+}
+
+// Newest first, without the (possibly large) text
+export async function listRevisions(noteId) {
+  const revisions = await readRevisions(noteId);
+  return revisions.reverse().map(({ text, ...meta }) => ({
+    ...meta,
+    length: text.length
+  }));
+}
+
+export async function getRevision(noteId, revisionId) {
+  const snapshot = await revisionsRef(noteId).child(revisionId).once('value');
+  return snapshot.exists() ? { revision_id: revisionId, ...snapshot.val() } : null;
+}
+
+export async function hasRevisions(noteId) {
+  const snapshot = await revisionsRef(noteId).orderByKey().limitToFirst(1).once('value');
+  return snapshot.exists();
+}
+
+export async function removeRevisions(noteId) {
+  await revisionsRef(noteId).remove();
+}
@@ -0,0 +1,120 @@
+// utils/note-shares.js - per-note access list
+//
+// note_shares/<note_id>/<user_id> = { role, granted_by, created_at, updated_at }
+// shared_with/<user_id>/<note_id> = { role, owner_id, shared_at }   (for "Shared with me")
+//
+// Both are keyed by the public user_id, so a user who changes theirs has their entries moved in
+// the same update (addShareRenameUpdates); nothing stays behind for whoever takes the old id.
+//
+// Roles build on each other: a commenter can also view, an editor can also comment.
+// Editors change the title and text and join live editing sessions; everything else stays with
+// the owner. The two nodes are always written together.
+import { db } from "./firebase.js";
+
+export const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+export const MAX_SHARES_PER_NOTE = 50;
+
+export function isShareRole(role) {
+  return SHARE_ROLES.includes(role);
+}
+
+// Every share of a note, keyed by user_id
+export async function getNoteShares(noteId) {
+  const snapshot = await db.ref(`note_shares/${noteId}`).once('value');
+  return snapshot.val() || {};
+}
+
+export async function getShare(noteId, userId) {
+  const snapshot = await db.ref(`note_shares/${noteId}/${userId}`).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+// Grant or change a user's role on a note
+export async function saveShare(note, userId, role, grantedBy) {
+  const existing = await getShare(note.note_id, userId);
+  const timestamp = Date.now();
+
+  const share = {
+    role: role,
+    granted_by: existing?.granted_by || grantedBy,
+    created_at: existing?.created_at || timestamp,
+    updated_at: timestamp
+  };
+
+  await db.ref().update({
+    [`note_shares/${note.note_id}/${userId}`]: share,
+    [`shared_with/${userId}/${note.note_id}`]: {
+      role: role,
+      owner_id: note.user_id,
+      shared_at: share.created_at
+    }
+  });
+
+  return share;
+}
+
+export async function revokeShare(noteId, userId) {
+  await db.ref().update({
+    [`note_shares/${noteId}/${userId}`]: null,
+    [`shared_with/${userId}/${noteId}`]: null,
+    [`collab/${noteId}/presence/${userId}`]: null
+  });
+}
+
+// Notes shared with a user, keyed by note_id
+export async function getSharedWith(userId) {
+  const snapshot = await db.ref(`shared_with/${userId}`).once('value');
+  return snapshot.val() || {};
+}
+
+// Drop every share of a note (the note is being purged)
+export async function removeNoteShares(noteId) {
+  const shares = await getNoteShares(noteId);
+  const updates = { [`note_shares/${noteId}`]: null };
+  for (const userId of Object.keys(shares)) {
+    updates[`shared_with/${userId}/${noteId}`] = null;
+  }
+  await db.ref().update(updates);
+}
+
+// Drop the shares a user received (their account is being deleted)
+export async function removeUserShares(userId) {
+  const sharedWith = await getSharedWith(userId);
+  const updates = { [`shared_with/${userId}`]: null };
+  for (const noteId of Object.keys(sharedWith)) {
+    updates[`note_shares/${noteId}/${userId}`] = null;
+  }
+  await db.ref().update(updates);
+}
+
+/**
+ * Queue the writes that move the shares a user received from oldUserId to newUserId, and
+ * name them as owner and granter on the shares of their own notes (ownedNoteIds).
+ * Goes into the same update as the rename itself.
+ */
+export async function addShareRenameUpdates(updates, oldUserId, newUserId, ownedNoteIds = []) {
+  const sharedWith = await getSharedWith(oldUserId);
+
+  await Promise.all(Object.entries(sharedWith).map(async ([noteId, entry]) => {
+    const share = await getShare(noteId, oldUserId);
+    updates[`shared_with/${oldUserId}/${noteId}`] = null;
+    updates[`note_shares/${noteId}/${oldUserId}`] = null;
+    updates[`collab/${noteId}/presence/${oldUserId}`] = null;
+    if (share) {
+      updates[`shared_with/${newUserId}/${noteId}`] = entry;
+      updates[`note_shares/${noteId}/${newUserId}`] = share;
+    }
+  }));
+
+  await Promise.all(ownedNoteIds.map(async noteId => {
+    updates[`collab/${noteId}/presence/${oldUserId}`] = null;
+    for (const [userId, share] of Object.entries(await getNoteShares(noteId))) {
+      updates[`shared_with/${userId}/${noteId}/owner_id`] = newUserId;
+      if (share.granted_by === oldUserId) {
+        updates[`note_shares/${noteId}/${userId}/granted_by`] = newUserId;
+      }
+    }
+  }));
+
+  return updates;
+}
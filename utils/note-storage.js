@@ -0,0 +1,110 @@
+// utils/note-storage.js - note storage helpers shared by api/notes.js, account cleanup and data archives
+import { v4 as uuidv4 } from 'uuid';
+import { db } from "./firebase.js";
+import { recordRevision, removeRevisions } from "./note-revisions.js";
+import { indexNote, unindexNote } from "./search-index.js";
+import { syncNoteListing, removeNoteListing, isUserListed, listUserNotes } from "./note-listing.js";
+import { syncTagIndex } from "./note-tags.js";
+import { removeNoteShares } from "./note-shares.js";
+import { removeNoteShareLinks } from "./share-links.js";
+import { removeNoteModeration } from "./note-comments.js";
+import { removeNoteAttachments } from "./attachments.js";
+import { indexNoteTasks, unindexNoteTasks } from "./note-tasks.js";
+
+export const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // trashed notes are purged after 30 days
+
+/**
+ * Create a note with its first revision and index entries. Restored notes may bring their
+ * own created_at/updated_at, comment_policy and deleted_at (they then go straight to the trash).
+ */
+export async function createNote(userId, noteData) {
+  const noteId = uuidv4();
+  const timestamp = Date.now();
+
+  const note = {
+    note_id: noteId,
+    user_id: userId,
+    title: noteData.title || '',
+    text: noteData.text || '',
+    public: noteData.public !== undefined ? Boolean(noteData.public) : false,
+    tags: noteData.tags || [],
+    notebook_id: noteData.notebook_id || null,
+    created_at: noteData.created_at || timestamp,
+    updated_at: noteData.updated_at || timestamp,
+    comment_count: 0
+  };
+
+  // Markdown notes keep their source next to the rendered text
+  if (typeof noteData.markdown === 'string') {
+    note.markdown = noteData.markdown;
+  }
+  if (noteData.comment_policy) {
+    note.comment_policy = noteData.comment_policy;
+  }
+  if (noteData.deleted_at) {
+    note.deleted_at = noteData.deleted_at;
+  }
+
+  await db.ref(`notes/${noteId}`).set(note);
+  await recordRevision(note, { reason: 'create' });
+  await syncTagIndex(userId, noteId, [], note.deleted_at ? [] : note.tags);
+  await syncNoteListing(note);
+  await indexNote(note);
+  await indexNoteTasks(note);
+  return note;
+}
+
+// Permanently remove a note and everything stored alongside it
+export async function purgeNote(noteId) {
+  const ownerSnapshot = await db.ref(`notes/${noteId}/user_id`).once('value');
+  if (ownerSnapshot.exists()) {
+    await removeNoteListing(noteId, ownerSnapshot.val());
+    await removeNoteModeration(noteId, ownerSnapshot.val());
+    await unindexNoteTasks(ownerSnapshot.val(), noteId);
+  }
+
+  await db.ref(`notes/${noteId}`).remove();
+  await db.ref(`comments/${noteId}`).remove();
+  await db.ref(`collab/${noteId}`).remove();
+  await removeRevisions(noteId);
+  await removeNoteShares(noteId);
+  await removeNoteShareLinks(noteId);
+  await removeNoteAttachments(noteId);
+  await unindexNote(noteId);
+}
+
+// Every note owned by a user (public user_id), keyed by note_id
+export async function getNotesByOwner(userId) {
+  const snapshot = await db.ref('notes').orderByChild('user_id').equalTo(userId).once('value');
+  return snapshot.val() || {};
+}
+
+// Notes written before the listing index existed (or this version of it) get listed on their owner's first visit
+export async function ensureUserListed(userId) {
+  if (!(await isUserListed(userId))) {
+    await listUserNotes(userId, Object.values(await getNotesByOwner(userId)));
+  }
+}
+
+// A note by id, trashed ones included; null when it does not exist
+export async function getNoteById(noteId) {
+  const snapshot = await db.ref(`notes/${noteId}`).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+// Purge notes that have been in the trash longer than TRASH_RETENTION_MS; returns how many
+export async function purgeExpiredTrash(now = Date.now()) {
+  const snapshot = await db.ref('notes')
+    .orderByChild('deleted_at')
+    .startAt(1)
+    .endAt(now - TRASH_RETENTION_MS)
+    .once('value');
+
+  if (!snapshot.exists()) {
+    return 0;
+  }
+
+  const noteIds = Object.keys(snapshot.val());
+  await Promise.all(noteIds.map(noteId => purgeNote(noteId)));
+  return noteIds.length;
+}
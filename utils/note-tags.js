@@ -0,0 +1,113 @@
+// utils/note-tags.js - note tags and their index
+//
+// Notes keep their tags in `tags` (array of normalized names).
+// tag_index/<user_id>/<tag>/<note_id> = true lists the notes of a tag; trashed notes are left out.
+import { db } from "./firebase.js";
+
+export const MAX_TAGS_PER_NOTE = 20;
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,40}$/u;
+
+// "Project Ideas " -> "project-ideas"
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Validate a client-supplied tag list; returns { tags } or { error }
+export function parseTags(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Tags must be an array of strings' };
+  }
+
+  const tags = [...new Set(input.map(normalizeTag).filter(Boolean))];
+  const invalid = tags.find(tag => !TAG_PATTERN.test(tag));
+
+  if (invalid) {
+    return { error: `Invalid tag "${invalid}": use up to 40 letters, numbers, dashes or underscores` };
+  }
+  if (tags.length > MAX_TAGS_PER_NOTE) {
+    return { error: `A note can have at most ${MAX_TAGS_PER_NOTE} tags` };
+  }
+
+  return { tags };
+}
+
+// Validate a single tag name (rename/merge targets); returns the normalized name or null
+export function parseTag(input) {
+  if (typeof input !== 'string') return null;
+  const tag = normalizeTag(input);
+  return TAG_PATTERN.test(tag) ? tag : null;
+}
+
+// Tags of a note as stored (older notes have none)
+export function getNoteTags(note) {
+  return Array.isArray(note?.tags) ? note.tags : [];
+}
+
+// Queue index changes for a note whose tags went from oldTags to newTags
+export function addTagIndexUpdates(updates, userId, noteId, oldTags, newTags) {
+  for (const tag of oldTags) {
+    updates[`tag_index/${userId}/${tag}/${noteId}`] = null;
+  }
+  for (const tag of newTags) {
+    updates[`tag_index/${userId}/${tag}/${noteId}`] = true;
+  }
+  return updates;
+}
+
+export async function syncTagIndex(userId, noteId, oldTags = [], newTags = []) {
+  const updates = addTagIndexUpdates({}, userId, noteId, oldTags, newTags);
+  if (Object.keys(updates).length) {
+    await db.ref().update(updates);
+  }
+}
+
+// Note ids carrying a tag
+export async function getTaggedNoteIds(userId, tag) {
+  const snapshot = await db.ref(`tag_index/${userId}/${tag}`).once('value');
+  return Object.keys(snapshot.val() || {});
+}
+
+// A user's tags with how many notes carry them, alphabetically
+export async function listTags(userId) {
+  const snapshot = await db.ref(`tag_index/${userId}`).once('value');
+  const index = snapshot.val() || {};
+
+  return Object.entries(index)
+    .map(([tag, notes]) => ({ tag, count: Object.keys(notes).length }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Replace the source tags with `target` on every note of the user, trashed ones included.
+ * Renaming is merging a single tag into a new name. Returns the number of notes changed.
+ */
+export async function mergeTags(userId, sources, target, ownerNotes) {
+  const sourceSet = new Set(sources.filter(tag => tag !== target));
+  if (!sourceSet.size) return 0;
+
+  const updates = {};
+  let changed = 0;
+
+  for (const note of Object.values(ownerNotes)) {
+    const oldTags = getNoteTags(note);
+    if (!oldTags.some(tag => sourceSet.has(tag))) continue;
+
+    const newTags = [...new Set(oldTags.map(tag => (sourceSet.has(tag) ? target : tag)))];
+    updates[`notes/${note.note_id}/tags`] = newTags;
+
+    // Trashed notes are not in the index; they get the new name when restored
+    if (!note.deleted_at) {
+      addTagIndexUpdates(updates, userId, note.note_id, oldTags, newTags);
+    }
+    changed++;
+  }
+
+  if (changed) {
+    await db.ref().update(updates);
+  }
+  return changed;
+}
+
+export async function removeUserTags(userId) {
+  await db.ref(`tag_index/${userId}`).remove();
+}
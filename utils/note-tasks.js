@@ -0,0 +1,108 @@
+// utils/note-tasks.js - checklist items of notes as tasks, and their index
+//
+// A task is an item of a note checklist, as utils/checklists.js parses it.
+//
+// note_tasks/<user_id>/<note_id> = { title, updated_at, tasks: [{ index, text, checked, due, assignee }] }
+// task_meta/<user_id>            = { version, indexed_at }
+//
+// `index` is the item's position among the note's checklist items, which is how a task is
+// addressed when it is ticked. Trashed notes are left out of the index.
+import { db } from "./firebase.js";
+import { parseTasks } from "./checklists.js";
+
+const TASK_INDEX_VERSION = 1;
+export const TASK_FILTERS = ['open', 'overdue', 'week'];
+const WEEK_DAYS = 7;
+
+// Today's date (YYYY-MM-DD) in a time zone; UTC when none is set or it is unknown
+export function todayIn(timezone, now = Date.now()) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(now);
+  } catch (error) {
+    return new Date(now).toISOString().slice(0, 10);
+  }
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// Queue the index writes for a note's tasks
+export function addTaskIndexUpdates(updates, note) {
+  const tasks = note.deleted_at ? [] : parseTasks(note.text);
+
+  updates[`note_tasks/${note.user_id}/${note.note_id}`] = tasks.length
+    ? { title: note.title || '', updated_at: note.updated_at || 0, tasks }
+    : null;
+  return updates;
+}
+
+// (Re)index a note's tasks after it was created or changed
+export async function indexNoteTasks(note) {
+  await db.ref().update(addTaskIndexUpdates({}, note));
+}
+
+export async function unindexNoteTasks(userId, noteId) {
+  await db.ref(`note_tasks/${userId}/${noteId}`).remove();
+}
+
+// Notes written before tasks existed are indexed once per owner
+export async function isUserTaskIndexed(userId) {
+  const snapshot = await db.ref(`task_meta/${userId}/version`).once('value');
+  return snapshot.val() === TASK_INDEX_VERSION;
+}
+
+export async function indexUserTasks(userId, notes) {
+  const updates = {};
+  notes.forEach(note => addTaskIndexUpdates(updates, note));
+  updates[`task_meta/${userId}`] = { version: TASK_INDEX_VERSION, indexed_at: Date.now() };
+  await db.ref().update(updates);
+}
+
+export async function removeUserTasks(userId) {
+  await db.ref(`note_tasks/${userId}`).remove();
+  await db.ref(`task_meta/${userId}`).remove();
+}
+
+/**
+ * Open tasks across a user's notes. filter: 'open' (all of them), 'overdue' (due before
+ * today) or 'week' (due today or in the next six days); `today` is the user's date.
+ * Dated tasks come first, soonest first, then the most recently edited notes.
+ */
+export async function listOpenTasks(userId, { filter = 'open', today }) {
+  const snapshot = await db.ref(`note_tasks/${userId}`).once('value');
+  const weekEnd = addDays(today, WEEK_DAYS - 1);
+  const tasks = [];
+
+  for (const [noteId, entry] of Object.entries(snapshot.val() || {})) {
+    for (const task of Object.values(entry.tasks || {})) {
+      if (task.checked) continue;
+
+      const due = task.due || null;
+      const overdue = Boolean(due && due < today);
+      if (filter === 'overdue' && !overdue) continue;
+      if (filter === 'week' && !(due && due >= today && due <= weekEnd)) continue;
+
+      tasks.push({
+        note_id: noteId,
+        note_title: entry.title || '',
+        note_updated_at: entry.updated_at || 0,
+        index: task.index,
+        text: task.text || '',
+        checked: false,
+        due: due,
+        assignee: task.assignee || null,
+        overdue: overdue
+      });
+    }
+  }
+
+  return tasks.sort((a, b) =>
+    (a.due ? 0 : 1) - (b.due ? 0 : 1) ||
+    (a.due && b.due ? a.due.localeCompare(b.due) : 0) ||
+    b.note_updated_at - a.note_updated_at ||
+    a.index - b.index
+  );
+}
@@ -0,0 +1,110 @@
+// utils/notebooks.js - nested notebooks (folders) for notes
+//
+// notebooks/<notebook_id> = { notebook_id, user_id, name, parent_id, created_at, updated_at }
+// parent_id is null for top-level notebooks. Notes point at their notebook through `notebook_id`.
+import { db } from "./firebase.js";
+
+export const MAX_NOTEBOOK_NAME_LENGTH = 100;
+export const MAX_NOTEBOOK_DEPTH = 8;
+
+export async function getNotebook(notebookId) {
+  const snapshot = await db.ref(`notebooks/${notebookId}`).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+// Get a notebook the user owns (throws like the note helpers)
+export async function getOwnedNotebook(notebookId, userId) {
+  const notebook = await getNotebook(notebookId);
+  if (!notebook) {
+    throw new Error('Notebook not found');
+  }
+
+  if (notebook.user_id !== userId) {
+    throw new Error('Unauthorized: You do not own this notebook');
+  }
+
+  return notebook;
+}
+
+// Every notebook of a user, keyed by notebook_id
+export async function getUserNotebooks(userId) {
+  const snapshot = await db.ref('notebooks').orderByChild('user_id').equalTo(userId).once('value');
+  return snapshot.val() || {};
+}
+
+// Ids of a notebook and everything nested below it
+export function collectNotebookTree(notebooks, notebookId) {
+  const ids = new Set([notebookId]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const notebook of Object.values(notebooks)) {
+      if (notebook.parent_id && ids.has(notebook.parent_id) && !ids.has(notebook.notebook_id)) {
+        ids.add(notebook.notebook_id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+}
+
+// How many levels deep a notebook sits (top level = 1)
+export function notebookDepth(notebooks, notebookId) {
+  let depth = 0;
+  let current = notebooks[notebookId];
+  while (current && depth <= MAX_NOTEBOOK_DEPTH) {
+    depth++;
+    current = current.parent_id ? notebooks[current.parent_id] : null;
+  }
+  return depth;
+}
+
+// Levels of nesting below a notebook, 0 when it has no children
+function subtreeHeight(notebooks, notebookId) {
+  const children = Object.values(notebooks).filter(notebook => notebook.parent_id === notebookId);
+  return children.length
+    ? 1 + Math.max(...children.map(child => subtreeHeight(notebooks, child.notebook_id)))
+    : 0;
+}
+
+// Validate a notebook name; returns the trimmed name or null
+export function parseNotebookName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= MAX_NOTEBOOK_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Check that `notebookId` (null for a new notebook) may live under `parentId`.
+ * Throws when the parent is missing, foreign, inside the notebook itself or too deep.
+ */
+export function checkNotebookParent(notebooks, notebookId, parentId) {
+  if (!parentId) return;
+
+  const parent = notebooks[parentId];
+  if (!parent) {
+    throw new Error('Parent notebook not found');
+  }
+
+  if (notebookId && collectNotebookTree(notebooks, notebookId).has(parentId)) {
+    throw new Error('A notebook cannot be moved inside itself');
+  }
+
+  const height = notebookId ? subtreeHeight(notebooks, notebookId) : 0;
+  if (notebookDepth(notebooks, parentId) + 1 + height > MAX_NOTEBOOK_DEPTH) {
+    throw new Error(`Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`);
+  }
+}
+
+export async function removeUserNotebooks(userId) {
+  const notebooks = await getUserNotebooks(userId);
+  const updates = {};
+  for (const notebookId of Object.keys(notebooks)) {
+    updates[`notebooks/${notebookId}`] = null;
+  }
+  if (Object.keys(updates).length) {
+    await db.ref().update(updates);
+  }
+}
@@ -0,0 +1,132 @@
+// utils/profile.js - the user-editable profile stored on users/<uid>
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_AVATAR_URL_LENGTH = 500;
+const MAX_BIO_LENGTH = 500;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const NOTE_VISIBILITIES = ['private', 'public'];
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Each field: normalize(value) -> stored value, or throws a message for the 400
+const PROFILE_SCHEMA = {
+  display_name(value) {
+    const name = String(value).trim();
+    if (name.length > MAX_DISPLAY_NAME_LENGTH) {
+      throw new Error(`display_name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+    }
+    return name;
+  },
+  avatar_url(value) {
+    const url = String(value).trim();
+    if (url && (url.length > MAX_AVATAR_URL_LENGTH || !isValidHttpUrl(url))) {
+      throw new Error('avatar_url must be an http(s) URL');
+    }
+    // Store the parsed form so quotes and spaces arrive percent-encoded
+    return url ? new URL(url).href : '';
+  },
+  bio(value) {
+    const bio = String(value).trim();
+    if (bio.length > MAX_BIO_LENGTH) {
+      throw new Error(`bio must be at most ${MAX_BIO_LENGTH} characters`);
+    }
+    return bio;
+  },
+  locale(value) {
+    const locale = String(value).trim();
+    if (locale && !LOCALE_PATTERN.test(locale)) {
+      throw new Error('locale must be a language tag such as "en" or "pt-BR"');
+    }
+    return locale;
+  },
+  timezone(value) {
+    const timezone = String(value).trim();
+    if (timezone && !isValidTimezone(timezone)) {
+      throw new Error('timezone must be an IANA time zone such as "Europe/Paris"');
+    }
+    return timezone;
+  },
+  default_note_visibility(value) {
+    if (!NOTE_VISIBILITIES.includes(value)) {
+      throw new Error(`default_note_visibility must be one of: ${NOTE_VISIBILITIES.join(', ')}`);
+    }
+    return value;
+  }
+};
+
+export const PROFILE_FIELDS = Object.keys(PROFILE_SCHEMA);
+
+/**
+ * Validate client-supplied profile fields.
+ * Returns { profile, unknownFields, errors }: `profile` holds the normalized
+ * values, `unknownFields` lists keys that are neither profile fields nor in
+ * `allowedFields`, and `errors` maps field names to validation messages.
+ */
+export function validateProfile(data, allowedFields = []) {
+  const profile = {};
+  const unknownFields = [];
+  const errors = {};
+
+  for (const [field, value] of Object.entries(data || {})) {
+    if (value === undefined || allowedFields.includes(field)) continue;
+
+    const normalize = PROFILE_SCHEMA[field];
+    if (!normalize) {
+      unknownFields.push(field);
+      continue;
+    }
+
+    if (value === null || typeof value === 'object') {
+      errors[field] = `${field} must be a string`;
+      continue;
+    }
+
+    try {
+      profile[field] = normalize(value);
+    } catch (error) {
+      errors[field] = error.message;
+    }
+  }
+
+  return { profile, unknownFields, errors };
+}
+
+// The profile as stored, with defaults for fields that were never set
+export function getProfile(user) {
+  return {
+    // Accounts created before the schema stored "displayName"
+    display_name: user.display_name ?? user.displayName ?? '',
+    avatar_url: user.avatar_url || '',
+    bio: user.bio || '',
+    locale: user.locale || '',
+    timezone: user.timezone || '',
+    default_note_visibility: user.default_note_visibility || 'private'
+  };
+}
+
+// What anyone may see about a user: no email, locale, timezone or settings
+export function getPublicProfile(user) {
+  const profile = getProfile(user);
+  return {
+    user_id: user.user_id,
+    display_name: profile.display_name || user.user_id,
+    avatar_url: profile.avatar_url,
+    bio: profile.bio,
+    joined_at: user.createdAt || null
+  };
+}
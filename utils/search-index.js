@@ -0,0 +1,277 @@
+// utils/search-index.js - inverted index behind note search
+//
+// search_index/users/<user_id>/<term>/<note_id> = { title, body }  the owner's notes
+// search_index/public/<term>/<note_id>          = { title, body }  public notes of everyone
+// search_terms/<note_id> = { user_id, public, terms }  what a note was indexed under, so it can be undone
+//
+// title/body are how often the term occurs there. Terms are lower-cased runs of letters and digits,
+// which keeps them valid database keys and lets prefix matches run as key range queries.
+import { db } from "./firebase.js";
+
+const INDEX_VERSION = 1;
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+const MAX_TERMS_PER_NOTE = 1000;
+const MAX_QUERY_TERMS = 8;
+const MIN_PREFIX_LENGTH = 3; // shorter query terms only match whole words
+const MAX_PREFIX_EXPANSIONS = 50; // index terms read per query term
+const MAX_PUBLIC_PREFIX_EXPANSIONS = 10; // the same in the public index, whose posting lists are far longer
+const TITLE_WEIGHT = 3;
+const PREFIX_WEIGHT = 0.5; // a prefix match counts half as much as the whole word
+const SNIPPET_LENGTH = 160;
+const PUBLIC_SCOPE = 'search_index/public';
+
+// Note text is editor HTML; search works on what the reader sees
+export function toPlainText(html) {
+  return String(html || '')
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+// Words of a text with their positions: [{ term, start, end }]
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const term = match[0].toLowerCase();
+    if (term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+}
+
+// Lower-cased, de-duplicated search terms of a query
+export function parseQuery(query) {
+  return [...new Set(tokenize(query).map(token => token.term))].slice(0, MAX_QUERY_TERMS);
+}
+
+// term -> { title, body } occurrence counts for a note
+function countTerms(note) {
+  const counts = new Map();
+  const add = (text, field) => {
+    for (const { term } of tokenize(text)) {
+      if (!counts.has(term)) {
+        if (counts.size >= MAX_TERMS_PER_NOTE) continue;
+        counts.set(term, { title: 0, body: 0 });
+      }
+      counts.get(term)[field]++;
+    }
+  };
+
+  add(note.title, 'title');
+  add(toPlainText(note.text), 'body');
+  return counts;
+}
+
+// Index paths of a note under every scope it belongs to
+function postingPaths(noteId, userId, isPublic, term) {
+  const paths = [`search_index/users/${userId}/${term}/${noteId}`];
+  if (isPublic) {
+    paths.push(`search_index/public/${term}/${noteId}`);
+  }
+  return paths;
+}
+
+// Queue removal of whatever a note was indexed under last time
+function addRemovals(updates, noteId, indexed) {
+  if (!indexed) return;
+  for (const term of Object.keys(indexed.terms || {})) {
+    for (const path of postingPaths(noteId, indexed.user_id, indexed.public, term)) {
+      updates[path] = null;
+    }
+  }
+  updates[`search_terms/${noteId}`] = null;
+}
+
+async function getIndexedTerms(noteId) {
+  const snapshot = await db.ref(`search_terms/${noteId}`).once('value');
+  return snapshot.val();
+}
+
+// (Re)index a note after it was created or changed. Trashed notes are taken out of the index.
+export async function indexNote(note) {
+  const updates = {};
+  addRemovals(updates, note.note_id, await getIndexedTerms(note.note_id));
+
+  if (!note.deleted_at) {
+    const counts = countTerms(note);
+    const terms = {};
+
+    for (const [term, posting] of counts) {
+      for (const path of postingPaths(note.note_id, note.user_id, note.public === true, term)) {
+        updates[path] = posting;
+      }
+      terms[term] = true;
+    }
+
+    updates[`search_terms/${note.note_id}`] = {
+      user_id: note.user_id,
+      public: note.public === true,
+      terms
+    };
+  }
+
+  await db.ref().update(updates);
+}
+
+// Take a note out of the index
+export async function unindexNote(noteId) {
+  const indexed = await getIndexedTerms(noteId);
+  if (!indexed) return;
+
+  const updates = {};
+  addRemovals(updates, noteId, indexed);
+  await db.ref().update(updates);
+}
+
+// Notes written before search existed are indexed once per owner
+export async function isUserIndexed(userId) {
+  const snapshot = await db.ref(`search_meta/${userId}/version`).once('value');
+  return snapshot.val() === INDEX_VERSION;
+}
+
+export async function indexUserNotes(userId, notes) {
+  for (const note of notes) {
+    await indexNote(note);
+  }
+  await db.ref(`search_meta/${userId}`).set({ version: INDEX_VERSION, indexed_at: Date.now() });
+}
+
+export async function removeUserIndex(userId) {
+  await db.ref(`search_index/users/${userId}`).remove();
+  await db.ref(`search_meta/${userId}`).remove();
+}
+
+// Index terms a query term matches, with their postings: the term itself, and for long
+// enough terms the words it starts. Each index term read brings its whole posting list.
+async function lookupPrefix(scopePath, term, expansions) {
+  if (term.length < MIN_PREFIX_LENGTH) {
+    const snapshot = await db.ref(`${scopePath}/${term}`).once('value');
+    return snapshot.exists() ? { [term]: snapshot.val() } : {};
+  }
+
+  const snapshot = await db.ref(scopePath)
+    .orderByKey()
+    .startAt(term)
+    .endAt(term + '\uf8ff')
+    .limitToFirst(expansions)
+    .once('value');
+  return snapshot.val() || {};
+}
+
+function matchesTerm(word, term) {
+  return term.length < MIN_PREFIX_LENGTH ? word === term : word.startsWith(term);
+}
+
+function postingScore(posting) {
+  return TITLE_WEIGHT * Math.log1p(posting.title || 0) + Math.log1p(posting.body || 0);
+}
+
+// note_id -> score for one query term; the best matching index term counts
+async function scoreTerm(scopes, term) {
+  const scores = new Map();
+  const results = await Promise.all(scopes.map(scope => lookupPrefix(
+    scope,
+    term,
+    scope === PUBLIC_SCOPE ? MAX_PUBLIC_PREFIX_EXPANSIONS : MAX_PREFIX_EXPANSIONS
+  )));
+
+  for (const matches of results) {
+    for (const [indexTerm, postings] of Object.entries(matches)) {
+      const weight = indexTerm === term ? 1 : PREFIX_WEIGHT;
+      for (const [noteId, posting] of Object.entries(postings)) {
+        const score = weight * postingScore(posting);
+        if (score > (scores.get(noteId) || 0)) {
+          scores.set(noteId, score);
+        }
+      }
+    }
+  }
+
+  return scores;
+}
+
+// Ranges of `text` covered by words that start with one of the terms
+export function highlightRanges(text, terms) {
+  return tokenize(text)
+    .filter(token => terms.some(term => matchesTerm(token.term, term)))
+    .map(token => [token.start, token.end]);
+}
+
+// A window of the body around the first match, with highlight ranges relative to it
+export function buildSnippet(text, terms) {
+  const plain = toPlainText(text).replace(/\s+/g, ' ');
+  const ranges = highlightRanges(plain, terms);
+
+  let start = 0;
+  if (ranges.length && ranges[0][0] > SNIPPET_LENGTH / 3) {
+    start = ranges[0][0] - Math.floor(SNIPPET_LENGTH / 3);
+    const space = plain.indexOf(' ', start);
+    start = space !== -1 && space < ranges[0][0] ? space + 1 : start;
+  }
+
+  let end = Math.min(plain.length, start + SNIPPET_LENGTH);
+  if (end < plain.length) {
+    const space = plain.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < plain.length ? '…' : '';
+
+  return {
+    text: prefix + plain.slice(start, end) + suffix,
+    highlights: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+}
+
+/**
+ * Search the user's notes (and, with includePublic, everyone's public notes).
+ * Every query term has to match a word, either whole or (from MIN_PREFIX_LENGTH letters on)
+ * as a prefix; title hits rank higher.
+ * Returns note ids with scores, best first; loading and access checks are up to the caller.
+ */
+export async function searchIndex(userId, query, { includePublic = false } = {}) {
+  const terms = parseQuery(query);
+  if (!terms.length) {
+    return { terms, matches: [] };
+  }
+
+  const scopes = [`search_index/users/${userId}`];
+  if (includePublic) {
+    scopes.push(PUBLIC_SCOPE);
+  }
+
+  const perTerm = await Promise.all(terms.map(term => scoreTerm(scopes, term)));
+
+  // Notes have to match every term
+  const [first, ...rest] = perTerm;
+  const matches = [];
+  for (const [noteId, score] of first) {
+    let total = score;
+    let matchesAll = true;
+    for (const scores of rest) {
+      if (!scores.has(noteId)) {
+        matchesAll = false;
+        break;
+      }
+      total += scores.get(noteId);
+    }
+    if (matchesAll) {
+      matches.push({ note_id: noteId, score: total });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+  return { terms, matches };
+}
@@ -0,0 +1,123 @@
+// utils/sessions.js
+import { db } from "./firebase.js";
+import { v4 as uuidv4 } from 'uuid';
+import { hashToken } from "./tokens.js";
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Read the session token from an "Authorization: Bearer <session_id>" header
+export function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.split(' ')[1] || null;
+}
+
+// Public handle for a session: session ids are bearer tokens and never leave the device that owns them
+export function sessionHandle(sessionId) {
+  return hashToken(sessionId).slice(0, 16);
+}
+
+// Create a session for a user (uid = key under users/).
+// user_sessions/<uid>/<session_id> indexes a user's sessions for listing and revoking.
+export async function createSession(userId, { userAgent = '', ip = '' } = {}) {
+  const sessionId = uuidv4();
+  const now = Date.now();
+
+  await db.ref().update({
+    [`sessions/${sessionId}`]: {
+      userId,
+      expiresAt: now + SESSION_TTL_MS,
+      createdAt: now,
+      lastUsedAt: now,
+      userAgent: userAgent.substring(0, 300),
+      ip
+    },
+    [`user_sessions/${userId}/${sessionId}`]: now
+  });
+
+  return sessionId;
+}
+
+// Validate a session and extend it; returns null when missing or expired
+export async function validateSession(sessionId) {
+  const snapshot = await db.ref(`sessions/${sessionId}`).once('value');
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  const session = snapshot.val();
+
+  // Check if session has expired
+  if (session.expiresAt < Date.now()) {
+    // Delete expired session
+    await destroySession(sessionId, session.userId);
+    return null;
+  }
+
+  // Extend session
+  await db.ref(`sessions/${sessionId}`).update({
+    expiresAt: Date.now() + SESSION_TTL_MS,
+    lastUsedAt: Date.now()
+  });
+
+  return session;
+}
+
+// Remove a single session (and its index entry)
+export async function destroySession(sessionId, userId = null) {
+  if (!userId) {
+    const snapshot = await db.ref(`sessions/${sessionId}/userId`).once('value');
+    userId = snapshot.val();
+  }
+
+  await db.ref(`sessions/${sessionId}`).remove();
+  if (userId) {
+    await db.ref(`user_sessions/${userId}/${sessionId}`).remove();
+  }
+}
+
+// Live sessions of a user, most recently used first. Stale index entries are pruned.
+export async function listUserSessions(userId) {
+  const indexSnapshot = await db.ref(`user_sessions/${userId}`).once('value');
+  if (!indexSnapshot.exists()) {
+    return [];
+  }
+
+  const sessionIds = Object.keys(indexSnapshot.val());
+  const snapshots = await Promise.all(sessionIds.map(id => db.ref(`sessions/${id}`).once('value')));
+
+  const sessions = [];
+  const stale = [];
+  snapshots.forEach((snapshot, i) => {
+    const session = snapshot.val();
+    if (!session || session.expiresAt < Date.now()) {
+      stale.push(sessionIds[i]);
+    } else {
+      sessions.push({ session_id: sessionIds[i], ...session });
+    }
+  });
+
+  await Promise.all(stale.map(id => destroySession(id, userId)));
+
+  return sessions.sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt));
+}
+
+// Remove every session that belongs to a user (uid), optionally keeping one
+export async function destroyUserSessions(userId, { except = null } = {}) {
+  const [indexSnapshot, legacySnapshot] = await Promise.all([
+    db.ref(`user_sessions/${userId}`).once('value'),
+    // Sessions created before the index existed
+    db.ref('sessions').orderByChild('userId').equalTo(userId).once('value')
+  ]);
+
+  const sessionIds = new Set([
+    ...Object.keys(indexSnapshot.val() || {}),
+    ...Object.keys(legacySnapshot.val() || {})
+  ]);
+  sessionIds.delete(except);
+
+  await Promise.all([...sessionIds].map(sessionId => destroySession(sessionId, userId)));
+  return sessionIds.size;
+}
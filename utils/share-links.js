@@ -0,0 +1,192 @@
+// utils/share-links.js - secret links that open a private note without an account
+//
+// share_links/<note_id>/<link_id>       = { token_hash, created_by, created_at, expires_at,
+//                                           password_hash, max_views, view_count, revoked_at, ... }
+// share_link_tokens/<token_hash>        = { note_id, link_id }   (lookup when a link is opened)
+// share_link_access/<link_id>/<push_id> = { at, outcome, user_id, ip, user_agent }
+//
+// Only the hash of a link's token is stored; the token itself is shown once, when the link is
+// created. Revoked links keep their record and access log so the owner can still review them.
+import bcrypt from 'bcrypt';
+import { db } from "./firebase.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+// ==================== CONFIGURATION ====================
+export const MAX_LINKS_PER_NOTE = 20;
+const ACCESS_LOG_LIMIT = 200;                  // access events kept per link
+const PASSWORD_MAX_FAILURES = 10;              // wrong passwords before the link locks
+const PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;    // how long it stays locked
+// ======================================================
+
+function linkRef(noteId, linkId) {
+  return db.ref(`share_links/${noteId}/${linkId}`);
+}
+
+// What the owner sees of a link (never the hashes)
+export function publicLink(link) {
+  return {
+    link_id: link.link_id,
+    label: link.label || '',
+    created_at: link.created_at,
+    expires_at: link.expires_at || null,
+    has_password: Boolean(link.password_hash),
+    max_views: link.max_views || null,
+    view_count: link.view_count || 0,
+    last_opened_at: link.last_opened_at || null,
+    revoked_at: link.revoked_at || null,
+    active: linkUnavailableReason(link) === null
+  };
+}
+
+// Why a link can no longer be opened, or null while it works
+export function linkUnavailableReason(link, now = Date.now()) {
+  if (link.revoked_at) return 'This link has been revoked';
+  if (link.expires_at && link.expires_at <= now) return 'This link has expired';
+  if (link.max_views && (link.view_count || 0) >= link.max_views) {
+    return 'This link has reached its view limit';
+  }
+  return null;
+}
+
+/**
+ * Create a link for a note. Returns { link, token }; the token is not stored
+ * and cannot be recovered later.
+ */
+export async function createShareLink(note, createdBy, { label, expiresAt, password, maxViews } = {}) {
+  const token = generateToken(24);
+  const tokenHash = hashToken(token);
+  const linkId = db.ref(`share_links/${note.note_id}`).push().key;
+
+  const link = {
+    link_id: linkId,
+    note_id: note.note_id,
+    label: label || '',
+    token_hash: tokenHash,
+    created_by: createdBy,
+    created_at: Date.now(),
+    expires_at: expiresAt || null,
+    password_hash: password ? await bcrypt.hash(password, await bcrypt.genSalt(10)) : null,
+    max_views: maxViews || null,
+    view_count: 0
+  };
+
+  await db.ref().update({
+    [`share_links/${note.note_id}/${linkId}`]: link,
+    [`share_link_tokens/${tokenHash}`]: { note_id: note.note_id, link_id: linkId }
+  });
+
+  return { link, token };
+}
+
+// Every link of a note, newest first
+export async function getShareLinks(noteId) {
+  const snapshot = await db.ref(`share_links/${noteId}`).once('value');
+  const links = snapshot.val() || {};
+  return Object.values(links).sort((a, b) => b.created_at - a.created_at);
+}
+
+export async function getShareLink(noteId, linkId) {
+  const snapshot = await linkRef(noteId, linkId).once('value');
+  return snapshot.exists() ? snapshot.val() : null;
+}
+
+// The link a token belongs to, or null for unknown tokens
+export async function findShareLinkByToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const snapshot = await db.ref(`share_link_tokens/${hashToken(token)}`).once('value');
+  const entry = snapshot.val();
+  if (!entry) return null;
+
+  return await getShareLink(entry.note_id, entry.link_id);
+}
+
+// Stop a link from working; its record and access log stay for the owner, and later
+// attempts to open it are still logged
+export async function revokeShareLink(link) {
+  await linkRef(link.note_id, link.link_id).child('revoked_at').set(Date.now());
+}
+
+// Milliseconds until a password may be tried again (0 = allowed)
+export function passwordLockout(link, now = Date.now()) {
+  return Math.max(0, (link.password_locked_until || 0) - now);
+}
+
+/**
+ * Check a password against a link, counting failures so passwords cannot be
+ * brute-forced. Links without a password accept anything.
+ */
+export async function checkLinkPassword(link, password) {
+  if (!link.password_hash) return true;
+  if (!password || !(await bcrypt.compare(String(password), link.password_hash))) {
+    const now = Date.now();
+    await linkRef(link.note_id, link.link_id).transaction(current => {
+      if (!current) return current;
+      const failures = (current.password_failures || 0) + 1;
+      if (failures < PASSWORD_MAX_FAILURES) {
+        return { ...current, password_failures: failures };
+      }
+      return { ...current, password_failures: 0, password_locked_until: now + PASSWORD_LOCKOUT_MS };
+    });
+    return false;
+  }
+
+  if (link.password_failures) {
+    await linkRef(link.note_id, link.link_id).child('password_failures').remove();
+  }
+  return true;
+}
+
+/**
+ * Count a view against the link's cap. Runs as a transaction so concurrent opens
+ * cannot overshoot max_views. Returns the updated link, or null when it is used up.
+ */
+export async function consumeLinkView(link) {
+  let opened = false;
+  const now = Date.now();
+
+  const result = await linkRef(link.note_id, link.link_id).transaction(current => {
+    opened = false;
+    if (!current || linkUnavailableReason(current, now)) return current;
+
+    opened = true;
+    return { ...current, view_count: (current.view_count || 0) + 1, last_opened_at: now };
+  });
+
+  return opened ? result.snapshot.val() : null;
+}
+
+// Append an access event to a link's log, keeping the newest ACCESS_LOG_LIMIT
+export async function recordLinkAccess(linkId, event) {
+  const logRef = db.ref(`share_link_access/${linkId}`);
+  await logRef.push({ ...event, at: Date.now() });
+
+  const snapshot = await logRef.orderByKey().once('value');
+  const keys = snapshot.exists() ? Object.keys(snapshot.val()) : [];
+  if (keys.length > ACCESS_LOG_LIMIT) {
+    const stale = keys.slice(0, keys.length - ACCESS_LOG_LIMIT);
+    await Promise.all(stale.map(key => logRef.child(key).remove()));
+  }
+}
+
+// Newest access events first
+export async function getLinkAccessLog(linkId, limit = 50) {
+  const snapshot = await db.ref(`share_link_access/${linkId}`).orderByKey().limitToLast(limit).once('value');
+  if (!snapshot.exists()) {
+    return [];
+  }
+  // Push keys sort chronologically
+  const events = snapshot.val();
+  return Object.keys(events).sort().reverse().map(key => events[key]);
+}
+
+// Drop every link of a note with its access logs (the note is being purged)
+export async function removeNoteShareLinks(noteId) {
+  const links = await getShareLinks(noteId);
+  const updates = { [`share_links/${noteId}`]: null };
+  for (const link of links) {
+    updates[`share_link_tokens/${link.token_hash}`] = null;
+    updates[`share_link_access/${link.link_id}`] = null;
+  }
+  await db.ref().update(updates);
+}
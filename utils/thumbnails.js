@@ -0,0 +1,27 @@
+// utils/thumbnails.js - small previews of image attachments
+import sharp from 'sharp';
+
+// ==================== CONFIGURATION ====================
+export const THUMBNAIL_MAX_DIMENSION = 400;                // px, longest side
+const THUMBNAIL_MAX_SOURCE_PIXELS = 40 * 1000 * 1000;      // larger images are not decoded
+const THUMBNAIL_QUALITY = 80;
+// ======================================================
+
+/**
+ * Scale an image down to at most THUMBNAIL_MAX_DIMENSION px on its longest side, as WebP,
+ * turned the way its EXIF orientation says. Returns { data, content_type, width, height },
+ * or null when the image cannot be read or has more than THUMBNAIL_MAX_SOURCE_PIXELS pixels.
+ */
+export async function createThumbnail(data) {
+  try {
+    const { data: thumbnail, info } = await sharp(data, { limitInputPixels: THUMBNAIL_MAX_SOURCE_PIXELS })
+      .rotate()
+      .resize(THUMBNAIL_MAX_DIMENSION, THUMBNAIL_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: THUMBNAIL_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    return { data: thumbnail, content_type: 'image/webp', width: info.width, height: info.height };
+  } catch (error) {
+    console.warn('Could not create thumbnail:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,12 @@
+// utils/tokens.js
+import crypto from 'crypto';
+
+// Random, URL-safe token that is handed to the user (emailed links, challenges)
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Only the hash of a token is stored, so a database leak does not leak live links
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
@@ -0,0 +1,107 @@
+// utils/user-rename.js - taking a user's data along when they change their public user_id
+//
+// Ownership and most indexes are keyed by the public user_id rather than the uid. A rename
+// rewrites all of them in the same multi-path update as users/<uid>/user_id, so the user keeps
+// their notes, notebooks, websites, comments and limits, and whoever takes the old id later
+// finds nothing of theirs. Records of who did something at the time (note revisions, collab
+// operations, share link logs, attachment uploaders) keep the id they were written with.
+import { db } from "./firebase.js";
+import { getNotesByOwner } from "./note-storage.js";
+import { getUserNotebooks } from "./notebooks.js";
+import { getWebsitesByOwner } from "./website-storage.js";
+import { listCommentedNotes } from "./note-comments.js";
+import { addShareRenameUpdates } from "./note-shares.js";
+import { addCommentRateRenameUpdates } from "./comment-guard.js";
+
+// Nodes with one child per user, keyed by user_id, that move over whole
+const USER_KEYED_NODES = [
+  'user_notes', 'user_trash', 'listing_meta',      // utils/note-listing.js
+  'tag_index',                                       // utils/note-tags.js
+  'note_tasks', 'task_meta',                         // utils/note-tasks.js
+  'search_index/users', 'search_meta',               // utils/search-index.js
+  'user_comment_notes', 'comment_moderation',        // utils/note-comments.js
+  'usage'                                            // AI usage counters
+];
+
+async function readValue(path) {
+  const snapshot = await db.ref(path).once('value');
+  return snapshot.val();
+}
+
+// The user's notes, with their public listing and search entries where those exist
+async function addNoteRenameUpdates(updates, noteIds, newUserId) {
+  await Promise.all(noteIds.map(async noteId => {
+    updates[`notes/${noteId}/user_id`] = newUserId;
+
+    const [listed, indexed] = await Promise.all([
+      readValue(`public_notes/${noteId}/user_id`),
+      readValue(`search_terms/${noteId}/user_id`)
+    ]);
+    if (listed) updates[`public_notes/${noteId}/user_id`] = newUserId;
+    if (indexed) updates[`search_terms/${noteId}/user_id`] = newUserId;
+  }));
+}
+
+// Websites, their versions, and the original_user_id of other people's forks of them
+async function addWebsiteRenameUpdates(updates, oldUserId, newUserId) {
+  const websites = await getWebsitesByOwner(oldUserId);
+
+  await Promise.all(Object.keys(websites).map(async websiteId => {
+    updates[`websites/${websiteId}/user_id`] = newUserId;
+
+    const [versions, forks] = await Promise.all([
+      db.ref('website_versions').orderByChild('website_id').equalTo(websiteId).once('value'),
+      db.ref('websites').orderByChild('original_website_id').equalTo(websiteId).once('value')
+    ]);
+    for (const [versionId, version] of Object.entries(versions.val() || {})) {
+      if (version.user_id === oldUserId) updates[`website_versions/${versionId}/user_id`] = newUserId;
+    }
+    for (const [forkId, fork] of Object.entries(forks.val() || {})) {
+      if (fork.original_user_id === oldUserId) updates[`websites/${forkId}/original_user_id`] = newUserId;
+    }
+  }));
+}
+
+// Comments the user wrote and reactions they left, on their own notes and everyone else's
+async function addCommentRenameUpdates(updates, oldUserId, newUserId) {
+  const noteIds = await listCommentedNotes(oldUserId);
+
+  await Promise.all(noteIds.map(async noteId => {
+    for (const comment of Object.values(await readValue(`comments/${noteId}`) || {})) {
+      const path = `comments/${noteId}/${comment.comment_id}`;
+      if (comment.user_id === oldUserId) {
+        updates[`${path}/user_id`] = newUserId;
+      }
+      for (const [reaction, users] of Object.entries(comment.reactions || {})) {
+        if (users[oldUserId]) {
+          updates[`${path}/reactions/${reaction}/${oldUserId}`] = null;
+          updates[`${path}/reactions/${reaction}/${newUserId}`] = true;
+        }
+      }
+    }
+  }));
+}
+
+/**
+ * Queue every write that moves a user's data from oldUserId to newUserId.
+ * Goes into the same update as the rename itself; returns `updates`.
+ */
+export async function addUserRenameUpdates(updates, oldUserId, newUserId) {
+  const noteIds = Object.keys(await getNotesByOwner(oldUserId));
+
+  await Promise.all(USER_KEYED_NODES.map(async node => {
+    updates[`${node}/${newUserId}`] = await readValue(`${node}/${oldUserId}`);
+    updates[`${node}/${oldUserId}`] = null;
+  }));
+
+  for (const notebookId of Object.keys(await getUserNotebooks(oldUserId))) {
+    updates[`notebooks/${notebookId}/user_id`] = newUserId;
+  }
+
+  await addNoteRenameUpdates(updates, noteIds, newUserId);
+  await addWebsiteRenameUpdates(updates, oldUserId, newUserId);
+  await addCommentRenameUpdates(updates, oldUserId, newUserId);
+  await addShareRenameUpdates(updates, oldUserId, newUserId, noteIds);
+  await addCommentRateRenameUpdates(updates, oldUserId, newUserId);
+  return updates;
+}
@@ -0,0 +1,45 @@
+// utils/users.js
+import { db } from "./firebase.js";
+
+// Find user by email
+export async function findUserByEmail(email) {
+  const snapshot = await db.ref('users').orderByChild('email').equalTo(email).once('value');
+  if (snapshot.exists()) {
+    const users = snapshot.val();
+    const uid = Object.keys(users)[0];
+    return { uid, ...users[uid] };
+  }
+  return null;
+}
+
+// Find user by public user_id (tk01, tk02, ...)
+export async function findUserByUserId(userId) {
+  const snapshot = await db.ref('users').orderByChild('user_id').equalTo(userId).once('value');
+  if (snapshot.exists()) {
+    const users = snapshot.val();
+    const uid = Object.keys(users)[0];
+    return { uid, ...users[uid] };
+  }
+  return null;
+}
+
+// Get user by uid (key under users/)
+export async function getUserByUid(uid) {
+  const snapshot = await db.ref(`users/${uid}`).once('value');
+  if (snapshot.exists()) {
+    return { uid, ...snapshot.val() };
+  }
+  return null;
+}
+
+// Accounts created before email verification existed have no flag and count as verified
+export function isEmailVerified(user) {
+  return Boolean(user) && user.email_verified !== false;
+}
+
+// Strip secrets before a user record is attached to a request or returned
+export function withoutSecrets(user) {
+  if (!user) return null;
+  const { password, two_factor, ...rest } = user;
+  return { ...rest, two_factor_enabled: Boolean(two_factor?.enabled) };
+}
@@ -0,0 +1,28 @@
+// utils/website-storage.js - website storage helpers shared by api/generate-website.js and account cleanup
+import { db } from "./firebase.js";
+
+// Permanently remove a website and all of its versions
+export async function purgeWebsite(websiteId) {
+  await db.ref(`websites/${websiteId}`).remove();
+
+  // Find and delete all versions
+  const versions = await getWebsiteVersions(websiteId);
+  await Promise.all(Object.keys(versions).map(versionId =>
+    db.ref(`website_versions/${versionId}`).remove()
+  ));
+}
+
+// Every version of a website, keyed by version_id
+export async function getWebsiteVersions(websiteId) {
+  const snapshot = await db.ref('website_versions')
+    .orderByChild('website_id')
+    .equalTo(websiteId)
+    .once('value');
+  return snapshot.val() || {};
+}
+
+// Every website owned by a user (public user_id), keyed by website_id
+export async function getWebsitesByOwner(userId) {
+  const snapshot = await db.ref('websites').orderByChild('user_id').equalTo(userId).once('value');
+  return snapshot.val() || {};
+}
@@ -0,0 +1,204 @@
+// utils/zip.js - minimal ZIP archive writer and reader (deflate or stored, no ZIP64)
+//
+// Enough of the format for Talknote's data export: UTF-8 names, CRC-32 checks, and limits on
+// what a reader will unpack so a hostile archive cannot exhaust memory.
+import zlib from 'zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields (local time, two-second resolution)
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive from [{ name, data, date }]. data is a Buffer or a string (UTF-8);
+ * entries are deflated unless that would make them bigger.
+ */
+export function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data ?? ''), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? DEFLATED : STORED;
+    const body = method === DEFLATED ? deflated : data;
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(entry.date ? new Date(entry.date) : new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);                  // version needed to extract
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);                  // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);                // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);           // extra/comment lengths, disk, attributes stay 0
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+// The entries of a ZIP archive's central directory, without reading their data
+function readCentralDirectory(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new Error('Invalid ZIP archive');
+  }
+
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Invalid ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (pointer + 46 > buffer.length || buffer.readUInt32LE(pointer) !== CENTRAL_HEADER) {
+      throw new Error('Invalid ZIP archive');
+    }
+
+    const flags = buffer.readUInt16LE(pointer + 8);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    entries.push({
+      name: buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', pointer + 46, pointer + 46 + nameLength),
+      flags: flags,
+      method: buffer.readUInt16LE(pointer + 10),
+      crc: buffer.readUInt32LE(pointer + 16),
+      compressedSize: buffer.readUInt32LE(pointer + 20),
+      size: buffer.readUInt32LE(pointer + 24),
+      localOffset: buffer.readUInt32LE(pointer + 42)
+    });
+    pointer += 46 + nameLength + buffer.readUInt16LE(pointer + 30) + buffer.readUInt16LE(pointer + 32);
+  }
+
+  return entries;
+}
+
+// Names of the files in a ZIP archive (directories skipped), read without unpacking anything
+export function listZip(buffer) {
+  return readCentralDirectory(buffer)
+    .map(entry => entry.name)
+    .filter(name => !name.endsWith('/'));
+}
+
+/**
+ * Read the files of a ZIP archive into a Map of name -> Buffer. Directories are skipped.
+ * Throws on archives that are malformed, encrypted, use other compression methods,
+ * or unpack to more than maxEntries files / maxBytes bytes. Pass the same budget
+ * ({ entries, bytes }, counted up as files are read) to several calls to hold archives
+ * nested in one another to a single limit.
+ */
+export function readZip(buffer, { maxEntries = 10000, maxBytes = 100 * 1024 * 1024 } = {}, budget = { entries: 0, bytes: 0 }) {
+  const entries = readCentralDirectory(buffer);
+  budget.entries += entries.length;
+  if (budget.entries > maxEntries) {
+    throw new Error(`ZIP archive has more than ${maxEntries} files`);
+  }
+
+  const files = new Map();
+
+  for (const { name, flags, method, crc, compressedSize, size, localOffset } of entries) {
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) {
+      throw new Error('Encrypted ZIP archives are not supported');
+    }
+    if (method !== STORED && method !== DEFLATED) {
+      throw new Error(`Unsupported compression in ${name}`);
+    }
+
+    budget.bytes += size;
+    if (budget.bytes > maxBytes) {
+      throw new Error(`ZIP archive unpacks to more than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error('Invalid ZIP archive');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    // zlib throws on bad deflate data and on output past the declared size (a RangeError)
+    let data = body;
+    if (method === DEFLATED) {
+      try {
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+      } catch {
+        throw new Error(`Corrupt file in ZIP archive: ${name}`);
+      }
+    }
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new Error(`Corrupt file in ZIP archive: ${name}`);
+    }
+
+    files.set(name, data);
+  }
+
+  return files;
+}